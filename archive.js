@@ -0,0 +1,230 @@
+/**
+ * Archive writer of `temppath` module, archiving the retained temporary paths on process exit
+ * if the `TEMPPATH_KEEP_ARCHIVE` environment variable is set.
+ *
+ * Only loaded when an archive is requested. The archive is a ustar file, compressed with gzip
+ * if the file name ends with `.gz` or `.tgz`, holding the regular files and directories of
+ * the retained paths. It is written synchronously, as the process is exiting.
+ *
+ * @module temppath/archive
+ * @author Ryuu Mitsuki
+ * @private
+ * @since 0.6.0
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { TempPathError } = require('./index.js');
+
+/**
+ * The size in bytes of a tar block.
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const TAR_BLOCK_SIZE = 512;
+
+/**
+ * The maximum length in bytes of an entry name in a ustar header.
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const TAR_NAME_MAX = 100;
+
+/**
+ * The maximum size in bytes of a file in a ustar header, holding 11 octal digits.
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const TAR_SIZE_MAX = 0o77777777777;
+
+/**
+ * The maximum user and group IDs in a ustar header, holding 7 octal digits.
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const TAR_ID_MAX = 0o7777777;
+
+/**
+ * The size in bytes of the chunks read from the archived files and written to the archive,
+ * so the memory used does not depend on the size of the retained paths.
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const ARCHIVE_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Creates a ustar header block of the given entry. The user and group IDs too large for
+ * the ustar format are written as zero.
+ *
+ * @private
+ * @function
+ * @param {{name: string, mode: number, uid: number, gid: number, size: number,
+ *          mtime: number, type: string}} entry - The entry.
+ * @returns {Buffer} The header block.
+ * @throws {TempPathError} If the name or the size does not fit in the ustar format.
+ * @since 0.6.0
+ */
+function __tarHeader(entry) {
+  if (Buffer.byteLength(entry.name) > TAR_NAME_MAX || entry.size > TAR_SIZE_MAX) {
+    throw new TempPathError(`temppath: Cannot archive ${entry.name}, too long for the ustar format`,
+      { code: 'ERR_TEMPPATH_WRITE_FAILED', path: entry.name, operation: 'write' });
+  }
+  const header = Buffer.alloc(TAR_BLOCK_SIZE);
+  const octal = (value, len) => value.toString(8).padStart(len - 1, '0') + '\0';
+  const id = value => ((value <= TAR_ID_MAX) ? value : 0);
+
+  header.write(entry.name, 0, TAR_NAME_MAX);
+  header.write(octal(entry.mode, 8), 100, 8);
+  header.write(octal(id(entry.uid), 8), 108, 8);
+  header.write(octal(id(entry.gid), 8), 116, 8);
+  header.write(octal(entry.size, 12), 124, 12);
+  header.write(octal(entry.mtime, 12), 136, 12);
+  header.write(' '.repeat(8), 148, 8);  // The checksum is calculated with spaces
+  header.write(entry.type, 156, 1);
+  header.write('ustar\u000000', 257, 8);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+  return header;
+}
+
+/**
+ * Synchronously opens the given archive for writing, compressed with gzip if the file name
+ * ends with `.gz` or `.tgz`.
+ *
+ * The written data is buffered up to `ARCHIVE_CHUNK_SIZE` bytes, and each buffered chunk
+ * is compressed as a gzip member of its own. The concatenated members form a valid gzip file.
+ *
+ * @private
+ * @function
+ * @param {string} archivePath - The path of the archive to write, overwritten if exists.
+ * @returns {{write: function(Buffer): void, close: function(): void}} The archive writer.
+ * @since 0.6.0
+ */
+function __openArchiveSync(archivePath) {
+  const gzip = /\.(t?gz)$/i.test(archivePath);
+  fs.mkdirSync(path.dirname(archivePath), { recursive: true });
+  const fd = fs.openSync(archivePath, 'w');
+  let pending = [], pendingLen = 0;
+
+  function flush() {
+    if (pendingLen === 0) return;
+    let data = Buffer.concat(pending, pendingLen);
+    pending = [];
+    pendingLen = 0;
+    if (gzip) data = zlib.gzipSync(data);
+    for (let offset = 0; offset < data.length;) {
+      offset += fs.writeSync(fd, data, offset, data.length - offset);
+    }
+  }
+
+  return {
+    write(chunk) {
+      pending.push(chunk);
+      pendingLen += chunk.length;
+      if (pendingLen >= ARCHIVE_CHUNK_SIZE) flush();
+    },
+    close() {
+      try {
+        flush();
+      } finally {
+        fs.closeSync(fd);
+      }
+    }
+  };
+}
+
+/**
+ * Synchronously writes the contents of the given file to the archive chunk by chunk, exactly
+ * the given size: truncated if the file has grown, or padded with zeros if it has shrunk since.
+ *
+ * @private
+ * @function
+ * @param {{write: function(Buffer): void}} archive - The archive writer.
+ * @param {string} src - The file path.
+ * @param {number} size - The size declared in the header.
+ * @since 0.6.0
+ */
+function __writeTarFileSync(archive, src, size) {
+  const fd = fs.openSync(src, 'r');
+  try {
+    for (let written = 0; written < size;) {
+      // The bytes missing from a shrunk file are left as zeros
+      const chunk = Buffer.alloc(Math.min(ARCHIVE_CHUNK_SIZE, size - written));
+      fs.readSync(fd, chunk, 0, chunk.length, written);
+      archive.write(chunk);
+      written += chunk.length;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  const padding = (TAR_BLOCK_SIZE - (size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+  if (padding > 0) archive.write(Buffer.alloc(padding));
+}
+
+/**
+ * Synchronously writes the given path to the archive, recursively for directories.
+ * Only the regular files and directories are archived, other types of files are skipped.
+ *
+ * @private
+ * @function
+ * @param {{write: function(Buffer): void}} archive - The archive writer.
+ * @param {string} src - The path to archive.
+ * @param {string} name - The name of the entry in the archive.
+ * @since 0.6.0
+ */
+function __appendTarPathSync(archive, src, name) {
+  const stats = fs.lstatSync(src);
+  const entry = {
+    name,
+    mode: stats.mode & 0o7777,
+    uid: stats.uid,
+    gid: stats.gid,
+    size: 0,
+    mtime: Math.floor(stats.mtimeMs / 1000),
+    type: '0'
+  };
+
+  if (stats.isDirectory()) {
+    archive.write(__tarHeader({ ...entry, name: `${name}/`, type: '5' }));
+    for (const child of fs.readdirSync(src)) {
+      __appendTarPathSync(archive, path.join(src, child), `${name}/${child}`);
+    }
+  } else if (stats.isFile()) {
+    archive.write(__tarHeader({ ...entry, size: stats.size }));
+    __writeTarFileSync(archive, src, stats.size);
+  }
+}
+
+/**
+ * Synchronously archives the given paths to a tar file, compressed with gzip if the file name
+ * ends with `.gz` or `.tgz`. Each path is archived under its base name. The files are streamed
+ * into the archive chunk by chunk, so large retained paths can be archived on exit.
+ *
+ * @public
+ * @function
+ * @param {string} archivePath - The path of the archive to write, overwritten if exists.
+ * @param {string[]} paths - The paths to archive.
+ * @throws {Error} If the archive cannot be written, or an entry does not fit in the ustar format.
+ * @since 0.6.0
+ */
+function writeArchiveSync(archivePath, paths) {
+  const archive = __openArchiveSync(archivePath);
+  try {
+    for (const src of paths) __appendTarPathSync(archive, src, path.basename(src));
+    archive.write(Buffer.alloc(TAR_BLOCK_SIZE * 2));  // End of archive
+  } finally {
+    archive.close();
+  }
+}
+
+module.exports = { writeArchiveSync };
@@ -0,0 +1,384 @@
+#!/usr/bin/env node
+
+/**
+ * Command-line interface of `temppath` module.
+ *
+ * Usage:
+ *   temppath [create] [options]
+ *   temppath list [--json]
+ *   temppath prune [--older-than <duration>] [--dry-run] [--json]
+ *
+ * Exit codes:
+ *   0 - Success.
+ *   1 - Failed to create, list or prune the temporary paths.
+ *   2 - Invalid command or options.
+ *
+ * @module temppath/cli
+ * @author Ryuu Mitsuki
+ * @since 0.6.0
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const os = require('node:os');
+const { parseArgs } = require('node:util');
+const temppath = require('..');
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const HELP = `Usage:
+  temppath [create] [options]   Create a temporary directory (default) or file
+  temppath list [options]       List the temporary paths created by this tool
+  temppath prune [options]      Remove the temporary paths created by this tool
+
+Options for create:
+  -f, --file              Create a temporary file instead of directory
+  -e, --ext <ext>         The extension of temporary file (default: .tmp)
+  -l, --max-len <n>       The maximum length of the random part of the name (default: 32)
+  -d, --dir <dir>         The directory to create the temporary path in
+                          (default: system's temporary directory)
+  -p, --prefix <prefix>   A string to prepend to the name
+  -n, --dry-run           Only print the generated path, do not create it
+
+Options for prune:
+  --older-than <duration> Only remove the paths created before the given duration,
+                          e.g. 30s, 15m, 2h or 7d (default unit: seconds)
+  -n, --dry-run           Only print the paths that would be removed
+
+Common options:
+  --json                  Print the output as JSON
+  -h, --help              Print this help message
+  -v, --version           Print the version
+
+Exit codes:
+  0  Success
+  1  Failed to create, list or prune the temporary paths
+  2  Invalid command or options
+`;
+
+/**
+ * An error indicating an invalid command or options.
+ * @private
+ */
+class UsageError extends Error {}
+
+/**
+ * Returns the path of the file recording the temporary paths created by this tool.
+ * The file is specific to the current user and lives in the system's temporary directory.
+ *
+ * @private
+ * @returns {string} The path of the record file.
+ */
+function getRecordFile() {
+  const user = (typeof process.getuid === 'function')
+    ? process.getuid()
+    : os.userInfo().username;
+  return path.join(temppath.getTempRoot(), `.temppath-cli-${user}.jsonl`);
+}
+
+/**
+ * Ensures the record file, if exists, is a regular file owned by the current user,
+ * so it cannot be planted by another user in a shared temporary directory.
+ *
+ * @private
+ * @param {string} recordFile - The path of the record file.
+ * @returns {boolean} `true` if the record file exists.
+ * @throws {Error} If the record file is not safe to use.
+ */
+function checkRecordFile(recordFile) {
+  let stats;
+  try {
+    stats = fs.lstatSync(recordFile);
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    throw err;
+  }
+  if (!stats.isFile()
+      || (typeof process.getuid === 'function' && stats.uid !== process.getuid())) {
+    throw new Error(`Refusing to use the record file not owned by the current user: ${recordFile}`);
+  }
+  return true;
+}
+
+/**
+ * Reads all entries from the record file.
+ *
+ * @private
+ * @param {string} recordFile - The path of the record file.
+ * @returns {Array<{path: string, type: string, created: number, dev: number, ino: number}>} The recorded entries.
+ */
+function readRecords(recordFile) {
+  if (!checkRecordFile(recordFile)) return [];
+  return fs.readFileSync(recordFile, 'utf8')
+    .split('\n')
+    .filter(line => line.trim().length > 0)
+    .map(function (line) {
+      try {
+        return JSON.parse(line);
+      } catch (_err) {
+        return null;  // Skip the corrupted entry
+      }
+    })
+    .filter(entry => entry && typeof entry.path === 'string');
+}
+
+/**
+ * Rewrites the record file with the given entries, removing it if there is no entry left.
+ *
+ * @private
+ * @param {string} recordFile - The path of the record file.
+ * @param {Array<{path: string, type: string, created: number, dev: number, ino: number}>} entries - The entries to keep.
+ */
+function writeRecords(recordFile, entries) {
+  if (entries.length === 0) {
+    fs.rmSync(recordFile, { force: true });
+    return;
+  }
+  fs.writeFileSync(recordFile, entries.map(entry => JSON.stringify(entry) + '\n').join(''),
+    { mode: 0o600 });
+}
+
+/**
+ * Parses the given duration string into milliseconds.
+ *
+ * @private
+ * @param {string} duration - The duration, e.g. `30s`, `15m`, `2h` or `7d`.
+ * @returns {number} The duration in milliseconds.
+ * @throws {UsageError} If the duration is invalid.
+ */
+function parseDuration(duration) {
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/.exec(duration);
+  if (!match) throw new UsageError(`Invalid duration: ${duration}`);
+  return Number(match[1]) * units[match[2] || 's'];
+}
+
+/**
+ * Prints the given result either as JSON or as plain text.
+ *
+ * @private
+ * @param {boolean} json - Whether to print as JSON.
+ * @param {*} value - The value to print as JSON.
+ * @param {string} text - The text to print otherwise.
+ */
+function print(json, value, text) {
+  if (json) process.stdout.write(JSON.stringify(value) + '\n');
+  else if (text.length > 0) process.stdout.write(text + '\n');
+}
+
+/**
+ * Runs the `create` command.
+ *
+ * @private
+ * @param {Object} values - The parsed options.
+ * @returns {number} The exit code.
+ */
+function create(values) {
+  let maxLen;
+  if (values['max-len'] !== undefined) {
+    maxLen = Number(values['max-len']);
+    if (!Number.isInteger(maxLen) || maxLen <= 0) {
+      throw new UsageError(`Invalid maximum length: ${values['max-len']}`);
+    }
+  }
+  const options = {
+    asFile: !!values.file,
+    ext: values.ext,
+    maxLen,
+    prefix: values.prefix,
+    marker: false  // Recorded in the record file instead, see `prune`
+  };
+  const type = options.asFile ? 'file' : 'directory';
+
+  let resultPath;
+  try {
+    if (values['dry-run']) {
+      resultPath = temppath.getTempPath(values.dir, options);  // Including the extension
+    } else {
+      resultPath = temppath.createTempPathSync(values.dir, options);
+    }
+  } catch (err) {
+    // Invalid options are usage errors, the others are runtime failures
+    if (err instanceof TypeError || err instanceof RangeError) throw new UsageError(err.message);
+    throw err;
+  }
+
+  if (!values['dry-run']) {
+    const recordFile = getRecordFile();
+    checkRecordFile(recordFile);
+    // The device and inode identify the created path, in case it is replaced before `prune`
+    const { dev, ino } = fs.lstatSync(resultPath);
+    fs.appendFileSync(recordFile,
+      JSON.stringify({ path: resultPath, type, created: Date.now(), dev, ino }) + '\n', { mode: 0o600 });
+  }
+
+  print(values.json, { path: resultPath, type, dryRun: !!values['dry-run'] }, resultPath);
+  return EXIT_SUCCESS;
+}
+
+/**
+ * Runs the `list` command. The entries whose paths no longer exist are forgotten.
+ *
+ * @private
+ * @param {Object} values - The parsed options.
+ * @returns {number} The exit code.
+ */
+function list(values) {
+  const recordFile = getRecordFile();
+  const records = readRecords(recordFile);
+  const existing = records.filter(entry => fs.existsSync(entry.path));
+  if (existing.length !== records.length) writeRecords(recordFile, existing);
+
+  print(values.json, existing, existing.map(entry => entry.path).join('\n'));
+  return EXIT_SUCCESS;
+}
+
+/**
+ * Checks whether the given path is still the one recorded, so a path replaced by another
+ * user or by a symlink is never removed.
+ *
+ * @private
+ * @param {{path: string, type: string, dev: number, ino: number}} entry - The recorded entry.
+ * @param {fs.Stats} stats - The stats of the path, not following symlinks.
+ * @returns {?string} The reason why the path must not be removed, or `null` if it can be removed.
+ */
+function checkRecordedPath(entry, stats) {
+  if ((entry.type === 'file') ? !stats.isFile() : !stats.isDirectory()) {
+    return 'not a ' + entry.type;
+  }
+  if (typeof process.getuid === 'function' && stats.uid !== process.getuid()) {
+    return 'not owned by the current user';
+  }
+  // The entries recorded by older versions have no device and inode
+  if (typeof entry.ino === 'number' && (stats.dev !== entry.dev || stats.ino !== entry.ino)) {
+    return 'replaced since created';
+  }
+  return null;
+}
+
+/**
+ * Runs the `prune` command. The recorded paths replaced since created are skipped and forgotten.
+ *
+ * @private
+ * @param {Object} values - The parsed options.
+ * @returns {number} The exit code.
+ */
+function prune(values) {
+  const olderThan = (values['older-than'] === undefined)
+    ? 0
+    : parseDuration(values['older-than']);
+  const now = Date.now();
+  const recordFile = getRecordFile();
+
+  const removed = [];
+  const kept = [];
+  const skipped = [];
+  const failed = [];
+  for (const entry of readRecords(recordFile)) {
+    let stats;
+    try {
+      stats = fs.lstatSync(entry.path);
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;  // Already removed, forget it
+      failed.push({ ...entry, error: err.message });
+      kept.push(entry);
+      continue;
+    }
+    if (now - entry.created < olderThan) {
+      kept.push(entry);
+      continue;
+    }
+    const reason = checkRecordedPath(entry, stats);
+    if (reason !== null) {
+      skipped.push({ ...entry, reason });
+      continue;
+    }
+    if (values['dry-run']) {
+      removed.push(entry);
+      kept.push(entry);
+      continue;
+    }
+    try {
+      fs.rmSync(entry.path, { recursive: true, force: true });
+      removed.push(entry);
+    } catch (err) {
+      failed.push({ ...entry, error: err.message });
+      kept.push(entry);
+    }
+  }
+  writeRecords(recordFile, kept);
+
+  print(values.json,
+    { removed, skipped, failed, dryRun: !!values['dry-run'] },
+    removed.map(entry => entry.path)
+      .concat(skipped.map(entry => `Skipped ${entry.path}: ${entry.reason}`))
+      .concat(failed.map(entry => `Failed to remove ${entry.path}: ${entry.error}`))
+      .join('\n'));
+  return (failed.length > 0) ? EXIT_FAILURE : EXIT_SUCCESS;
+}
+
+/**
+ * Runs the command-line interface with the given arguments.
+ *
+ * @private
+ * @param {string[]} args - The command-line arguments, excluding the executable and script paths.
+ * @returns {number} The exit code.
+ */
+function main(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        file: { type: 'boolean', short: 'f' },
+        ext: { type: 'string', short: 'e' },
+        'max-len': { type: 'string', short: 'l' },
+        dir: { type: 'string', short: 'd' },
+        prefix: { type: 'string', short: 'p' },
+        'dry-run': { type: 'boolean', short: 'n' },
+        'older-than': { type: 'string' },
+        json: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+        version: { type: 'boolean', short: 'v' }
+      }
+    });
+  } catch (err) {
+    process.stderr.write(`temppath: ${err.message}\n\n${HELP}`);
+    return EXIT_USAGE;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    process.stdout.write(HELP);
+    return EXIT_SUCCESS;
+  }
+  if (values.version) {
+    process.stdout.write(require('../package.json').version + '\n');
+    return EXIT_SUCCESS;
+  }
+
+  const commands = { create, list, prune };
+  const command = positionals[0] || 'create';
+  try {
+    if (positionals.length > 1 || !Object.prototype.hasOwnProperty.call(commands, command)) {
+      throw new UsageError(`Unknown command: ${positionals.join(' ')}`);
+    }
+    return commands[command](values);
+  } catch (err) {
+    if (err instanceof UsageError) {
+      process.stderr.write(`temppath: ${err.message}\n\n${HELP}`);
+      return EXIT_USAGE;
+    }
+    // Errors thrown by the library are already prefixed
+    const message = err.message.startsWith('temppath:') ? err.message : `temppath: ${err.message}`;
+    process.stderr.write(`${message}${err.cause ? ` (${err.cause.message})` : ''}\n`);
+    return EXIT_FAILURE;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -8,7 +8,10 @@
 
 const fs = require('node:fs');
 const path = require('node:path');
-const { randomUUID } = require('node:crypto');
+const { randomBytes, createHash } = require('node:crypto');
+const { Writable, Readable } = require('node:stream');
+const diagnosticsChannel = require('node:diagnostics_channel');
+const { debuglog } = require('node:util');
 // Should be avoid due to deprecated
 // const { isNullOrUndefined } = require('node:util');
 
@@ -18,12 +21,101 @@ const { randomUUID } = require('node:crypto');
  * {@link module:temppath~createTempPath|createTempPath} function.
  *
  * @callback CreateTempPathCallback
- * @param {?Error} error - An error object if an error occurred, or `null` if no error.
+ * @param {?Error} error - An error object if an error occurred, or `null` if no error. If all
+ *                         attempted paths already exist, it is a {@link TempPathCollisionError}.
  * @param {string} resultPath - The path of the created temporary directory or file.
  * @global
  * @since 0.2.0
  */
 
+/**
+ * An object representating options to configure the temporary file creation with
+ * initial contents. Accepts all properties of {@link TempPathOptions}, except `asFile`.
+ *
+ * @typedef  {TempPathOptions} TempFileOptions
+ * @property {string | Buffer | TypedArray | DataView | AsyncIterable | stream.Readable} [data] -
+ *           The initial contents of the temporary file. Async iterables and `Readable` streams
+ *           are only supported by the asynchronous function.
+ * @property {string}  [encoding='utf8'] - The encoding of `data`, if it is a string.
+ * @property {boolean} [open=false] - Whether to return the temporary file opened for reading
+ *                                    and writing, instead of only its path.
+ * @global
+ * @since  0.6.0
+ */
+
+/**
+ * An object describing a directory layout. Each key is an entry name, which must not contain
+ * path separators, and each value is either:
+ * - a string, `Buffer` or `TypedArray` - creates a file with the given contents,
+ * - a symlink descriptor created by {@link module:temppath~symlink|symlink} - creates a symlink,
+ * - a plain object - creates a sub-directory with the entries described by the object.
+ *
+ * @typedef  {Object<string, (string | Buffer | TypedArray | Object)>} TempTreeSpec
+ * @global
+ * @since  0.6.0
+ */
+
+/**
+ * A disposable handle referring to a temporary tree, created by
+ * {@link module:temppath~createTempTreeSync|createTempTreeSync} or
+ * {@link module:temppath~createTempTreeAsync|createTempTreeAsync}.
+ *
+ * @typedef  {TempPathHandle} TempTree
+ * @property {string} root - The path of the temporary tree root directory, same as `path`.
+ * @property {function(...string): string} resolve - Resolves the given path segments from the root.
+ *                                                   Throws a `RangeError` if the resolved path is
+ *                                                   outside of the root.
+ * @global
+ * @since  0.6.0
+ */
+
+/**
+ * A disposable handle referring to a created temporary directory or file.
+ *
+ * The handle can be used with explicit resource management `using` and `await using`
+ * declarations, where the temporary path is removed when the handle goes out of scope.
+ *
+ * @typedef  {Object}  TempPathHandle
+ * @property {string}  path - The path of the created temporary directory or file.
+ * @property {boolean} isFile - Whether the handle refers to a temporary file.
+ * @property {string}  [root] - The temporary root directory the path was created in, which may be
+ *                              one of the `fallbackRoots` option. Not present on temporary trees.
+ * @property {?number} [freeBytes] - The bytes available on the file system of `root` before
+ *                                   creation, or `null` if the `minFreeBytes` option is not
+ *                                   specified. Not present on temporary trees.
+ * @property {function(): Promise<void>} remove - Asynchronously removes the temporary path,
+ *                                                recursively for directories.
+ * @property {function(): void} removeSync - Synchronously removes the temporary path,
+ *                                           recursively for directories.
+ * @property {function(boolean=): Promise<void>} release - Asynchronously removes the temporary path
+ *                                                        unless retained by the retention policy,
+ *                                                        given whether the operation using it failed.
+ * @property {function(boolean=): void} releaseSync - Synchronously removes the temporary path unless
+ *                                                   retained by the retention policy, given whether
+ *                                                   the operation using it failed.
+ * @property {?Date} expiresAt - The time the temporary path expires at, or `null` if it has no
+ *                               pending expiration. See the `ttl` option of {@link TempPathOptions}.
+ * @property {function(number=): Date} touch - Extends the lifetime of the temporary path to the given
+ *                                             time-to-live in milliseconds from now, defaulting to
+ *                                             the current one, and returns the new expiration time.
+ * @property {function(): boolean} persist - Cancels the expiration of the temporary path, returning
+ *                                           whether it had a pending expiration.
+ * @global
+ * @since  0.6.0
+ */
+
+/**
+ * A pending expiration of a temporary path created with the `ttl` option, as returned by
+ * {@link module:temppath~getExpirations|getExpirations}.
+ *
+ * @typedef  {Object} TempPathExpiration
+ * @property {string} path - The absolute temporary path.
+ * @property {number} ttl - The time-to-live in milliseconds.
+ * @property {Date}   expiresAt - The time the temporary path expires at.
+ * @global
+ * @since  0.6.0
+ */
+
 /**
  * An object representating options to configure the temporary file or directory
  * creation within this module.
@@ -34,331 +126,6121 @@ const { randomUUID } = require('node:crypto');
  *                                    Ignored if the `asFile` is set to `false`.
  * @property {number}  [maxLen=32] - The maximum characters' length of the generated temporary
  *                                   directory or file name.
+ * @property {boolean} [autoCleanup] - Whether to register the created path for removal on process
+ *                                     exit. Defaults to the state set by
+ *                                     {@link module:temppath~track|track}.
+ * @property {string}  [prefix] - A string to prepend to the generated name. See {@link NameOptions}.
+ * @property {string}  [suffix] - A string to append to the generated name, before the extension.
+ *                                See {@link NameOptions}.
+ * @property {string}  [template] - A template to generate the name from. If specified without `ext`,
+ *                                  no default extension is appended. See {@link NameOptions}.
+ * @property {string}  [name] - A name to replace the `{name}` placeholder in `template`.
+ * @property {string | NameGenerator} [generator='hex'] - The generator of the random part of the name.
+ *                                                        See {@link NameOptions}.
+ * @property {string}  [namespace] - The namespace to create the path in. See {@link NameOptions}.
+ * @property {number}  [retries=3] - How many times to retry with a new name if the generated
+ *                                   path already exists. Existing paths are never overwritten.
+ * @property {number}  [mode] - The permission mode of the created file or directory, applied at
+ *                              creation and subject to the process umask. Defaults to `0o600` for
+ *                              files and `0o700` for directories if `secure` is `true`, otherwise
+ *                              the default mode of Node.js.
+ * @property {boolean} [secure=false] - Whether to use the secure preset, which restricts the default
+ *                                      `mode` to the current user and enables `verifyRoot`.
+ * @property {boolean} [verifyRoot] - Whether to verify that the temporary root directory is not
+ *                                    a symlink planted by another user, and that it is owned by
+ *                                    the current user or has the sticky bit set. Ignored on Windows.
+ *                                    Defaults to the `secure` option.
+ * @property {boolean} [marker] - Whether to write a hidden marker file next to the created path,
+ *                                named `.<name>.temppath`, so it can be recognised and removed
+ *                                later by {@link module:temppath~prune|prune}. Defaults to `true`
+ *                                if the path is created in the temporary root, `false` otherwise.
+ * @property {number}  [minFreeBytes] - The minimum bytes that must be available on the file system
+ *                                      of the temporary root, checked with `fs.statfs` before creation.
+ *                                      If not satisfied, the `fallbackRoots` are tried in order. Requires
+ *                                      `fs.statfs` (Node.js 18.15 or later), otherwise the creation fails
+ *                                      with the `ERR_TEMPPATH_UNSUPPORTED` code. The selected root and
+ *                                      the free space are only reported by the temporary path handles.
+ * @property {string}  [keep] - The retention policy of the path, either `'always'`, `'on-failure'`
+ *                               or `'never'`, honoured by the scoped helpers and on process exit for
+ *                               the tracked paths. The retained paths are reported to the standard
+ *                               error on process exit. Defaults to the `TEMPPATH_KEEP` environment
+ *                               variable, or `'never'`.
+ * @property {string[]} [fallbackRoots] - The alternate temporary roots to use if the temporary root
+ *                                        does not have the `minFreeBytes` available. The roots that are
+ *                                        not writable directories are skipped. The namespace directory,
+ *                                        if any, is created in the selected root.
+ * @property {AbortSignal} [signal] - The signal to abort the creation. On abort, the asynchronous
+ *                                    functions remove anything partially created and reject with
+ *                                    an `AbortError`. Ignored by the synchronous functions.
+ * @property {number}  [ttl] - The time-to-live in milliseconds, after which the created path is
+ *                             removed while the process runs, unless always retained by the `keep`
+ *                             option. The expiration never keeps the process alive, and can be
+ *                             extended or cancelled by the `touch` and `persist` methods of handles.
  * @global
  * @since  0.3.0
  */
 
+/**
+ * An object representating options to generate the temporary directory or file name.
+ *
+ * The `template` supports the following placeholders:
+ * - `XXXXXX` - The last run of at least six `X` characters, replaced with the same number
+ *   of cryptographically random characters, like `mkstemp(3)` does. Hexadecimal characters
+ *   are used unless the `generator` is `'base32'` or `'base62'`.
+ * - `{random}` - Replaced with random characters of `maxLen` length.
+ * - `{name}` - Replaced with the `name` option.
+ * - `{pid}` - Replaced with the current process ID.
+ *
+ * A template must contain at least one random placeholder, and the random part must be
+ * at least six characters long.
+ *
+ * @typedef  {Object} NameOptions
+ * @property {number} [maxLen=32] - The maximum characters' length of the random part of the name.
+ * @property {string} [prefix] - A string to prepend to the generated name.
+ * @property {string} [suffix] - A string to append to the generated name.
+ * @property {string} [template] - A template to generate the name from, e.g. `"build-XXXXXX.log"`
+ *                                 or `"{name}-{random}"`.
+ * @property {string} [name] - A name to replace the `{name}` placeholder in `template`.
+ * @property {string | NameGenerator} [generator='hex'] - The name of a built-in generator in
+ *                                    {@link module:temppath~generators|generators}, or a custom
+ *                                    function to generate the random part of the name.
+ * @property {string} [namespace] - The namespace to create the path in a per-user subdirectory of
+ *                                  the temporary root, see {@link module:temppath~getTempRoot|getTempRoot}.
+ *                                  Ignored if the temporary directory is specified.
+ * @global
+ * @since  0.6.0
+ */
+
+/**
+ * Options to configure the temporary path creation of scoped helpers, such as
+ * {@link module:temppath~withTempDir|withTempDir}.
+ *
+ * @typedef  {TempPathOptions} ScopedTempPathOptions
+ * @property {string} [tmpdir] - The temporary directory path. If not provided or empty,
+ *                               it defaults to the system's temporary directory.
+ * @global
+ * @since  0.6.0
+ */
+
+/**
+ * Options to configure the batch creation of temporary paths by
+ * {@link module:temppath~createTempPaths|createTempPaths}.
+ *
+ * @typedef  {ScopedTempPathOptions} BatchTempPathOptions
+ * @property {number} [concurrency=8] - The maximum number of paths being created at once.
+ *                                      Ignored by the synchronous function.
+ * @global
+ * @since  0.6.0
+ */
+
+/**
+ * An object representating options to clone a file or directory into a temporary directory by
+ * {@link module:temppath~cloneToTemp|cloneToTemp}. Accepts all properties of
+ * {@link ScopedTempPathOptions}, except `asFile`.
+ *
+ * The `symlinks` option is one of:
+ * - `'rewrite'` - Copies the symlinks, redirecting the absolute targets within the source to the
+ *   clone and making the relative targets outside of the source absolute, so the cloned symlinks
+ *   never point into the source.
+ * - `'preserve'` - Copies the symlinks with the same targets.
+ * - `'skip'` - Does not copy the symlinks.
+ *
+ * @typedef  {ScopedTempPathOptions} CloneOptions
+ * @property {function(string, string): (boolean | Promise<boolean>)} [filter] - A function called
+ *           with the source and destination paths of each entry, returning whether to copy it.
+ *           Skipping a directory skips its entries as well. Promises are only supported by the
+ *           asynchronous function.
+ * @property {boolean} [dereference=false] - Whether to copy the targets of the symlinks instead
+ *                                           of the symlinks themselves.
+ * @property {string}  [symlinks='rewrite'] - How to copy the symlinks, ignored if `dereference`
+ *                                            is `true`.
+ * @global
+ * @since  0.6.0
+ */
+
+/**
+ * A session grouping related temporary paths, created by {@link module:temppath~createSession|createSession}
+ * or loaded by {@link module:temppath~loadSession|loadSession}.
+ *
+ * The options of `dir`, `file` and their synchronous versions override the default options of the
+ * session. The `file` and `fileSync` methods accept the {@link TempFileOptions} as well.
+ *
+ * @typedef  {Object}  TempSession
+ * @property {string}  id - The random identifier of the session.
+ * @property {string}  manifest - The absolute path of the manifest file.
+ * @property {function(ScopedTempPathOptions=): Promise<string>} dir - Creates a temporary directory.
+ * @property {function(ScopedTempPathOptions=): string} dirSync - Synchronously creates a temporary directory.
+ * @property {function(TempFileOptions=): Promise<string>} file - Creates a temporary file.
+ * @property {function(TempFileOptions=): string} fileSync - Synchronously creates a temporary file.
+ * @property {function(): Array<{path: string, type: string, created: number}>} list - Returns the
+ *           recorded temporary paths.
+ * @property {function(): Promise<number>} size - Calculates the total size in bytes of the recorded paths.
+ * @property {function(): number} sizeSync - Synchronously calculates the total size in bytes.
+ * @property {function(): Promise<void>} dispose - Removes all recorded paths and the manifest file.
+ *           The paths failed to be removed are kept in the manifest.
+ * @property {function(): void} disposeSync - Synchronously removes all recorded paths and the manifest file.
+ * @property {function(): Object} toJSON - Returns the manifest contents.
+ * @global
+ * @since  0.6.0
+ */
+
+/**
+ * A function resolving a candidate of the temporary root directory, see
+ * {@link module:temppath~configureTempRoot|configureTempRoot}.
+ *
+ * @callback TempRootResolver
+ * @returns {?string | undefined} The candidate directory path, or a nullish value or
+ *                                an empty string to skip to the next resolver.
+ * @global
+ * @since 0.6.0
+ */
+
+/**
+ * Options to configure the removal of stale temporary paths by
+ * {@link module:temppath~prune|prune}.
+ *
+ * @typedef  {Object}  PruneOptions
+ * @property {string}  [root] - The directory to scan. Defaults to {@link module:temppath~getTempRoot|getTempRoot}.
+ * @property {number}  [olderThan=0] - The minimum age in milliseconds of the paths to remove.
+ * @property {string | RegExp | function(string): boolean} [match] - Only remove the paths whose
+ *                                    names start with the given string, match the given regular
+ *                                    expression, or for which the given function returns `true`.
+ * @property {boolean} [dryRun=false] - Whether to only report the paths that would be removed.
+ * @property {AbortSignal} [signal] - The signal to stop pruning. On abort, no more paths are removed
+ *                                    and the promise rejects with an `AbortError`. Ignored by
+ *                                    {@link module:temppath~pruneSync|pruneSync}.
+ * @global
+ * @since  0.6.0
+ */
+
+/**
+ * The report of {@link module:temppath~prune|prune}.
+ *
+ * The `reason` of skipped paths is one of:
+ * - `'not-matched'` - The name does not satisfy the `match` option.
+ * - `'not-expired'` - The path is younger than the `olderThan` option.
+ * - `'not-owned'` - The path or its marker is not owned by the current user, or does not
+ *   match the recorded type.
+ * - `'invalid-marker'` - The marker file cannot be parsed.
+ * - `'error'` - The path failed to be inspected or removed, see the `error` property.
+ *
+ * @typedef  {Object}  PruneReport
+ * @property {Array<{path: string, size: number, created: number}>} removed - The removed paths,
+ *                                    or the paths that would be removed in a dry run.
+ * @property {Array<{path: string, reason: string, error?: Error}>} skipped - The recognised paths
+ *                                    that were kept.
+ * @property {number}  bytesFreed - The total size in bytes of the removed paths.
+ * @property {boolean} dryRun - Whether nothing was actually removed.
+ * @global
+ * @since  0.6.0
+ */
+
+/**
+ * The details of an error thrown by this module, see {@link module:temppath~TempPathError|TempPathError}.
+ *
+ * @typedef  {Object}  TempPathErrorDetails
+ * @property {string}  [code] - The stable error code, defaults to the code of the error class.
+ * @property {?string} [path] - The attempted path.
+ * @property {?string} [operation] - The operation that failed, e.g. `'create'` or `'remove'`.
+ * @property {Error}   [cause] - The original error.
+ * @global
+ * @since  0.6.0
+ */
+
+/**
+ * The message published to the diagnostics channels of this module, see
+ * {@link module:temppath~channels|channels}. The properties depend on the channel:
+ *
+ * - `create` - `path`, `type`, `root`, `size` and `duration`.
+ * - `remove` - `path`, `type`, `size` and `duration`.
+ * - `error` - `path`, `operation`, `code` and `error`.
+ * - `prune` - `path`, `size`, `dryRun`, `report` and `duration`.
+ *
+ * @typedef  {Object}  TempPathEvent
+ * @property {?string} path - The created, removed or attempted path, or the pruned root directory.
+ * @property {string}  [type] - The type of the path, either `'file'` or `'directory'`.
+ * @property {string}  [root] - The temporary root directory the path was created in.
+ * @property {number}  [size] - The size in bytes of the created or removed path, recursively for
+ *                              directories, or the bytes freed by pruning.
+ * @property {number}  [duration] - The duration of the operation in milliseconds.
+ * @property {string}  [operation] - The operation that failed, e.g. `'create'` or `'remove'`.
+ * @property {string}  [code] - The stable error code.
+ * @property {TempPathError} [error] - The error.
+ * @property {boolean} [dryRun] - Whether nothing was actually removed by pruning.
+ * @property {PruneReport} [report] - The report of pruning.
+ * @global
+ * @since  0.6.0
+ */
+
+
+/**
+ * The `Symbol.dispose` symbol, or the one used by Node.js if not supported by the runtime.
+ * @private
+ * @type {symbol}
+ * @since 0.6.0
+ */
+const disposeSymbol = Symbol.dispose || Symbol.for('nodejs.dispose');
+
+/**
+ * The `Symbol.asyncDispose` symbol, or the one used by Node.js if not supported by the runtime.
+ * @private
+ * @type {symbol}
+ * @since 0.6.0
+ */
+const asyncDisposeSymbol = Symbol.asyncDispose || Symbol.for('nodejs.asyncDispose');
 
 // Alternative for `node:util.isNullOrUndefined`
 function isNullOrUndefined(o) {
   return (o === null || typeof o === 'undefined');
 }
 
+/*-------------------
+ * ERRORS
+ -------------------*/
+
+/**
+ * Marks the errors thrown by this module, so they are instances of
+ * {@link module:temppath~TempPathError|TempPathError} regardless of their base class.
+ *
+ * @private
+ * @type {symbol}
+ * @since 0.6.0
+ */
+const TEMPPATH_ERROR = Symbol('temppath.error');
+
+/**
+ * Assigns the details of the error thrown by this module.
+ *
+ * @private
+ * @function
+ * @param {Error} err - The error.
+ * @param {string} name - The name of the error class.
+ * @param {string} defaultCode - The code used if the details has no code.
+ * @param {TempPathErrorDetails} [details] - The details of the error.
+ * @since 0.6.0
+ */
+function __initError(err, name, defaultCode, details) {
+  details = details || {};
+  Object.defineProperty(err, 'name', { value: name, configurable: true, writable: true });
+  Object.defineProperty(err, TEMPPATH_ERROR, { value: true });
+  err.code = details.code || defaultCode;
+  err.path = isNullOrUndefined(details.path) ? null : details.path;
+  err.operation = details.operation || null;
+}
+
+/**
+ * The base class of errors thrown by this module, except the validation errors which
+ * extend the built-in `TypeError` and `RangeError` but are instances of this class too.
+ *
+ * The `code` property is one of the stable error codes:
+ * - `ERR_TEMPPATH_INVALID_ARG` - An argument is invalid.
+ * - `ERR_TEMPPATH_INVALID_OPTION` - An option is invalid.
+ * - `ERR_TEMPPATH_INVALID_NAME` - A name contains path separators or invalid characters.
+ * - `ERR_TEMPPATH_NAME_TOO_LONG` - A name or path exceeds the file system or platform limits.
+ * - `ERR_TEMPPATH_COLLISION` - All attempted paths already exist.
+ * - `ERR_TEMPPATH_PERMISSION_DENIED` - The operation is not permitted by the file system.
+ * - `ERR_TEMPPATH_NO_SPACE` - The file system is full or the disk quota is exceeded.
+ * - `ERR_TEMPPATH_ROOT_UNWRITABLE` - None of the temporary root candidates is writable.
+ * - `ERR_TEMPPATH_INSECURE_ROOT` - The temporary root or namespace directory is insecure.
+ * - `ERR_TEMPPATH_CREATE_FAILED` - A temporary path failed to be created.
+ * - `ERR_TEMPPATH_WRITE_FAILED` - A file failed to be written.
+ * - `ERR_TEMPPATH_READ_FAILED` - A file or directory failed to be read.
+ * - `ERR_TEMPPATH_REMOVE_FAILED` - A temporary path failed to be removed.
+ * - `ERR_TEMPPATH_INVALID_MANIFEST` - A session manifest is invalid.
+ * - `ERR_TEMPPATH_INVALID_STATE` - The object is not in a state to perform the operation.
+ * - `ERR_TEMPPATH_UNSUPPORTED` - The operation is not supported by the runtime.
+ * - `ERR_TEMPPATH_OPERATION_FAILED` - Any other failure.
+ *
+ * @public
+ * @class
+ * @extends Error
+ * @param {string} message - The error message.
+ * @param {TempPathErrorDetails} [details] - The details of the error.
+ *
+ * @property {string} code - The stable error code.
+ * @property {?string} path - The attempted path, if any.
+ * @property {?string} operation - The operation that failed, e.g. `'create'` or `'remove'`.
+ * @property {Error} [cause] - The original error, if any.
+ *
+ * @example
+ * try {
+ *   createTempPathSync({ mode: 0o600 });
+ * } catch (err) {
+ *   if (err instanceof TempPathError && err.code === 'ERR_TEMPPATH_NO_SPACE') {
+ *     // ...
+ *   }
+ * }
+ *
+ * @since 0.6.0
+ */
+class TempPathError extends Error {
+  constructor(message, details) {
+    super(message, (details && details.cause) ? { cause: details.cause } : undefined);
+    __initError(this, 'TempPathError', 'ERR_TEMPPATH_OPERATION_FAILED', details);
+  }
+
+  // The validation errors do not inherit this class, recognise them by the mark
+  static [Symbol.hasInstance](instance) {
+    if (this !== TempPathError) return Function.prototype[Symbol.hasInstance].call(this, instance);
+    return !isNullOrUndefined(instance) && instance[TEMPPATH_ERROR] === true;
+  }
+}
+
+/**
+ * An error indicating that an argument or option has an incorrect type or is otherwise invalid.
+ * It is an instance of both `TypeError` and {@link module:temppath~TempPathError|TempPathError}.
+ *
+ * @public
+ * @class
+ * @extends TypeError
+ * @param {string} message - The error message.
+ * @param {TempPathErrorDetails} [details] - The details of the error. The `code` defaults
+ *                                          to `ERR_TEMPPATH_INVALID_OPTION`.
+ * @since 0.6.0
+ */
+class TempPathTypeError extends TypeError {
+  constructor(message, details) {
+    super(message, (details && details.cause) ? { cause: details.cause } : undefined);
+    __initError(this, 'TempPathTypeError', 'ERR_TEMPPATH_INVALID_OPTION', details);
+  }
+}
+
+/**
+ * An error indicating that an argument or option is out of the accepted range.
+ * It is an instance of both `RangeError` and {@link module:temppath~TempPathError|TempPathError}.
+ *
+ * @public
+ * @class
+ * @extends RangeError
+ * @param {string} message - The error message.
+ * @param {TempPathErrorDetails} [details] - The details of the error. The `code` defaults
+ *                                          to `ERR_TEMPPATH_INVALID_OPTION`.
+ * @since 0.6.0
+ */
+class TempPathRangeError extends RangeError {
+  constructor(message, details) {
+    super(message, (details && details.cause) ? { cause: details.cause } : undefined);
+    __initError(this, 'TempPathRangeError', 'ERR_TEMPPATH_INVALID_OPTION', details);
+  }
+}
+
+/**
+ * An error indicating that all attempted paths already exist, with the `ERR_TEMPPATH_COLLISION` code.
+ *
+ * @public
+ * @class
+ * @extends TempPathError
+ * @param {string} message - The error message.
+ * @param {string[]} attemptedPaths - The attempted paths.
+ * @param {TempPathErrorDetails} [details] - The details of the error.
+ *
+ * @property {string[]} attemptedPaths - The attempted paths, the last one is the `path`.
+ * @since 0.6.0
+ */
+class TempPathCollisionError extends TempPathError {
+  constructor(message, attemptedPaths, details) {
+    super(message, {
+      ...details,
+      code: 'ERR_TEMPPATH_COLLISION',
+      path: attemptedPaths[attemptedPaths.length - 1]
+    });
+    this.name = 'TempPathCollisionError';
+    this.attemptedPaths = attemptedPaths;
+  }
+}
+
+/**
+ * An error aggregating several errors of the same operation, e.g. when several paths
+ * failed to be removed. It is an instance of both `AggregateError` and
+ * {@link module:temppath~TempPathError|TempPathError}.
+ *
+ * @public
+ * @class
+ * @extends AggregateError
+ * @param {Error[]} errors - The aggregated errors.
+ * @param {string} message - The error message.
+ * @param {TempPathErrorDetails} [details] - The details of the error.
+ * @since 0.6.0
+ */
+class TempPathAggregateError extends AggregateError {
+  constructor(errors, message, details) {
+    super(errors, message);
+    __initError(this, 'TempPathAggregateError', 'ERR_TEMPPATH_OPERATION_FAILED', details);
+  }
+}
+
+/**
+ * Returns the error code for the given file system error.
+ *
+ * @private
+ * @function
+ * @param {Error} cause - The file system error.
+ * @param {string} fallback - The code to return if the error has no specific code.
+ * @returns {string} The error code.
+ * @since 0.6.0
+ */
+function __fsErrorCode(cause, fallback) {
+  switch (cause && cause.code) {
+    case 'EACCES':
+    case 'EPERM':
+    case 'EROFS':
+      return 'ERR_TEMPPATH_PERMISSION_DENIED';
+    case 'ENOSPC':
+    case 'EDQUOT':
+      return 'ERR_TEMPPATH_NO_SPACE';
+    case 'ENAMETOOLONG':
+      return 'ERR_TEMPPATH_NAME_TOO_LONG';
+    default:
+      return fallback;
+  }
+}
+
+/**
+ * Creates an error from the given source error, with the code derived from it.
+ *
+ * @private
+ * @function
+ * @param {string} message - The error message.
+ * @param {string} fallback - The code if the cause has no specific code. If the cause is
+ *                            thrown by this module, its code is used instead.
+ * @param {string} operation - The operation that failed.
+ * @param {?string} attemptedPath - The attempted path.
+ * @param {Error} cause - The source error. Returned as is if it is an `AbortError`.
+ * @returns {TempPathError} The error, with source error as causative error.
+ * @since 0.6.0
+ */
+function __fsError(message, fallback, operation, attemptedPath, cause) {
+  if (__isAbortError(cause)) return cause;  // Aborted by the caller, not a failure
+  const err = new TempPathError(message, {
+    code: (cause instanceof TempPathError) ? cause.code : __fsErrorCode(cause, fallback),
+    path: isNullOrUndefined(attemptedPath) ? (cause && cause.path) : attemptedPath,
+    operation,
+    cause
+  });
+  // The errors thrown by this module have been published already
+  return (cause instanceof TempPathError) ? err : __publishError(err);
+}
+
+/*-------------------
+ * DIAGNOSTICS
+ -------------------*/
+
+/**
+ * The names of the diagnostics channels this module publishes {@link TempPathEvent} messages to:
+ *
+ * - `create` - A temporary path has been created.
+ * - `remove` - A temporary path has been removed.
+ * - `error` - An operation has failed, published when the error is created.
+ * - `prune` - The stale temporary paths have been pruned.
+ *
+ * The messages are also logged to the standard error if the `NODE_DEBUG` environment
+ * variable contains `temppath`.
+ *
+ * @public
+ * @readonly
+ * @type {Readonly<{create: string, remove: string, error: string, prune: string}>}
+ *
+ * @example
+ * const diagnosticsChannel = require('node:diagnostics_channel');
+ * diagnosticsChannel.subscribe(channels.remove, function (message) {
+ *   metrics.increment('temppath.removed.bytes', message.size);
+ * });
+ *
+ * @since 0.6.0
+ */
+const channels = Object.freeze({
+  create: 'temppath:create',
+  remove: 'temppath:remove',
+  error: 'temppath:error',
+  prune: 'temppath:prune'
+});
+
+/**
+ * The diagnostics channels, keyed by the event name.
+ * @private
+ * @type {Object<string, diagnosticsChannel.Channel>}
+ * @since 0.6.0
+ */
+const diagnosticChannels = Object.fromEntries(Object.entries(channels)
+  .map(([ event, name ]) => [ event, diagnosticsChannel.channel(name) ]));
+
+/**
+ * Logs the debug message if `NODE_DEBUG` contains `temppath`.
+ * @private
+ * @type {Function}
+ * @since 0.6.0
+ */
+const debug = debuglog('temppath');
+
+/**
+ * Returns whether the given event is observed, either by a subscriber of its channel or
+ * by the debug log, so the costly details of the message are computed only if needed.
+ *
+ * @private
+ * @function
+ * @param {string} event - The event name.
+ * @returns {boolean} `true` if the event is observed.
+ * @since 0.6.0
+ */
+function __isObserved(event) {
+  return diagnosticChannels[event].hasSubscribers || debug.enabled;
+}
+
+/**
+ * Returns the current high-resolution time in milliseconds, to measure the duration
+ * of the operations.
+ *
+ * @private
+ * @function
+ * @returns {number} The time in milliseconds.
+ * @since 0.6.0
+ */
+function __now() {
+  return Number(process.hrtime.bigint()) / 1e6;
+}
+
+/**
+ * Publishes the given message to the channel of the given event and logs it to the debug log.
+ *
+ * @private
+ * @function
+ * @param {string} event - The event name.
+ * @param {TempPathEvent} message - The message.
+ * @since 0.6.0
+ */
+function __publish(event, message) {
+  if (!__isObserved(event)) return;
+  message = Object.freeze(message);
+  const duration = isNullOrUndefined(message.duration) ? '' : ` in ${message.duration.toFixed(3)}ms`;
+  switch (event) {
+    case 'create':
+      debug('created %s %s (%d bytes)%s', message.type, message.path, message.size, duration);
+      break;
+    case 'remove':
+      debug('removed %s %s (%d bytes)%s', message.type, message.path, message.size, duration);
+      break;
+    case 'error':
+      debug('%s failed on %s [%s]: %s', message.operation, message.path, message.code,
+        message.error.message);
+      break;
+    case 'prune':
+      debug('pruned %d path(s) from %s, freed %d bytes%s%s', message.report.removed.length,
+        message.path, message.size, message.dryRun ? ' (dry run)' : '', duration);
+      break;
+  }
+  diagnosticChannels[event].publish(message);
+}
+
+/**
+ * Publishes the creation of the given temporary path.
+ *
+ * @private
+ * @function
+ * @param {string} createdPath - The created temporary path.
+ * @param {boolean} isFile - Whether the created temporary path is a file.
+ * @param {string} root - The temporary root directory the path was created in.
+ * @param {number} size - The size in bytes of the initial contents.
+ * @param {number} start - The time the creation started, see `__now`.
+ * @since 0.6.0
+ */
+function __publishCreate(createdPath, isFile, root, size, start) {
+  __publish('create', {
+    path: createdPath,
+    type: isFile ? 'file' : 'directory',
+    root,
+    size,
+    duration: __now() - start
+  });
+}
+
+/**
+ * Publishes the removal of the given temporary path.
+ *
+ * @private
+ * @function
+ * @param {string} removedPath - The removed temporary path.
+ * @param {fs.Stats} stats - The stats of the path before removal.
+ * @param {number} size - The size in bytes of the path before removal.
+ * @param {number} start - The time the removal started, see `__now`.
+ * @since 0.6.0
+ */
+function __publishRemove(removedPath, stats, size, start) {
+  __publish('remove', {
+    path: removedPath,
+    type: stats.isDirectory() ? 'directory' : 'file',
+    size,
+    duration: __now() - start
+  });
+}
+
+/**
+ * Publishes the completion of pruning, returning the report back.
+ *
+ * @private
+ * @function
+ * @param {string} root - The pruned root directory.
+ * @param {PruneReport} report - The report of pruning.
+ * @param {number} start - The time pruning started, see `__now`.
+ * @returns {PruneReport} The given report.
+ * @since 0.6.0
+ */
+function __publishPrune(root, report, start) {
+  __publish('prune', {
+    path: root,
+    size: report.bytesFreed,
+    dryRun: report.dryRun,
+    report,
+    duration: __now() - start
+  });
+  return report;
+}
+
+/**
+ * Publishes the given operation failure, returning the error back.
+ *
+ * @private
+ * @function
+ * @param {TempPathError} err - The error.
+ * @returns {TempPathError} The given error.
+ * @since 0.6.0
+ */
+function __publishError(err) {
+  __publish('error', { path: err.path, operation: err.operation, code: err.code, error: err });
+  return err;
+}
+
+/*-------------------
+ * ABORT SIGNALS
+ -------------------*/
+
+/**
+ * Validates the given abort signal.
+ *
+ * @private
+ * @function
+ * @param {*} signal - The abort signal.
+ * @throws {TypeError} If the signal is not an `AbortSignal`.
+ * @since 0.6.0
+ */
+function __validateSignal(signal) {
+  if (typeof signal !== 'object' || signal === null || typeof signal.aborted !== 'boolean'
+      || typeof signal.addEventListener !== 'function') {
+    throw new TempPathTypeError(`Expected an AbortSignal for signal, got ${
+      (signal === null) ? 'null' : typeof signal
+    }`);
+  }
+}
+
+/**
+ * Creates an `AbortError` for the given aborted signal, the same as the one thrown
+ * by the Node.js APIs, with the `ABORT_ERR` code and the abort reason as the cause.
+ *
+ * @private
+ * @function
+ * @param {AbortSignal} signal - The aborted signal.
+ * @returns {Error} The error.
+ * @since 0.6.0
+ */
+function __abortError(signal) {
+  const err = new Error('The operation was aborted', { cause: signal.reason });
+  Object.defineProperty(err, 'name', { value: 'AbortError', configurable: true, writable: true });
+  err.code = 'ABORT_ERR';
+  return err;
+}
+
+/**
+ * Returns whether the given error is an `AbortError`, which is never wrapped by this module.
+ *
+ * @private
+ * @function
+ * @param {*} err - The error.
+ * @returns {boolean} `true` if the error is an `AbortError`.
+ * @since 0.6.0
+ */
+function __isAbortError(err) {
+  return !isNullOrUndefined(err) && err.name === 'AbortError';
+}
+
+/**
+ * Throws an `AbortError` if the given signal, if any, has been aborted.
+ *
+ * @private
+ * @function
+ * @param {?AbortSignal} signal - The abort signal.
+ * @throws {Error} An `AbortError` if the signal has been aborted.
+ * @since 0.6.0
+ */
+function __throwIfAborted(signal) {
+  if (signal && signal.aborted) throw __abortError(signal);
+}
+
+/*-------------------
+ * TEMPORARY ROOT
+ -------------------*/
+
+/**
+ * Returns a resolver that reads the temporary root directory from the given
+ * environment variable.
+ *
+ * @private
+ * @function
+ * @param {string} name - The name of the environment variable.
+ * @returns {TempRootResolver} The resolver.
+ * @since 0.6.0
+ */
+function __envResolver(name) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new TempPathTypeError(
+      `Expected a non-empty string for environment variable name, got ${typeof name}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+  return () => process.env[name];
+}
+
+/**
+ * Built-in temporary root resolvers, to compose a custom resolution chain for
+ * {@link module:temppath~configureTempRoot|configureTempRoot}.
+ *
+ * - `env(name)` - Creates a resolver reading the given environment variable, e.g. `env('XDG_RUNTIME_DIR')`.
+ * - `tmpdir` - Resolves to `os.tmpdir()`.
+ * - `cwd` - Resolves to the `tmp` directory in the current working directory.
+ * - `defaults` - The default resolution chain: the `TEMPPATH_DIR`, `TMPDIR`, `TMP` and `TEMP`
+ *   environment variables, then `tmpdir` and `cwd`.
+ *
+ * @public
+ * @readonly
+ * @type {Readonly<{env: function(string): TempRootResolver, tmpdir: TempRootResolver,
+ *                  cwd: TempRootResolver, defaults: ReadonlyArray<TempRootResolver>}>}
+ * @since 0.6.0
+ */
+const resolvers = (function () {
+  const tmpdir = () => require('node:os').tmpdir();
+  const cwd = () => path.resolve(process.cwd(), 'tmp');
+  return Object.freeze({
+    env: __envResolver,
+    tmpdir,
+    cwd,
+    defaults: Object.freeze([
+      __envResolver('TEMPPATH_DIR'),  // Explicit override for this module
+      __envResolver('TMPDIR'),        // Unix-like & MacOS systems
+      __envResolver('TMP'),           // Windows system
+      __envResolver('TEMP'),          // Windows system
+      tmpdir,                         // Fallback
+      cwd                             // Otherwise, use current directory
+    ])
+  });
+})();
+
+/**
+ * The configured temporary root resolution chain.
+ *
+ * @private
+ * @type {ReadonlyArray<string | TempRootResolver>}
+ * @since 0.6.0
+ */
+let rootResolvers = resolvers.defaults;
+
+/**
+ * The configured default namespace, or `null` if none.
+ *
+ * @private
+ * @type {?string}
+ * @since 0.6.0
+ */
+let rootNamespace = null;
+
+/**
+ * Validates the given namespace.
+ *
+ * @private
+ * @function
+ * @param {*} namespace - The namespace to validate.
+ * @throws {TypeError} If the namespace is not a non-empty string, or contains path
+ *                     separators or invalid characters.
+ * @since 0.6.0
+ */
+function __validateNamespace(namespace) {
+  if (typeof namespace !== 'string' || namespace.length === 0) {
+    throw new TempPathTypeError(`Expected a non-empty string for namespace, got ${typeof namespace}`);
+  }
+  if (namespace === '.' || namespace === '..') {
+    throw new TempPathTypeError(`The namespace must not be a relative directory: ${namespace}`);
+  }
+  __validateName(namespace, 'namespace');
+}
+
+/**
+ * Whether the temporary path is created in a namespace directory, that is when no
+ * temporary directory is specified and a namespace is either given or configured.
+ *
+ * @private
+ * @function
+ * @param {?string} tmpdir - The temporary directory path.
+ * @param {TempPathOptions} options - The validated options.
+ * @returns {boolean}
+ * @since 0.6.0
+ */
+function __isNamespaced(tmpdir, options) {
+  return (isNullOrUndefined(tmpdir) || tmpdir.length === 0)
+    && (!isNullOrUndefined(options.namespace) || rootNamespace !== null);
+}
+
+/**
+ * Returns the name of the per-user namespace directory, suffixed with the user ID
+ * on POSIX systems or the user name on Windows, so users never share the same subtree.
+ *
+ * @private
+ * @function
+ * @param {string} namespace - The validated namespace.
+ * @returns {string} The namespace directory name, e.g. `"myapp-1000"`.
+ * @since 0.6.0
+ */
+function __namespaceDir(namespace) {
+  if (typeof process.getuid === 'function') return `${namespace}-${process.getuid()}`;
+  try {
+    return `${namespace}-${require('node:os').userInfo().username}`;
+  } catch (_err) {
+    return namespace;  // The user has no name, e.g. in some containers
+  }
+}
+
+/**
+ * Whether the given directory is writable, or can be created because its nearest
+ * existing ancestor is a writable directory.
+ *
+ * @private
+ * @function
+ * @param {string} dir - The absolute directory path.
+ * @returns {boolean}
+ * @since 0.6.0
+ */
+function __isWritableDir(dir) {
+  for (;;) {
+    try {
+      if (!fs.statSync(dir).isDirectory()) return false;
+      fs.accessSync(dir, fs.constants.W_OK);
+      return true;
+    } catch (err) {
+      if (err.code !== 'ENOENT') return false;
+      const parent = path.dirname(dir);
+      if (parent === dir) return false;
+      dir = parent;  // Does not exist yet, check whether it can be created
+    }
+  }
+}
+
+/**
+ * Asynchronously checks whether the given directory is writable, or can be created because
+ * its nearest existing ancestor is a writable directory.
+ *
+ * @private
+ * @function
+ * @param {string} dir - The absolute directory path.
+ * @returns {Promise<boolean>}
+ * @since 0.6.0
+ */
+function __isWritableDirAsync(dir) {
+  return fs.promises.stat(dir)
+    .then(function (stats) {
+      if (!stats.isDirectory()) return false;
+      return fs.promises.access(dir, fs.constants.W_OK).then(() => true);
+    })
+    .catch(function (err) {
+      if (err.code !== 'ENOENT') return false;
+      const parent = path.dirname(dir);
+      // Does not exist yet, check whether it can be created
+      return (parent === dir) ? false : __isWritableDirAsync(parent);
+    });
+}
+
+/**
+ * Returns the namespace to resolve the temporary root with, validated.
+ *
+ * @private
+ * @function
+ * @param {?Object} options - Options to resolve the temporary root directory.
+ * @returns {?string} The namespace, or `null` if none.
+ * @throws {TypeError} If the options or the namespace are invalid.
+ * @since 0.6.0
+ */
+function __rootNamespace(options) {
+  if (!isNullOrUndefined(options) && typeof options !== 'object') {
+    throw new TempPathTypeError(
+      `The "options" argument must be an object. Received ${typeof options}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+  const namespace = (options && !isNullOrUndefined(options.namespace))
+    ? options.namespace
+    : rootNamespace;
+  if (namespace !== null) __validateNamespace(namespace);
+  return namespace;
+}
+
+/**
+ * Returns the non-empty candidates of the configured resolution chain, resolved to
+ * absolute paths, in order.
+ *
+ * @private
+ * @function
+ * @returns {string[]} The candidates.
+ * @since 0.6.0
+ */
+function __tempRootCandidates() {
+  const candidates = [];
+  for (const resolver of rootResolvers) {
+    const candidate = (typeof resolver === 'function') ? resolver() : resolver;
+    if (typeof candidate === 'string' && candidate.length > 0) candidates.push(path.resolve(candidate));
+  }
+  return candidates;
+}
+
+/**
+ * Returns the temporary root directory for the given resolved root and namespace.
+ *
+ * @private
+ * @function
+ * @param {string} root - The resolved root.
+ * @param {?string} namespace - The namespace, or `null` if none.
+ * @returns {string} The temporary root directory.
+ * @since 0.6.0
+ */
+function __namespacedRoot(root, namespace) {
+  return (namespace === null) ? root : path.join(root, __namespaceDir(namespace));
+}
+
+/**
+ * Creates an error indicating that none of the candidates is a writable directory.
+ *
+ * @private
+ * @function
+ * @param {string[]} candidates - The tried candidates.
+ * @returns {TempPathError} The error, published to the error channel.
+ * @since 0.6.0
+ */
+function __rootUnwritableError(candidates) {
+  return __publishError(new TempPathError(`temppath: No writable temporary root directory found${
+    (candidates.length > 0) ? `, tried: ${candidates.join(', ')}` : ''
+  }`, { code: 'ERR_TEMPPATH_ROOT_UNWRITABLE', operation: 'resolve-root' }));
+}
+
+/**
+ * Retrieves the temporary root directory by trying each candidate of the configured
+ * resolution chain, see {@link module:temppath~configureTempRoot|configureTempRoot}.
+ *
+ * By default, the following candidates are tried in order:
+ * - `TEMPPATH_DIR` environment variable, to override the temporary root for this module only
+ * - `TMPDIR` on UNIX-like and macOS systems
+ * - `TMP` or `TEMP` on Windows systems
+ * - `os.tmpdir()`
+ * - The `tmp` directory in the current working directory
+ *
+ * Empty candidates are skipped, and so are the candidates that are not writable directories,
+ * falling back to the next one. The candidates that do not exist yet are accepted if they can
+ * be created.
+ *
+ * If a namespace is specified, either by the `namespace` option or by
+ * {@link module:temppath~configureTempRoot|configureTempRoot}, the returned path is a per-user
+ * subdirectory of the resolved root, named `<namespace>-<uid>`. It is created along with the
+ * temporary paths in it.
+ *
+ * @public
+ * @function
+ * @param {Object} [options] - Options to resolve the temporary root directory.
+ * @param {string} [options.namespace] - The namespace, overrides the configured one.
+ *
+ * @returns {string} The absolute path of the temporary root directory.
+ *
+ * @throws {TypeError} If the given namespace is invalid.
+ * @throws {Error} If none of the candidates is a writable directory.
+ *
+ * @example
+ * getTempRoot();
+ * // Unix: "$TMPDIR"
+ * getTempRoot({ namespace: 'myapp' });
+ * // Unix: "$TMPDIR/myapp-<UID>"
+ *
+ * @since 0.6.0
+ */
+function getTempRoot(options) {
+  const namespace = __rootNamespace(options);
+  const candidates = __tempRootCandidates();
+  const root = candidates.find(candidate => __isWritableDir(candidate));
+  if (isNullOrUndefined(root)) throw __rootUnwritableError(candidates);
+  return __namespacedRoot(root, namespace);
+}
+
+/**
+ * Asynchronously retrieves the temporary root directory, the same as
+ * {@link module:temppath~getTempRoot|getTempRoot} but without blocking on the file system.
+ *
+ * @private
+ * @function
+ * @param {Object} [options] - Options to resolve the temporary root directory.
+ * @param {string} [options.namespace] - The namespace, overrides the configured one.
+ * @returns {Promise<string>} A promise that resolves with the temporary root directory.
+ * @since 0.6.0
+ */
+function __getTempRootAsync(options) {
+  return new Promise(function (resolve) {
+    const namespace = __rootNamespace(options);
+    const candidates = __tempRootCandidates();
+    // Check the candidates one by one, in order
+    resolve(candidates.reduce(function (chain, candidate) {
+      return chain.then(function (root) {
+        if (root) return root;
+        return __isWritableDirAsync(candidate).then(writable => (writable ? candidate : null));
+      });
+    }, Promise.resolve(null)).then(function (root) {
+      if (!root) throw __rootUnwritableError(candidates);
+      return __namespacedRoot(root, namespace);
+    }));
+  });
+}
+
+/**
+ * Returns the temporary root directory to generate the paths in, without checking it on
+ * the file system: the first candidate of the configured resolution chain.
+ *
+ * @private
+ * @function
+ * @param {Object} [options] - Options to resolve the temporary root directory.
+ * @param {string} [options.namespace] - The namespace, overrides the configured one.
+ * @returns {string} The temporary root directory.
+ * @throws {TempPathError} If the resolution chain has no candidate at all.
+ * @since 0.6.0
+ */
+function __defaultTempRoot(options) {
+  const namespace = __rootNamespace(options);
+  const candidates = __tempRootCandidates();
+  if (candidates.length === 0) throw __rootUnwritableError(candidates);
+  return __namespacedRoot(candidates[0], namespace);
+}
+
+/**
+ * Configures how the temporary root directory is resolved by
+ * {@link module:temppath~getTempRoot|getTempRoot}, which is used whenever no temporary
+ * directory is specified. Calling this function without argument restores the defaults.
+ *
+ * @public
+ * @function
+ * @param {Object} [options] - The configuration.
+ * @param {Array<string | TempRootResolver>} [options.resolvers] - The resolution chain, tried in order.
+ *                                      Strings are used as they are, functions are called to get the
+ *                                      candidate. Defaults to {@link module:temppath~resolvers|resolvers.defaults}.
+ * @param {?string} [options.namespace] - The default namespace, so all temporary paths are created in a
+ *                                        per-user subdirectory of the resolved root. Defaults to `null`.
+ *
+ * @throws {TypeError} If the given options specified with incorrect type.
+ *
+ * @example
+ * configureTempRoot({
+ *   resolvers: [ resolvers.env('XDG_RUNTIME_DIR'), ...resolvers.defaults ],
+ *   namespace: 'myapp'
+ * });
+ * createTempPathSync();
+ * // Linux: "$XDG_RUNTIME_DIR/myapp-<UID>/<TEMPPATH_DIR>"
+ *
+ * @since 0.6.0
+ */
+function configureTempRoot(options) {
+  if (isNullOrUndefined(options)) options = {};
+  if (typeof options !== 'object') {
+    throw new TempPathTypeError(
+      `The "options" argument must be an object. Received ${typeof options}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+
+  let chain = resolvers.defaults;
+  if (!isNullOrUndefined(options.resolvers)) {
+    if (!Array.isArray(options.resolvers) || options.resolvers.length === 0) {
+      throw new TempPathTypeError('Expected a non-empty array for resolvers');
+    }
+    for (const resolver of options.resolvers) {
+      if (typeof resolver !== 'string' && typeof resolver !== 'function') {
+        throw new TempPathTypeError(`Expected a string or function resolver, got ${typeof resolver}`);
+      }
+    }
+    chain = Object.freeze([ ...options.resolvers ]);
+  }
+  const namespace = isNullOrUndefined(options.namespace) ? null : options.namespace;
+  if (namespace !== null) __validateNamespace(namespace);
+
+  rootResolvers = chain;
+  rootNamespace = namespace;
+}
+
+
+/*-------------------
+ * FREE SPACE
+ -------------------*/
+
+/**
+ * Synchronously returns the number of bytes available to the current user on the file system
+ * of the given directory. If the directory does not exist yet, its nearest existing ancestor
+ * is checked instead.
+ *
+ * @private
+ * @function
+ * @param {string} dir - The directory path.
+ * @returns {number} The available bytes.
+ * @throws {Error} If the file system cannot be inspected.
+ * @since 0.6.0
+ */
+function __freeBytesSync(dir) {
+  for (;;) {
+    try {
+      const stats = fs.statfsSync(dir);
+      return stats.bavail * stats.bsize;
+    } catch (err) {
+      const parent = path.dirname(dir);
+      if (err.code !== 'ENOENT' || parent === dir) throw err;
+      dir = parent;  // Does not exist yet, check the file system it will be created on
+    }
+  }
+}
+
+/**
+ * Asynchronously returns the number of bytes available to the current user on the file system
+ * of the given directory. If the directory does not exist yet, its nearest existing ancestor
+ * is checked instead.
+ *
+ * @private
+ * @function
+ * @param {string} dir - The directory path.
+ * @returns {Promise<number>} A promise that resolves with the available bytes.
+ * @since 0.6.0
+ */
+function __freeBytes(dir) {
+  return fs.promises.statfs(dir).then(stats => stats.bavail * stats.bsize, function (err) {
+    const parent = path.dirname(dir);
+    if (err.code !== 'ENOENT' || parent === dir) throw err;
+    return __freeBytes(parent);  // Does not exist yet, check the file system it will be created on
+  });
+}
+
+/**
+ * Creates an error indicating that the free space cannot be checked, as `fs.statfs`
+ * is not supported by the runtime.
+ *
+ * @private
+ * @function
+ * @returns {TempPathError} The error, published to the error channel.
+ * @since 0.6.0
+ */
+function __statfsUnsupportedError() {
+  return __publishError(new TempPathError(
+    'temppath: The minFreeBytes option requires fs.statfs, supported since Node.js 18.15',
+    { code: 'ERR_TEMPPATH_UNSUPPORTED', operation: 'create' }));
+}
+
+/**
+ * Returns the candidates of the directory to create a temporary path in, the primary one
+ * followed by the `fallbackRoots` option. The namespace directory, if any, is appended to
+ * the fallback roots as well.
+ *
+ * @private
+ * @function
+ * @param {?string} tmpdir - The temporary directory path.
+ * @param {TempPathOptions} options - The validated options.
+ * @param {string} [tempRoot] - The temporary root directory already resolved, used if `tmpdir`
+ *                              is not provided. Resolved by `getTempRoot` if not given.
+ * @returns {Array<{tmpdir: string, root: string, fallback: boolean}>} The candidates, where
+ *          `tmpdir` is the directory to create the path in and `root` is the temporary root.
+ * @since 0.6.0
+ */
+function __rootCandidates(tmpdir, options, tempRoot) {
+  const namespaced = __isNamespaced(tmpdir, options);
+  let primary = tmpdir;
+  if (isNullOrUndefined(tmpdir) || tmpdir.length === 0) {
+    primary = isNullOrUndefined(tempRoot) ? getTempRoot({ namespace: options.namespace }) : tempRoot;
+  }
+  const candidates = [ {
+    tmpdir: primary,
+    root: namespaced ? path.dirname(primary) : primary,
+    fallback: false
+  } ];
+
+  if (isNullOrUndefined(options.minFreeBytes)) return candidates;
+  for (const fallbackRoot of options.fallbackRoots || []) {
+    const root = path.resolve(fallbackRoot);
+    candidates.push({
+      tmpdir: namespaced ? path.join(root, path.basename(primary)) : root,
+      root,
+      fallback: true
+    });
+  }
+  return candidates;
+}
+
+/**
+ * Creates an error indicating that none of the candidates has enough free space.
+ *
+ * @private
+ * @function
+ * @param {TempPathOptions} options - The validated options.
+ * @param {Array<{tmpdir: string}>} candidates - The candidates.
+ * @param {string[]} tried - The description of each tried candidate.
+ * @returns {TempPathError} The error.
+ * @since 0.6.0
+ */
+function __noSpaceError(options, candidates, tried) {
+  return __publishError(new TempPathError(
+    `temppath: Not enough free space on the temporary roots, required ${
+      options.minFreeBytes
+    } bytes, tried: ${tried.join(', ')}`,
+    { code: 'ERR_TEMPPATH_NO_SPACE', path: candidates[0].tmpdir, operation: 'create' }));
+}
+
+/**
+ * Synchronously selects the directory to create a temporary path in. If the `minFreeBytes` option
+ * is specified, the first candidate having at least the given free space is selected, falling back
+ * to the `fallbackRoots` option. The fallback roots that are not writable directories are skipped.
+ *
+ * @private
+ * @function
+ * @param {?string} tmpdir - The temporary directory path.
+ * @param {TempPathOptions} options - The validated options.
+ * @returns {{tmpdir: string, root: string, freeBytes: ?number}} The selected directory, its
+ *          temporary root and the available bytes, which is `null` if not checked.
+ * @throws {TempPathError} If none of the candidates has enough free space, or the free space
+ *                         cannot be checked by the runtime.
+ * @since 0.6.0
+ */
+function __selectRootSync(tmpdir, options) {
+  const candidates = __rootCandidates(tmpdir, options);
+  if (isNullOrUndefined(options.minFreeBytes)) return { ...candidates[0], freeBytes: null };
+  if (typeof fs.statfsSync !== 'function') throw __statfsUnsupportedError();
+
+  const tried = [];
+  for (const candidate of candidates) {
+    if (candidate.fallback && !__isWritableDir(candidate.root)) {
+      tried.push(`${candidate.root} (not writable)`);
+      continue;
+    }
+    let freeBytes;
+    try {
+      freeBytes = __freeBytesSync(candidate.tmpdir);
+    } catch (err) {
+      tried.push(`${candidate.root} (${err.code || err.message})`);
+      continue;
+    }
+    if (freeBytes >= options.minFreeBytes) {
+      return { tmpdir: candidate.tmpdir, root: candidate.root, freeBytes };
+    }
+    tried.push(`${candidate.root} (${freeBytes} bytes free)`);
+  }
+  throw __noSpaceError(options, candidates, tried);
+}
+
+/**
+ * Asynchronously selects the directory to create a temporary path in. If the `minFreeBytes` option
+ * is specified, the first candidate having at least the given free space is selected, falling back
+ * to the `fallbackRoots` option. The fallback roots that are not writable directories are skipped.
+ *
+ * @private
+ * @function
+ * @param {?string} tmpdir - The temporary directory path.
+ * @param {TempPathOptions} options - The validated options.
+ * @returns {Promise<{tmpdir: string, root: string, freeBytes: ?number}>} A promise that resolves
+ *          with the selected directory, its temporary root and the available bytes.
+ * @since 0.6.0
+ */
+function __selectRoot(tmpdir, options) {
+  return new Promise(function (resolve) {
+    resolve((isNullOrUndefined(tmpdir) || tmpdir.length === 0)
+      ? __getTempRootAsync({ namespace: options.namespace })
+      : null);
+  }).then(function (tempRoot) {
+    const candidates = __rootCandidates(tmpdir, options, tempRoot);
+    if (isNullOrUndefined(options.minFreeBytes)) return { ...candidates[0], freeBytes: null };
+    if (typeof fs.promises.statfs !== 'function') throw __statfsUnsupportedError();
+
+    const tried = [];
+    // Check the candidates one by one, in order
+    return candidates.reduce(function (chain, candidate) {
+      return chain.then(function (selected) {
+        if (selected) return selected;
+        return (candidate.fallback ? __isWritableDirAsync(candidate.root) : Promise.resolve(true))
+          .then(function (writable) {
+            if (!writable) {
+              tried.push(`${candidate.root} (not writable)`);
+              return null;
+            }
+            return __freeBytes(candidate.tmpdir).then(function (freeBytes) {
+              if (freeBytes >= options.minFreeBytes) {
+                return { tmpdir: candidate.tmpdir, root: candidate.root, freeBytes };
+              }
+              tried.push(`${candidate.root} (${freeBytes} bytes free)`);
+              return null;
+            }, function (err) {
+              tried.push(`${candidate.root} (${err.code || err.message})`);
+              return null;
+            });
+          });
+      });
+    }, Promise.resolve(null)).then(function (selected) {
+      if (!selected) throw __noSpaceError(options, candidates, tried);
+      return selected;
+    });
+  });
+}
+
+
+/*-------------------
+ * MARKERS
+ -------------------*/
+
+/**
+ * The suffix of marker files, which record the temporary paths created by this module.
+ *
+ * A marker is a hidden sidecar file next to the temporary path, named `.<name>.temppath`,
+ * so it does not pollute the contents of temporary directories.
+ *
+ * @private
+ * @type {string}
+ * @since 0.6.0
+ */
+const MARKER_SUFFIX = '.temppath';
+
+/**
+ * Returns the path of the marker file of the given temporary path.
+ *
+ * @private
+ * @function
+ * @param {string} tempPath - The temporary path.
+ * @returns {string} The path of the marker file.
+ * @since 0.6.0
+ */
+function __markerPath(tempPath) {
+  return path.join(path.dirname(tempPath), `.${path.basename(tempPath)}${MARKER_SUFFIX}`);
+}
+
+/**
+ * Returns the contents of a new marker file.
+ *
+ * @private
+ * @function
+ * @param {boolean} isFile - Whether the marked temporary path is a file.
+ * @returns {string} The marker contents, in JSON format.
+ * @since 0.6.0
+ */
+function __markerContents(isFile) {
+  return JSON.stringify({
+    pid: process.pid,
+    created: Date.now(),
+    type: isFile ? 'file' : 'directory'
+  });
+}
+
+/**
+ * Synchronously writes the marker file of the given temporary path.
+ *
+ * @private
+ * @function
+ * @param {string} tempPath - The created temporary path.
+ * @param {boolean} isFile - Whether the temporary path is a file.
+ * @since 0.6.0
+ */
+function __writeMarkerSync(tempPath, isFile) {
+  fs.writeFileSync(__markerPath(tempPath), __markerContents(isFile), { flag: 'wx', mode: 0o600 });
+}
+
+/**
+ * Asynchronously writes the marker file of the given temporary path.
+ *
+ * @private
+ * @function
+ * @param {string} tempPath - The created temporary path.
+ * @param {boolean} isFile - Whether the temporary path is a file.
+ * @returns {Promise<void>}
+ * @since 0.6.0
+ */
+function __writeMarker(tempPath, isFile) {
+  return fs.promises.writeFile(__markerPath(tempPath), __markerContents(isFile),
+    { flag: 'wx', mode: 0o600 });
+}
+
+/**
+ * Synchronously removes the given temporary path, recursively for directories,
+ * along with its marker file. Non-existent paths are ignored.
+ *
+ * @private
+ * @function
+ * @param {string} tempPath - The temporary path to remove.
+ * @since 0.6.0
+ */
+function __removePathSync(tempPath) {
+  const start = __now();
+  // Measure the path only if the removal is observed, it is gone afterwards
+  let stats = null, size = 0;
+  if (__isObserved('remove')) {
+    try {
+      stats = fs.lstatSync(tempPath);
+      size = __sizeOfSync(tempPath);
+    } catch (_err) {
+      // Already removed, or removed concurrently
+    }
+  }
+  fs.rmSync(tempPath, { recursive: true, force: true });
+  fs.rmSync(__markerPath(tempPath), { force: true });
+  if (stats) __publishRemove(tempPath, stats, size, start);
+}
+
+/**
+ * Asynchronously removes the given temporary path, recursively for directories,
+ * along with its marker file. Non-existent paths are ignored.
+ *
+ * @private
+ * @function
+ * @param {string} tempPath - The temporary path to remove.
+ * @returns {Promise<void>}
+ * @since 0.6.0
+ */
+function __removePath(tempPath) {
+  const start = __now();
+  let stats = null, size = 0;
+  // Measure the path only if the removal is observed, it is gone afterwards
+  return (__isObserved('remove')
+    ? fs.promises.lstat(tempPath)
+      .then(function (result) {
+        stats = result;
+        return __sizeOf(tempPath);
+      })
+      .then(result => (size = result), function () {
+        // Already removed, or removed concurrently
+      })
+    : Promise.resolve()
+  ).then(() => fs.promises.rm(tempPath, { recursive: true, force: true }))
+    .then(() => fs.promises.rm(__markerPath(tempPath), { force: true }))
+    .then(function () {
+      if (stats) __publishRemove(tempPath, stats, size, start);
+    });
+}
+
+
+/*-------------------
+ * CLEANUP REGISTRY
+ -------------------*/
+
+/**
+ * Registry of created temporary paths that will be removed on process exit.
+ * The keys are the absolute paths and the values indicate whether the path is a file,
+ * and the `keep` option used to create the path, if any.
+ *
+ * @private
+ * @type {Map<string, {isFile: boolean, keep: (string | undefined)}>}
+ * @since 0.6.0
+ */
+const trackedPaths = new Map();
+
+/**
+ * Whether every created temporary path should be tracked, unless the
+ * `autoCleanup` option says otherwise.
+ *
+ * @private
+ * @type {boolean}
+ * @since 0.6.0
+ */
+let trackAll = false;
+
+/**
+ * Whether the process exit hooks have been installed.
+ *
+ * @private
+ * @type {boolean}
+ * @since 0.6.0
+ */
+let exitHooksInstalled = false;
+
+/**
+ * Removes all tracked paths when the process is about to terminate, except the ones retained
+ * by the retention policy, and then reports the retained paths.
+ * Errors are ignored, there is nothing left to report them to.
+ *
+ * @private
+ * @function
+ * @param {number | *} [code] - The exit code. Anything else means the process is terminating
+ *                              abnormally, due to a signal or an uncaught exception.
+ * @since 0.6.0
+ */
+function __cleanupOnExit(code) {
+  // The process fails if it exits with a non-zero code, crashes or is terminated by a signal
+  const failed = (typeof code === 'number') ? code !== 0 : true;
+  for (const [ trackedPath, entry ] of trackedPaths) {
+    if (__shouldKeep(entry, failed)) {
+      retainedPaths.add(trackedPath);
+      continue;
+    }
+    try {
+      __removePathSync(trackedPath);
+    } catch (_err) {
+      // Ignore any error, the process is exiting anyway
+    }
+  }
+  trackedPaths.clear();
+  // The process may survive, e.g. if the user handles the signal, so track the later paths again
+  __removeExitHooks();
+  __reportRetained();
+}
+
+/**
+ * Handles the termination signals by removing all tracked paths and then
+ * re-raising the signal, so the default behavior is preserved if no other
+ * listener has been registered by the user.
+ *
+ * @private
+ * @function
+ * @param {string} signal - The received signal name.
+ * @since 0.6.0
+ */
+function __cleanupOnSignal(signal) {
+  __cleanupOnExit(signal);
+  if (process.listenerCount(signal) === 0) {
+    process.kill(process.pid, signal);
+  }
+}
+
+/**
+ * Installs the process exit hooks, only once.
+ *
+ * @private
+ * @function
+ * @since 0.6.0
+ */
+function __installExitHooks() {
+  if (exitHooksInstalled) return;
+  exitHooksInstalled = true;
+
+  process.once('exit', __cleanupOnExit);
+  // Use the monitor event to not suppress the default crash behavior
+  process.once('uncaughtExceptionMonitor', __cleanupOnExit);
+  process.once('SIGINT', __cleanupOnSignal);
+  process.once('SIGTERM', __cleanupOnSignal);
+}
+
+/**
+ * Removes the process exit hooks, so they are installed again by the next tracked path.
+ *
+ * @private
+ * @function
+ * @since 0.6.0
+ */
+function __removeExitHooks() {
+  exitHooksInstalled = false;
+
+  process.removeListener('exit', __cleanupOnExit);
+  process.removeListener('uncaughtExceptionMonitor', __cleanupOnExit);
+  process.removeListener('SIGINT', __cleanupOnSignal);
+  process.removeListener('SIGTERM', __cleanupOnSignal);
+}
+
+/**
+ * Registers the given path for removal on process exit, if the tracking
+ * is enabled either by the `autoCleanup` option or by {@link module:temppath~track|track}.
+ *
+ * @private
+ * @function
+ * @param {string} createdPath - The created temporary path.
+ * @param {TempPathOptions} options - The options used to create the path.
+ * @since 0.6.0
+ */
+function __trackPath(createdPath, options) {
+  const shouldTrack = isNullOrUndefined(options.autoCleanup)
+    ? trackAll
+    : !!options.autoCleanup;
+  if (!shouldTrack) return;
+
+  trackedPaths.set(path.resolve(createdPath), { isFile: !!options.asFile, keep: options.keep });
+  __installExitHooks();
+}
+
+/**
+ * Unregisters the given path from the registry, if it was tracked, and cancels
+ * its pending expiration, if any.
+ *
+ * @private
+ * @function
+ * @param {string} removedPath - The removed temporary path.
+ * @since 0.6.0
+ */
+function __untrackPath(removedPath) {
+  trackedPaths.delete(path.resolve(removedPath));
+  __cancelExpiration(removedPath);
+}
+
+/**
+ * Creates an error indicating that the given temporary path could not be removed.
+ *
+ * @private
+ * @function
+ * @param {string} failedPath - The path failed to be removed.
+ * @param {Error} cause - The source error.
+ * @returns {TempPathError} The error, with source error as causative error.
+ * @since 0.6.0
+ */
+function __removalError(failedPath, cause) {
+  return __fsError(`temppath: Failed to remove temporary path: ${failedPath}`,
+    'ERR_TEMPPATH_REMOVE_FAILED', 'remove', failedPath, cause);
+}
+
+/**
+ * Creates an error aggregating the errors of several paths failed to be removed.
+ *
+ * @private
+ * @function
+ * @param {TempPathError[]} errors - The removal errors.
+ * @returns {TempPathAggregateError} The aggregated error.
+ * @since 0.6.0
+ */
+function __aggregateRemovalError(errors) {
+  return new TempPathAggregateError(errors,
+    `temppath: Failed to remove ${errors.length} temporary paths.`,
+    { code: 'ERR_TEMPPATH_REMOVE_FAILED', operation: 'remove' });
+}
+
+/**
+ * Enables or disables the tracking of every temporary path created by
+ * {@link module:temppath~createTempPath|createTempPath} and
+ * {@link module:temppath~createTempPathSync|createTempPathSync}.
+ *
+ * Tracked paths are removed, recursively for directories, when the process exits
+ * normally, receives a `SIGINT` or `SIGTERM` signal, or crashes due to an uncaught
+ * exception. The {@link TempPathOptions.autoCleanup `options.autoCleanup`} takes
+ * precedence over this setting.
+ *
+ * @public
+ * @function
+ * @param {boolean} [enabled=true] - Whether to track the created temporary paths.
+ *
+ * @throws {TypeError} If the given `enabled` is not a boolean.
+ *
+ * @example
+ * temppath.track();
+ * const tmpDirPath = temppath.createTempPathSync();
+ * // `tmpDirPath` will be removed on exit
+ *
+ * @since 0.6.0
+ */
+function track(enabled) {
+  if (!isNullOrUndefined(enabled) && typeof enabled !== 'boolean') {
+    throw new TempPathTypeError(
+      `Expected a boolean, got ${typeof enabled}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+  trackAll = isNullOrUndefined(enabled) ? true : enabled;
+}
+
+/**
+ * Returns the tracked paths to remove by {@link module:temppath~cleanupAll|cleanupAll},
+ * excluding the ones always retained by the retention policy.
+ *
+ * @private
+ * @function
+ * @returns {string[]} The tracked paths to remove.
+ * @since 0.6.0
+ */
+function __removableTrackedPaths() {
+  return [ ...trackedPaths ]
+    .filter(([ _trackedPath, entry ]) => __keepPolicy(entry) !== 'always')
+    .map(([ trackedPath ]) => trackedPath);
+}
+
+/**
+ * Asynchronously removes all tracked temporary paths, recursively for directories.
+ *
+ * Useful for long-running processes which should not wait until exit to free
+ * their temporary paths. Paths that failed to be removed remain tracked, and so do
+ * the paths always retained by the retention policy, see {@link TempPathOptions}.
+ *
+ * If the `signal` option is aborted, the callback is called with an `AbortError` right away.
+ * The removals already started cannot be cancelled, and the paths removed by them are untracked.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {Object} [options] - Options to configure the cleanup.
+ * @param {AbortSignal} [options.signal] - The signal to stop waiting for the cleanup.
+ * @param {function(?Error): void} callback - A callback function to handle the error if any.
+ *                                            If more than one path failed to be removed,
+ *                                            the error is an `AggregateError`.
+ *
+ * @throws {TypeError} If the given `callback` is not a function, or the options specified
+ *                     with incorrect type.
+ *
+ * @since 0.6.0
+ */
+function cleanupAll(options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  if (typeof callback !== 'function') {
+    throw new TempPathTypeError(
+      `The "callback" argument must be a function. Received ${typeof callback}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+  if (isNullOrUndefined(options)) options = {};
+  if (typeof options !== 'object') {
+    throw new TempPathTypeError(
+      `The "options" argument must be an object. Received ${typeof options}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+  const signal = options.signal;
+  if (!isNullOrUndefined(signal)) __validateSignal(signal);
+
+  let done = false;
+  function finish(err) {
+    if (done) return;
+    done = true;
+    if (signal) signal.removeEventListener('abort', onAbort);
+    callback(err);
+  }
+  function onAbort() {
+    finish(__abortError(signal));
+  }
+
+  if (signal && signal.aborted) {
+    process.nextTick(onAbort);
+    return;
+  }
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  const errors = [];
+  Promise.all(__removableTrackedPaths().map(function (trackedPath) {
+    return __removePath(trackedPath)
+      .then(() => __untrackPath(trackedPath))
+      .catch(err => errors.push(__removalError(trackedPath, err)));
+  })).then(function () {
+    let err = null;
+    if (errors.length === 1) err = errors[0];
+    else if (errors.length > 1) err = __aggregateRemovalError(errors);
+    // Call back outside of the promise chain, so an error thrown by the callback is not swallowed
+    process.nextTick(finish, err);
+  });
+}
+
+/**
+ * Synchronously removes all tracked temporary paths, recursively for directories.
+ *
+ * Useful for long-running processes which should not wait until exit to free
+ * their temporary paths. Paths that failed to be removed remain tracked, and so do
+ * the paths always retained by the retention policy, see {@link TempPathOptions}.
+ *
+ * @public
+ * @function
+ *
+ * @throws {Error} If a path failed to be removed. If more than one path failed
+ *                 to be removed, throws an `AggregateError`.
+ *
+ * @since 0.6.0
+ */
+function cleanupAllSync() {
+  const errors = [];
+  for (const trackedPath of __removableTrackedPaths()) {
+    try {
+      __removePathSync(trackedPath);
+      __untrackPath(trackedPath);
+    } catch (err) {
+      errors.push(__removalError(trackedPath, err));
+    }
+  }
+
+  if (errors.length === 1) throw errors[0];
+  if (errors.length > 1) throw __aggregateRemovalError(errors);
+}
+
+
+/*-------------------
+ * EXPIRATIONS
+ -------------------*/
+
+/**
+ * The resolution in milliseconds of the expiration timer wheel. The expirations due within
+ * the same tick share a slot, and are removed together by a single timer. The ticks are counted
+ * on the monotonic clock, so the wall-clock adjustments do not expire the paths early or late.
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const EXPIRATION_TICK = 100;
+
+/**
+ * The maximum delay accepted by `setTimeout`, longer delays fire immediately.
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Pending expirations of the temporary paths created with the `ttl` option.
+ * The keys are the absolute paths. The `expiresAt` is the wall-clock time reported to users,
+ * while the `slot` is the tick of the monotonic clock the path expires within.
+ *
+ * @private
+ * @type {Map<string, {ttl: number, expiresAt: number, slot: number, keep: (string | undefined)}>}
+ * @since 0.6.0
+ */
+const expirations = new Map();
+
+/**
+ * The slots of the expiration timer wheel, mapping the tick numbers to the absolute paths
+ * expiring within them.
+ *
+ * @private
+ * @type {Map<number, Set<string>>}
+ * @since 0.6.0
+ */
+const expirationSlots = new Map();
+
+/**
+ * A binary min-heap of the tick numbers of the wheel slots, to find the earliest slot without
+ * scanning all of them. The slots emptied by cancellations are removed lazily, once they reach
+ * the top of the heap, or when the heap is compacted.
+ *
+ * @private
+ * @type {number[]}
+ * @since 0.6.0
+ */
+const expirationHeap = [];
+
+/**
+ * The unref'd timer of the earliest slot, so the pending expirations never keep
+ * the process alive.
+ *
+ * @private
+ * @type {?{timer: NodeJS.Timeout, slot: number}}
+ * @since 0.6.0
+ */
+let expirationTimer = null;
+
+/**
+ * Validates the given time-to-live.
+ *
+ * @private
+ * @function
+ * @param {*} ttl - The time-to-live in milliseconds.
+ * @throws {TypeError} If the time-to-live is not a number.
+ * @throws {RangeError} If the time-to-live is not a positive finite number.
+ * @since 0.6.0
+ */
+function __validateTtl(ttl) {
+  if (typeof ttl !== 'number') {
+    throw new TempPathTypeError(`Expected a number for ttl, got ${typeof ttl}`);
+  }
+  if (!Number.isFinite(ttl) || ttl <= 0) {
+    throw new TempPathRangeError('Time-to-live must be a positive finite number');
+  }
+}
+
+/**
+ * Pushes the given tick number to the heap of the wheel slots.
+ *
+ * @private
+ * @function
+ * @param {number} slot - The tick number of a new slot.
+ * @since 0.6.0
+ */
+function __pushExpirationSlot(slot) {
+  // Rebuild the heap if mostly made of emptied slots, e.g. by frequent touches
+  if (expirationHeap.length > 2 * expirationSlots.size + 64) {
+    expirationHeap.length = 0;
+    for (const pending of expirationSlots.keys()) __pushExpirationSlot(pending);
+  }
+
+  let i = expirationHeap.push(slot) - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (expirationHeap[parent] <= slot) break;
+    expirationHeap[i] = expirationHeap[parent];
+    i = parent;
+  }
+  expirationHeap[i] = slot;
+}
+
+/**
+ * Removes the top of the heap of the wheel slots.
+ *
+ * @private
+ * @function
+ * @since 0.6.0
+ */
+function __popExpirationSlot() {
+  const last = expirationHeap.pop();
+  if (expirationHeap.length === 0) return;
+
+  let i = 0;
+  for (;;) {
+    let child = 2 * i + 1;
+    if (child >= expirationHeap.length) break;
+    if (child + 1 < expirationHeap.length && expirationHeap[child + 1] < expirationHeap[child]) {
+      child++;
+    }
+    if (expirationHeap[child] >= last) break;
+    expirationHeap[i] = expirationHeap[child];
+    i = child;
+  }
+  expirationHeap[i] = last;
+}
+
+/**
+ * Returns the tick number of the earliest pending slot of the wheel, dropping the emptied
+ * slots from the top of the heap.
+ *
+ * @private
+ * @function
+ * @returns {number} The tick number, or `Infinity` if there is no pending slot.
+ * @since 0.6.0
+ */
+function __earliestExpirationSlot() {
+  while (expirationHeap.length > 0 && !expirationSlots.has(expirationHeap[0])) {
+    __popExpirationSlot();
+  }
+  return (expirationHeap.length > 0) ? expirationHeap[0] : Infinity;
+}
+
+/**
+ * Arms the timer of the earliest slot of the wheel, unless already armed for it.
+ *
+ * @private
+ * @function
+ * @since 0.6.0
+ */
+function __armExpirationTimer() {
+  const slot = __earliestExpirationSlot();
+  if (expirationTimer && expirationTimer.slot === slot) return;
+  if (expirationTimer) clearTimeout(expirationTimer.timer);
+  expirationTimer = null;
+  if (slot === Infinity) return;
+
+  const delay = Math.min(Math.max(slot * EXPIRATION_TICK - __now(), 0), MAX_TIMER_DELAY);
+  const timer = setTimeout(__expirePaths, delay);
+  timer.unref();
+  expirationTimer = { timer, slot };
+}
+
+/**
+ * Removes the temporary paths of all elapsed slots, and arms the timer of the next slot.
+ * The paths always retained by the retention policy are retained instead of removed.
+ * Removal errors are published to the error channel, and the failed paths remain tracked.
+ *
+ * @private
+ * @function
+ * @since 0.6.0
+ */
+function __expirePaths() {
+  expirationTimer = null;
+  const now = __now();
+  // A long delay is clamped, so the timer may fire before the earliest slot has elapsed
+  for (let slot = __earliestExpirationSlot(); slot * EXPIRATION_TICK <= now;
+    slot = __earliestExpirationSlot()) {
+    const slotPaths = expirationSlots.get(slot);
+    expirationSlots.delete(slot);
+    __popExpirationSlot();
+
+    for (const expiredPath of slotPaths) {
+      const entry = expirations.get(expiredPath);
+      expirations.delete(expiredPath);
+      if (__shouldKeep(entry, false)) {
+        __retainPath(expiredPath);
+        continue;
+      }
+      __removePath(expiredPath).then(() => trackedPaths.delete(expiredPath), function (err) {
+        __removalError(expiredPath, err);  // Published to the error channel
+      });
+    }
+  }
+  __armExpirationTimer();
+}
+
+/**
+ * Schedules the removal of the given temporary path once the given time-to-live has elapsed,
+ * replacing the pending expiration of the path, if any.
+ *
+ * @private
+ * @function
+ * @param {string} createdPath - The created temporary path.
+ * @param {number} ttl - The validated time-to-live in milliseconds.
+ * @param {?{keep: string}} [options] - The options used to create the path, which determine
+ *                                      its retention policy.
+ * @returns {Date} The expiration time.
+ * @since 0.6.0
+ */
+function __scheduleExpiration(createdPath, ttl, options) {
+  const resolved = path.resolve(createdPath);
+  __cancelExpiration(resolved);
+
+  const expiresAt = Date.now() + ttl;
+  // Round up, so the paths never expire early
+  const slot = Math.ceil((__now() + ttl) / EXPIRATION_TICK);
+  expirations.set(resolved, { ttl, expiresAt, slot, keep: options && options.keep });
+  if (!expirationSlots.has(slot)) {
+    expirationSlots.set(slot, new Set());
+    __pushExpirationSlot(slot);
+  }
+  expirationSlots.get(slot).add(resolved);
+  __armExpirationTimer();
+  return new Date(expiresAt);
+}
+
+/**
+ * Cancels the pending expiration of the given temporary path, if any.
+ *
+ * @private
+ * @function
+ * @param {string} tempPath - The temporary path.
+ * @returns {boolean} `true` if a pending expiration has been cancelled.
+ * @since 0.6.0
+ */
+function __cancelExpiration(tempPath) {
+  const resolved = path.resolve(tempPath);
+  const entry = expirations.get(resolved);
+  if (!entry) return false;
+
+  expirations.delete(resolved);
+  const slotPaths = expirationSlots.get(entry.slot);
+  slotPaths.delete(resolved);
+  if (slotPaths.size === 0) {
+    expirationSlots.delete(entry.slot);
+    __armExpirationTimer();
+  }
+  return true;
+}
+
+/**
+ * Extends the lifetime of the given temporary path.
+ *
+ * @private
+ * @function
+ * @param {string} tempPath - The temporary path.
+ * @param {number} [ttl] - The new time-to-live in milliseconds, counted from now. Defaults to
+ *                         the time-to-live of the pending expiration.
+ * @param {?{keep: string}} [options] - The options used to create the path.
+ * @returns {Date} The new expiration time.
+ * @throws {TypeError} If the given `ttl` is not a number.
+ * @throws {RangeError} If the given `ttl` is not a positive finite number.
+ * @throws {TempPathError} If no `ttl` is given and the path has no pending expiration.
+ * @since 0.6.0
+ */
+function __touchExpiration(tempPath, ttl, options) {
+  if (isNullOrUndefined(ttl)) {
+    const entry = expirations.get(path.resolve(tempPath));
+    if (!entry) {
+      throw new TempPathError(
+        `temppath: The temporary path has no pending expiration: ${tempPath}`,
+        { code: 'ERR_TEMPPATH_INVALID_STATE', path: tempPath });
+    }
+    ttl = entry.ttl;
+  }
+  __validateTtl(ttl);
+  return __scheduleExpiration(tempPath, ttl, options);
+}
+
+/**
+ * Returns the pending expirations of the temporary paths created with the `ttl` option,
+ * sorted by their expiration time.
+ *
+ * The paths are removed within a hundred milliseconds after their expiration time by
+ * an unref'd timer, which never keeps the process alive. The paths that have been removed,
+ * retained or persisted by their handles have no pending expiration.
+ *
+ * @public
+ * @function
+ * @returns {TempPathExpiration[]} The pending expirations.
+ *
+ * @example
+ * temppath.createTempPathSync({ ttl: 5 * 60 * 1000 });
+ * for (const { path, expiresAt } of temppath.getExpirations()) {
+ *   console.log(`${path} expires at ${expiresAt.toISOString()}`);
+ * }
+ *
+ * @since 0.6.0
+ */
+function getExpirations() {
+  return [ ...expirations ]
+    .sort((a, b) => a[1].expiresAt - b[1].expiresAt)
+    .map(([ expiringPath, entry ]) => Object.freeze({
+      path: expiringPath,
+      ttl: entry.ttl,
+      expiresAt: new Date(entry.expiresAt)
+    }));
+}
+
+
+/*-------------------
+ * RETENTION
+ -------------------*/
+
+/**
+ * The accepted values of the `keep` option and the `TEMPPATH_KEEP` environment variable.
+ * @private
+ * @type {string[]}
+ * @since 0.6.0
+ */
+const KEEP_POLICIES = [ 'always', 'on-failure', 'never' ];
+
+/**
+ * The absolute paths retained by the retention policy, to be reported on process exit.
+ *
+ * @private
+ * @type {Set<string>}
+ * @since 0.6.0
+ */
+const retainedPaths = new Set();
+
+/**
+ * Returns the retention policy of the temporary path created with the given options.
+ *
+ * The `keep` option takes precedence over the `TEMPPATH_KEEP` environment variable, which is
+ * read every time so it can be changed at runtime. Invalid values of the environment variable
+ * are ignored.
+ *
+ * @private
+ * @function
+ * @param {?{keep: string}} options - The options used to create the path.
+ * @returns {string} The retention policy, either `'always'`, `'on-failure'` or `'never'`.
+ * @since 0.6.0
+ */
+function __keepPolicy(options) {
+  if (options && !isNullOrUndefined(options.keep)) return options.keep;
+  const policy = process.env.TEMPPATH_KEEP;
+  return KEEP_POLICIES.includes(policy) ? policy : 'never';
+}
+
+/**
+ * Returns whether the temporary path should be retained instead of removed.
+ *
+ * @private
+ * @function
+ * @param {?{keep: string}} options - The options used to create the path.
+ * @param {boolean} failed - Whether the operation using the path has failed.
+ * @returns {boolean} `true` if the path should be retained.
+ * @since 0.6.0
+ */
+function __shouldKeep(options, failed) {
+  const policy = __keepPolicy(options);
+  return policy === 'always' || (policy === 'on-failure' && failed);
+}
+
+/**
+ * Retains the given temporary path, so it is not removed on process exit and is reported
+ * in the summary instead.
+ *
+ * @private
+ * @function
+ * @param {string} retainedPath - The temporary path to retain.
+ * @since 0.6.0
+ */
+function __retainPath(retainedPath) {
+  __untrackPath(retainedPath);
+  retainedPaths.add(path.resolve(retainedPath));
+  __installExitHooks();
+}
+
+/**
+ * Prints the summary of the retained paths to the standard error, and archives them if the
+ * `TEMPPATH_KEEP_ARCHIVE` environment variable is set. The paths removed since they were
+ * retained are omitted. Each path is reported only once.
+ *
+ * @private
+ * @function
+ * @since 0.6.0
+ */
+function __reportRetained() {
+  const retained = [ ...retainedPaths ].filter(retainedPath => fs.existsSync(retainedPath));
+  retainedPaths.clear();
+  if (retained.length === 0) return;
+
+  const lines = [ `temppath: Retained ${retained.length} temporary path${
+    (retained.length === 1) ? '' : 's'
+  }:` ].concat(retained.map(retainedPath => `  ${retainedPath}`));
+
+  const archive = process.env.TEMPPATH_KEEP_ARCHIVE;
+  if (archive) {
+    const archivePath = path.resolve(archive);
+    try {
+      // Loaded only if requested, the archive writer is not needed otherwise
+      require('./archive.js').writeArchiveSync(archivePath, retained);
+      lines.push(`temppath: Archived the retained paths to ${archivePath}`);
+    } catch (err) {
+      lines.push(`temppath: Failed to archive the retained paths: ${err.message}`);
+    }
+  }
+
+  try {
+    process.stderr.write(lines.join('\n') + '\n');
+  } catch (_err) {
+    // Ignore any error, the process is exiting anyway
+  }
+}
+
+
+/*-------------------
+ * NAME GENERATORS
+ -------------------*/
+
+/**
+ * A function that generates the random part of a temporary directory or file name.
+ *
+ * The generator should return a string of the given length. Longer strings are
+ * truncated to honour the `maxLen` option.
+ *
+ * @callback NameGenerator
+ * @param {number} len - The desired characters' length of the generated string.
+ * @returns {string} The generated string.
+ * @global
+ * @since 0.6.0
+ */
+
+/**
+ * The lowercase RFC 4648 base32 alphabet, safe for case-insensitive file systems.
+ * @private
+ * @type {string}
+ * @since 0.6.0
+ */
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+/**
+ * The base62 alphabet.
+ * @private
+ * @type {string}
+ * @since 0.6.0
+ */
+const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * The characters' length of the timestamp part generated by the `timestamp` generator,
+ * enough to hold the milliseconds since epoch in base36 until the year 5188.
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const TIMESTAMP_LEN = 9;
+
+/**
+ * The per-process counter used by the `counter` generator.
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+let nameCounter = 0;
+
+/**
+ * The maximum bytes' length of a file name on most file systems (`NAME_MAX`).
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const NAME_MAX = 255;
+
+/**
+ * The minimum characters' length of the random part of a name generated from template,
+ * to keep the name sufficiently unpredictable.
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const MIN_TEMPLATE_RANDOM_LEN = 6;
+
+/**
+ * Matches the last run of at least six `X` characters in a template, like `mkstemp(3)` does.
+ * @private
+ * @type {RegExp}
+ * @since 0.6.0
+ */
+const TEMPLATE_X_PATTERN = /X{6,}(?!.*X{6})/;
+
+/**
+ * Generates a cryptographically random string with the given length using the given alphabet.
+ * Bytes that would introduce a modulo bias are discarded.
+ *
+ * @private
+ * @function
+ * @param {number} len - The length of the random string.
+ * @param {string} alphabet - The characters to pick from, at most 256 characters.
+ * @returns {string} The random string.
+ * @since 0.6.0
+ */
+function __randomString(len, alphabet) {
+  const limit = 256 - (256 % alphabet.length);
+  let result = '';
+  while (result.length < len) {
+    for (const byte of randomBytes(len - result.length + 8)) {
+      if (byte >= limit) continue;
+      result += alphabet[byte % alphabet.length];
+      if (result.length === len) break;
+    }
+  }
+  return result;
+}
+
+/**
+ * Creates a deterministic name generator from the given seed, useful for reproducible tests.
+ *
+ * Generators created with the same seed produce the same sequence of names.
+ * The generated names are not suitable for security sensitive usage.
+ *
+ * @private
+ * @function
+ * @param {string | number} seed - The seed.
+ * @returns {NameGenerator} The deterministic name generator.
+ * @throws {TypeError} If the given `seed` is neither a string nor a number.
+ * @since 0.6.0
+ */
+function __seededGenerator(seed) {
+  if (typeof seed !== 'string' && typeof seed !== 'number') {
+    throw new TempPathTypeError(
+      `Expected a string or number seed, got ${typeof seed}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+  let state = String(seed);
+  let index = 0;
+  return function seeded(len) {
+    let result = '';
+    while (result.length < len) {
+      result += createHash('sha256').update(`${state}:${index++}`).digest('hex');
+    }
+    state = result;
+    return result.substr(0, len);
+  };
+}
+
+/**
+ * Built-in name generators, which can be specified by their name in the `generator` option.
+ *
+ * - `hex` - Cryptographically random hexadecimal characters. This is the default.
+ * - `base32` - Cryptographically random lowercase base32 characters.
+ * - `base62` - Cryptographically random alphanumeric characters. Carries the most randomness
+ *   per character, but the names may collide on case-insensitive file systems.
+ * - `timestamp` - The current time in base36 followed by random base32 characters, so the
+ *   names are sortable by creation time. At least six random characters are always kept, so
+ *   the timestamp is truncated when `maxLen` is too short, or dropped below seven characters.
+ * - `counter` - The process ID and a monotonic counter per process in base36. When `maxLen`
+ *   is too short, the separator is dropped and the last characters of both the process ID
+ *   and the counter are kept, half of `maxLen` at most for the process ID.
+ * - `seeded(seed)` - Not a generator, but creates a deterministic generator from the given seed,
+ *   useful for reproducible tests. It cannot be specified by name.
+ *
+ * @public
+ * @readonly
+ * @type {Readonly<Object<string, (NameGenerator | function(string | number): NameGenerator)>>}
+ *
+ * @example
+ * getTempPath({ generator: 'base62', maxLen: 64 });
+ * getTempPath({ generator: generators.seeded('my-test') });
+ *
+ * @since 0.6.0
+ */
+const generators = Object.freeze({
+  hex: len => __randomString(len, '0123456789abcdef'),
+  base32: len => __randomString(len, BASE32_ALPHABET),
+  base62: len => __randomString(len, BASE62_ALPHABET),
+  timestamp: function (len) {
+    const time = Date.now().toString(36).padStart(TIMESTAMP_LEN, '0');
+    // Truncate the timestamp rather than the random part, names generated
+    // in the same millisecond must not collide
+    const randomLen = Math.min(len, Math.max(len - TIMESTAMP_LEN, MIN_TEMPLATE_RANDOM_LEN));
+    return time.substr(0, len - randomLen) + __randomString(randomLen, BASE32_ALPHABET);
+  },
+  counter: function (len) {
+    const pid = process.pid.toString(36);
+    const count = (++nameCounter).toString(36).padStart(6, '0');
+    const name = `${pid}-${count}`;
+    if (name.length <= len) return name;
+    // Keep part of the process ID, so the processes sharing a directory do not collide
+    const pidLen = Math.min(pid.length, Math.floor(len / 2));
+    return pid.substr(pid.length - pidLen) + count.substr(count.length - (len - pidLen));
+  },
+  seeded: __seededGenerator
+});
+
+/**
+ * The built-in generators producing cryptographically random characters, the only ones used
+ * to fill the `XXXXXX` placeholder of a template.
+ * @private
+ * @type {string[]}
+ * @since 0.6.0
+ */
+const RANDOM_GENERATORS = [ 'hex', 'base32', 'base62' ];
+
+/**
+ * Generates the random part of a name with the given length using the given generator.
+ *
+ * @private
+ * @function
+ * @param {number} [len=32] - The length of the random part.
+ * @param {string | NameGenerator} [generator='hex'] - The name of built-in generator or
+ *                                                     a custom generator function.
+ * @returns {string} The random part of a name.
+ * @throws {TypeError} If the generator does not return a string.
+ * @throws {RangeError} If the generator returns an empty string.
+ * @since 0.6.0
+ */
+function __randomName(len, generator) {
+  if (isNullOrUndefined(len)) len = 32;
+  const generate = (typeof generator === 'function')
+    ? generator
+    : generators[generator || 'hex'];
+
+  const name = generate(len);
+  if (typeof name !== 'string') {
+    throw new TempPathTypeError(`Expected the generator to return a string, got ${typeof name}`);
+  }
+  if (name.length === 0) {
+    throw new TempPathRangeError('The generator must not return an empty string');
+  }
+  return name.substr(0, len);  // Honour the maximum length
+}
+
+/**
+ * Validates the given file or directory name against the file system name limits.
+ *
+ * @private
+ * @function
+ * @param {string} name - The file or directory name.
+ * @param {string} [what='name'] - What the name refers to, used in the error messages.
+ * @throws {TypeError} If the name contains path separators or characters not allowed
+ *                     by the file system.
+ * @throws {RangeError} If the name exceeds the maximum bytes' length of a file name.
+ * @since 0.6.0
+ */
+function __validateName(name, what) {
+  what = what || 'name';
+  const invalidChars = (process.platform === 'win32') ? /[/\\\0<>:"|?*]/ : /[/\\\0]/;
+  if (invalidChars.test(name)) {
+    throw new TempPathTypeError(
+      `The ${what} must not contain path separators or invalid characters: ${name}`,
+      { code: 'ERR_TEMPPATH_INVALID_NAME' });
+  }
+  if (Buffer.byteLength(name) > NAME_MAX) {
+    throw new TempPathRangeError(
+      `The ${what} must not exceed ${NAME_MAX} bytes: ${name}`,
+      { code: 'ERR_TEMPPATH_NAME_TOO_LONG' });
+  }
+}
+
+/**
+ * Generates a name from the given template by replacing its placeholders.
+ *
+ * @private
+ * @function
+ * @param {string} template - The template.
+ * @param {NameOptions} options - The options.
+ * @returns {string} The generated name.
+ * @throws {RangeError} If the template has no random placeholder or its random part is too short.
+ * @since 0.6.0
+ */
+function __applyTemplate(template, options) {
+  const hasRandom = template.includes('{random}');
+  const xRun = TEMPLATE_X_PATTERN.exec(template);
+  if (!hasRandom && !xRun) {
+    throw new TempPathRangeError(
+      'The template must contain a random placeholder, either "XXXXXX" or "{random}"');
+  }
+  if (hasRandom && !xRun && !isNullOrUndefined(options.maxLen)
+      && options.maxLen < MIN_TEMPLATE_RANDOM_LEN) {
+    throw new TempPathRangeError(
+      `Maximum characters must be at least ${MIN_TEMPLATE_RANDOM_LEN} when using a template`);
+  }
+
+  let name = template;
+  if (xRun) {
+    // Always cryptographically random, like `mkstemp(3)`, so the name cannot be predicted
+    const generator = RANDOM_GENERATORS.includes(options.generator) ? options.generator : 'hex';
+    name = name.substr(0, xRun.index)
+      + __randomName(xRun[0].length, generator)
+      + name.substr(xRun.index + xRun[0].length);
+  }
+  return name
+    .replace(/\{random\}/g, () => __randomName(options.maxLen, options.generator))
+    .replace(/\{name\}/g, () => options.name || '')
+    .replace(/\{pid\}/g, () => String(process.pid));
+}
+
+/**
+ * Generates a temporary path based on the provided or system temporary directory.
+ * 
+ * This function utilizes cryptographically random characters for the directory name, ensuring
+ * that each time it is called, the path will be different from previous calls. The returned
+ * path can be used for either a temporary file or directory, according to user preferences.
+ *
+ * To limit the characters' length of generated temporary directory or file name,
+ * set the `maxLen` to the desired value and it must be a positive number.
+ * Thus, the function will trim the name to the desired maximum length.
+ *
+ * The random characters can be generated by other strategies using the `generator` option,
+ * see {@link module:temppath~generators|generators} for the built-in ones.
+ * The name can be customized using the `prefix`, `suffix` and `template` options,
+ * see {@link NameOptions} for details. The resulting name is validated against the
+ * file system name limits.
+ *
+ * If the `asFile` option is set, the extension is appended the same way as when creating
+ * a temporary file, see the `ext` option of {@link TempPathOptions}, so the returned path
+ * is the final path a creation function would create.
+ *
+ * This function does not touch the file system. Without `tmpdir`, the path is generated in
+ * the first configured temporary root candidate, without checking whether it is writable.
+ * Use {@link module:temppath~getTempRoot|getTempRoot} or the creation functions to resolve
+ * a writable root.
+ *
+ * @public
+ * @function
+ * @param {string | NameOptions} [tmpdir] - The temporary directory path. If not provided or empty,
+ *                            it defaults to the system's temporary directory. If an object is provided,
+ *                            it is treated as the `maxLen` parameter.
+ * @param {number | NameOptions} [maxLen=32] - The maximum characters' length of the generated temporary path.
+ *                            Must be a positive number and greater than zero. If an object is provided,
+ *                            it is treated as the options to generate the name, along with the
+ *                            `asFile` and `ext` options of {@link TempPathOptions}.
+ *
+ * @returns {string} The generated temporary path.
+ *
+ * @throws {TypeError} Throws a `TypeError` if the provided `tmpdir` is not a string, the extension
+ *                     is not a string, or the name contains path separators or invalid characters.
+ * @throws {RangeError} If the given `maxLen` is less than or equal to zero, or the name exceeds
+ *                      the file system name limits.
+ *
+ * @example <caption>Generate a temporary path with prefix</caption>
+ * getTempPath({ prefix: 'build-', maxLen: 8 });
+ * // Unix: "$TMPDIR/build-<8_CHARS>"
+ *
+ * @example <caption>Generate a temporary path from template</caption>
+ * getTempPath({ template: '{name}-XXXXXX.log', name: 'mytool' });
+ * // Unix: "$TMPDIR/mytool-<6_CHARS>.log"
+ *
+ * @example <caption>Generate a temporary file path with extension</caption>
+ * getTempPath({ asFile: true, ext: 'json' });
+ * // Unix: "$TMPDIR/<32_CHARS>.json"
+ *
+ * @since 0.1.0
+ */
+function getTempPath(tmpdir, maxLen) {
+  if (typeof tmpdir === 'object' && tmpdir !== null && !Array.isArray(tmpdir)
+      && isNullOrUndefined(maxLen)) {
+    maxLen = tmpdir;
+    tmpdir = null;
+  }
+  if (tmpdir && typeof tmpdir !== 'string') {
+    throw new TempPathTypeError(
+      `Expected type is string. Received ${typeof tmpdir}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+
+  const options = (typeof maxLen === 'object' && maxLen !== null) ? maxLen : { maxLen };
+  if (options.maxLen <= 0) {
+    throw new TempPathRangeError('Maximum characters must be greater than zero');
+  }
+  __validateNameOptions(options);
+  if (options.asFile && options.ext && typeof options.ext !== 'string') {
+    throw new TempPathTypeError(`Expected a string extension, got ${typeof options.ext}`);
+  }
+
+  const name = (options.prefix || '')
+    + (options.template
+      ? __applyTemplate(options.template, options)
+      : __randomName(options.maxLen, options.generator))
+    + (options.suffix || '')
+    + (options.asFile ? __getExtension(options) : '');
+  __validateName(name);
+
+  return path.join(
+    (isNullOrUndefined(tmpdir) || tmpdir.length === 0)
+      ? __defaultTempRoot({ namespace: options.namespace })
+      : tmpdir,
+    name
+  );
+}
+
+/**
+ * Validates the options for generating a temporary path name.
+ *
+ * @private
+ * @function
+ * @param {NameOptions} options - The options to validate.
+ * @throws {TypeError} If any of the options specified with incorrect type.
+ * @since 0.6.0
+ */
+function __validateNameOptions(options) {
+  for (const key of [ 'prefix', 'suffix', 'template', 'name' ]) {
+    if (!isNullOrUndefined(options[key]) && typeof options[key] !== 'string') {
+      throw new TempPathTypeError(`Expected a string for ${key}, got ${typeof options[key]}`);
+    }
+  }
+  if (!isNullOrUndefined(options.namespace)) __validateNamespace(options.namespace);
+  const generator = options.generator;
+  if (!isNullOrUndefined(generator) && typeof generator !== 'function'
+      && !(typeof generator === 'string' && generator !== 'seeded'
+        && Object.prototype.hasOwnProperty.call(generators, generator))) {
+    throw new TempPathTypeError(
+      `Expected a function or a built-in generator name for generator, got ${
+        (typeof generator === 'string') ? `"${generator}"` : typeof generator
+      }`);
+  }
+}
+
+/**
+ * Resolves the optional `tmpdir` and `options` arguments of
+ * {@link module:temppath~createTempPathSync|createTempPathSync} and
+ * {@link module:temppath~createTempPathAsync|createTempPathAsync}.
+ *
+ * @private
+ * @function
+ * @param {string | TempPathOptions} [tmpdir] - The temporary directory path or the options.
+ * @param {TempPathOptions} [options] - The options.
+ * @returns {Array} A pair of the resolved `tmpdir` and `options`.
+ * @since 0.6.0
+ */
+function __resolveArgs(tmpdir, options) {
+  // Swap the 'tmpdir' argument to 'options', if the provided is an object
+  // and the 'options' argument is undefined or empty
+  if (typeof tmpdir === 'object' && !Array.isArray(tmpdir)
+          && isNullOrUndefined(options)) {
+      options = tmpdir;  // Swap
+      tmpdir = null;     // Make this empty
+  } else if (isNullOrUndefined(options)) {
+      // By using this approach, all paramaters will be optional.
+      // Users can simply call this function without any argument and with no error.
+      options = {};
+  }
+  return [ tmpdir, options ];
+}
+
+/**
+ * Validates the options for creating a temporary path.
+ *
+ * @private
+ * @function
+ * @param {TempPathOptions} options - The options to validate.
+ * @throws {TypeError} If the options or any of its properties specified with incorrect type.
+ * @since 0.6.0
+ */
+function __validateOptions(options) {
+  if (typeof options !== 'object') {
+    throw new TempPathTypeError(
+      `The "options" argument must be an object. Received ${typeof options}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+  if (options.ext && typeof options.ext !== 'string') {
+    throw new TempPathTypeError(`Expected a string extension, got ${typeof options.ext}`);
+  }
+  if (options.maxLen && typeof options.maxLen !== 'number') {
+    throw new TempPathTypeError(`Expected a number for maxLen, got ${typeof options.maxLen}`);
+  }
+  if (!isNullOrUndefined(options.mode)) {
+    if (typeof options.mode !== 'number') {
+      throw new TempPathTypeError(`Expected a number for mode, got ${typeof options.mode}`);
+    }
+    if (!Number.isInteger(options.mode) || options.mode < 0 || options.mode > 0o7777) {
+      throw new TempPathRangeError('Mode must be an integer between 0 and 0o7777');
+    }
+  }
+  for (const key of [ 'secure', 'verifyRoot', 'marker' ]) {
+    if (!isNullOrUndefined(options[key]) && typeof options[key] !== 'boolean') {
+      throw new TempPathTypeError(`Expected a boolean for ${key}, got ${typeof options[key]}`);
+    }
+  }
+  if (!isNullOrUndefined(options.retries)) {
+    if (typeof options.retries !== 'number') {
+      throw new TempPathTypeError(`Expected a number for retries, got ${typeof options.retries}`);
+    }
+    if (!Number.isInteger(options.retries) || options.retries < 0) {
+      throw new TempPathRangeError('Retries must be a non-negative integer');
+    }
+  }
+  if (!isNullOrUndefined(options.minFreeBytes)) {
+    if (typeof options.minFreeBytes !== 'number') {
+      throw new TempPathTypeError(
+        `Expected a number for minFreeBytes, got ${typeof options.minFreeBytes}`);
+    }
+    if (!Number.isSafeInteger(options.minFreeBytes) || options.minFreeBytes < 0) {
+      throw new TempPathRangeError('Minimum free bytes must be a non-negative integer');
+    }
+  }
+  if (!isNullOrUndefined(options.keep) && !KEEP_POLICIES.includes(options.keep)) {
+    throw new TempPathTypeError(
+      `Expected one of ${KEEP_POLICIES.map(policy => `'${policy}'`).join(', ')} for keep, got ${
+        options.keep
+      }`);
+  }
+  if (!isNullOrUndefined(options.fallbackRoots)
+      && (!Array.isArray(options.fallbackRoots)
+        || !options.fallbackRoots.every(root => typeof root === 'string' && root.length > 0))) {
+    throw new TempPathTypeError('Expected an array of non-empty strings for fallbackRoots');
+  }
+  if (!isNullOrUndefined(options.ttl)) __validateTtl(options.ttl);
+  if (!isNullOrUndefined(options.signal)) __validateSignal(options.signal);
+  __validateNameOptions(options);
+}
+
+/**
+ * Normalizes the given extension name for temporary file creation.
+ *
+ * @private
+ * @function
+ * @param {TempPathOptions} options - The options containing the extension name,
+ *                                    with or without leading dot.
+ * @returns {string} The extension name with leading dot, or an empty string if the given
+ *                   extension is an empty string or not specified along with a template.
+ * @since 0.6.0
+ */
+function __getExtension(options) {
+  const ext = options.ext;
+  if (isNullOrUndefined(ext) && options.template) {
+    return '';  // The template is responsible for the extension
+  }
+  return (ext)
+    ? ext.startsWith('.')
+      ? ext
+      : `.${ext}`
+    // Use default extension, if the extension name is not specified
+    // * feat: Add support for temporary file creation with no extension
+    : ((typeof ext === 'string' && ext.length === 0)
+      ? ext
+      : '.tmp'
+    );
+}
+
+/**
+ * The default number of retries on name collision.
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const DEFAULT_RETRIES = 3;
+
+/**
+ * Creates an error indicating that all attempted paths already exist.
+ *
+ * @private
+ * @function
+ * @param {string[]} attemptedPaths - The attempted paths.
+ * @param {TempPathOptions} options - The options.
+ * @param {Error} cause - The last `EEXIST` error.
+ * @returns {TempPathCollisionError} The error, with `attemptedPaths` property.
+ * @since 0.6.0
+ */
+function __collisionError(attemptedPaths, options, cause) {
+  return __publishError(new TempPathCollisionError(
+    `temppath: Failed to create temporary ${
+      (options.asFile) ? 'file' : 'directory'
+    } after ${attemptedPaths.length} attempts, all paths already exist: ${
+      attemptedPaths.join(', ')
+    }`, attemptedPaths, { operation: 'create', cause }));
+}
+
+/**
+ * Creates an error indicating that the temporary path could not be created.
+ *
+ * @private
+ * @function
+ * @param {TempPathOptions} options - The options.
+ * @param {Error} cause - The source error. Returned as is if already thrown by this module,
+ *                        e.g. an insecure temporary root, or if it is an `AbortError`.
+ * @param {string} [attemptedPath] - The attempted path.
+ * @returns {TempPathError} The error, with source error as causative error.
+ * @since 0.6.0
+ */
+function __creationError(options, cause, attemptedPath) {
+  if (cause instanceof TempPathError || __isAbortError(cause)) return cause;
+  return __fsError(
+    `temppath: Failed to create temporary ${
+      (options.asFile) ? 'file' : 'directory'
+    }.`, 'ERR_TEMPPATH_CREATE_FAILED', 'create', attemptedPath, cause);
+}
+
+/*-------------------
+ * SECURITY CHECKS
+ -------------------*/
+
+/**
+ * The default permission mode of temporary file created with the `secure` option.
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const SECURE_FILE_MODE = 0o600;
+
+/**
+ * The default permission mode of temporary directory created with the `secure` option.
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const SECURE_DIR_MODE = 0o700;
+
+/**
+ * The sticky bit of file mode (`S_ISVTX`), not exposed by `fs.constants`.
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const STICKY_BIT = 0o1000;
+
+/**
+ * Returns the permission mode to create the temporary path with, or `undefined`
+ * to use the default mode of Node.js.
+ *
+ * @private
+ * @function
+ * @param {TempPathOptions} options - The validated options.
+ * @returns {number | undefined} The permission mode.
+ * @since 0.6.0
+ */
+function __getMode(options) {
+  if (!isNullOrUndefined(options.mode)) return options.mode;
+  if (options.secure) return (options.asFile) ? SECURE_FILE_MODE : SECURE_DIR_MODE;
+  return undefined;
+}
+
+/**
+ * Whether the temporary root directory should be verified before creating the path.
+ *
+ * @private
+ * @function
+ * @param {TempPathOptions} options - The validated options.
+ * @returns {boolean} `true` if the root should be verified.
+ * @since 0.6.0
+ */
+function __shouldVerifyRoot(options) {
+  return isNullOrUndefined(options.verifyRoot) ? !!options.secure : options.verifyRoot;
+}
+
+/**
+ * Whether the marker file should be written next to the created path, so it can be
+ * recognised by {@link module:temppath~prune|prune}. Defaults to whether the path is created
+ * in the temporary root, where the paths left by crashed processes accumulate.
+ *
+ * @private
+ * @function
+ * @param {?string} tmpdir - The temporary directory path.
+ * @param {TempPathOptions} options - The validated options.
+ * @returns {boolean} `true` if the marker should be written.
+ * @since 0.6.0
+ */
+function __shouldWriteMarker(tmpdir, options) {
+  if (!isNullOrUndefined(options.marker)) return options.marker;
+  return isNullOrUndefined(tmpdir) || tmpdir.length === 0;
+}
+
+/**
+ * Checks the stats of the temporary root directory, see {@link module:temppath~__verifyTempRootSync}.
+ *
+ * @private
+ * @function
+ * @param {string} root - The temporary root directory path.
+ * @param {fs.Stats} lstats - The stats of the root itself, without following symlinks.
+ * @param {fs.Stats} stats - The stats of the root, following symlinks.
+ * @returns {?TempPathError} An error describing why the root is insecure, or `null` if it is secure.
+ * @since 0.6.0
+ */
+function __checkTempRootStats(root, lstats, stats) {
+  const uid = process.getuid();
+  const details = { code: 'ERR_TEMPPATH_INSECURE_ROOT', path: root, operation: 'verify-root' };
+  if (lstats.isSymbolicLink() && lstats.uid !== uid && lstats.uid !== 0) {
+    return __publishError(new TempPathError(
+      `temppath: Insecure temporary directory, it is a symlink owned by another user: ${root}`, details));
+  }
+  if (!stats.isDirectory()) {
+    return __publishError(
+      new TempPathError(`temppath: Temporary directory is not a directory: ${root}`, details));
+  }
+  if (stats.uid !== uid && !(stats.mode & STICKY_BIT)) {
+    return __publishError(new TempPathError(
+      `temppath: Insecure temporary directory, it is neither owned by the current user nor has the sticky bit set: ${root}`,
+      details));
+  }
+  return null;
+}
+
+/**
+ * Whether the given stats belong to the current user. Always `true` on Windows.
+ *
+ * @private
+ * @function
+ * @param {fs.Stats} stats - The stats to check.
+ * @returns {boolean}
+ * @since 0.6.0
+ */
+function __isOwned(stats) {
+  return typeof process.getuid !== 'function' || stats.uid === process.getuid();
+}
+
+/**
+ * Checks the stats of a namespace directory, which must be a real directory owned by
+ * the current user, so another user cannot pre-create it to take over the paths in it.
+ *
+ * @private
+ * @function
+ * @param {string} dir - The namespace directory path.
+ * @param {fs.Stats} lstats - The stats of the directory, not following symlinks.
+ * @returns {?TempPathError} The error if the directory is insecure, otherwise `null`.
+ * @since 0.6.0
+ */
+function __checkNamespaceStats(dir, lstats) {
+  if (!lstats.isDirectory() || !__isOwned(lstats)) {
+    return __publishError(new TempPathError(
+      `temppath: Insecure namespace directory, it is not a directory owned by the current user: ${dir}`,
+      { code: 'ERR_TEMPPATH_INSECURE_ROOT', path: dir, operation: 'verify-root' }));
+  }
+  return null;
+}
+
+/**
+ * Synchronously verifies the namespace directory, see `__checkNamespaceStats`.
+ *
+ * @private
+ * @function
+ * @param {string} dir - The namespace directory path.
+ * @throws {Error} If the namespace directory is insecure.
+ * @since 0.6.0
+ */
+function __verifyNamespaceDirSync(dir) {
+  const err = __checkNamespaceStats(dir, fs.lstatSync(dir));
+  if (err) throw err;
+}
+
+/**
+ * Asynchronously verifies the namespace directory, see `__checkNamespaceStats`.
+ *
+ * @private
+ * @function
+ * @param {string} dir - The namespace directory path.
+ * @returns {Promise<void>} A promise that rejects if the namespace directory is insecure.
+ * @since 0.6.0
+ */
+function __verifyNamespaceDir(dir) {
+  return fs.promises.lstat(dir).then(function (lstats) {
+    const err = __checkNamespaceStats(dir, lstats);
+    if (err) throw err;
+  });
+}
+
+/**
+ * Synchronously verifies that the temporary root directory is not a symlink planted by
+ * another user, and that it is either owned by the current user or has the sticky bit set,
+ * so other users cannot replace the created paths. Does nothing on Windows.
+ *
+ * @private
+ * @function
+ * @param {string} root - The temporary root directory path.
+ * @throws {Error} If the temporary root directory is insecure.
+ * @since 0.6.0
+ */
+function __verifyTempRootSync(root) {
+  if (typeof process.getuid !== 'function') return;  // Windows
+
+  const err = __checkTempRootStats(root, fs.lstatSync(root), fs.statSync(root));
+  if (err) throw err;
+}
+
+/**
+ * Asynchronously verifies the temporary root directory, see
+ * {@link module:temppath~__verifyTempRootSync}.
+ *
+ * @private
+ * @function
+ * @param {string} root - The temporary root directory path.
+ * @returns {Promise<void>} A promise that rejects if the temporary root directory is insecure.
+ * @since 0.6.0
+ */
+function __verifyTempRoot(root) {
+  if (typeof process.getuid !== 'function') return Promise.resolve();  // Windows
+
+  return Promise.all([ fs.promises.lstat(root), fs.promises.stat(root) ])
+    .then(function ([ lstats, stats ]) {
+      const err = __checkTempRootStats(root, lstats, stats);
+      if (err) throw err;
+    });
+}
+
+/**
+ * Asynchronously creates a temporary path with the already validated arguments.
+ *
+ * @private
+ * @function
+ * @param {?string} tmpdir - The temporary directory path.
+ * @param {TempPathOptions} options - The validated options.
+ * @param {boolean} [keepOpen=false] - Whether to keep the created temporary file open
+ *                                     for reading and writing. The caller is responsible for
+ *                                     publishing the creation, see `__publishCreate`.
+ * @param {boolean} [detailed=false] - Whether to resolve with the details of the created path
+ *                                     even if `keepOpen` is `false`.
+ * @returns {Promise<string | {path: string, handle?: fs.promises.FileHandle, root: string,
+ *          freeBytes: ?number, start: number}>} A promise that resolves with the created temporary
+ *          path, or an object containing the path, the file handle if `keepOpen` is `true`, the
+ *          selected temporary root, its available bytes and the time the creation started if
+ *          `keepOpen` or `detailed` is `true`.
+ * @since 0.6.0
+ */
+function __createTempPath(tmpdir, options, keepOpen, detailed) {
+  const attemptedPaths = [];
+  const retries = isNullOrUndefined(options.retries) ? DEFAULT_RETRIES : options.retries;
+  const mode = __getMode(options);
+  const namespaced = __isNamespaced(tmpdir, options);
+  const start = __now();
+  let space;
+
+  function attempt(target) {
+    attemptedPaths.push(target);
+
+    // Create the path exclusively, never overwrite an existing one
+    return ((options.asFile)
+      // Create an empty file
+      ? fs.promises.open(target, keepOpen ? 'wx+' : 'wx', mode)
+        .then(handle => (keepOpen ? handle : handle.close()))
+      // Create an empty directory
+      : fs.promises.mkdir(target, { mode })
+    ).then(function (handle) {
+      if (!keepOpen && !detailed) return target;
+      const result = { path: target, root: space.root, freeBytes: space.freeBytes, start };
+      if (keepOpen) result.handle = handle;
+      return result;
+    }, function (err) {
+      if (err.code !== 'EEXIST') throw __creationError(options, err, target);
+      if (attemptedPaths.length > retries) throw __collisionError(attemptedPaths, options, err);
+      // Collided, retry with a new name
+      return attempt(getTempPath(space.tmpdir, options));
+    });
+  }
+
+  let target;
+  return Promise.resolve()
+    .then(function () {
+      __throwIfAborted(options.signal);
+      // Select the directory to create the path in, checking the free space if requested
+      return __selectRoot(tmpdir, options);
+    })
+    .then(function (selected) {
+      space = selected;
+      // Resolve the temporary path, the name is validated before touching the file system
+      target = getTempPath(space.tmpdir, options);
+      // Create the parent directory of generated temporary path
+      return fs.promises.mkdir(path.dirname(target),
+        { recursive: true, mode: namespaced ? SECURE_DIR_MODE : undefined });
+    })
+    .then(function () {
+      if (namespaced) return __verifyNamespaceDir(path.dirname(target));
+    })
+    .then(function () {
+      if (__shouldVerifyRoot(options)) return __verifyTempRoot(path.dirname(target));
+    })
+    .then(function () {
+      __throwIfAborted(options.signal);
+      return attempt(target);
+    }, function (err) {
+      throw __creationError(options, err, target);
+    })
+    .then(function (result) {
+      const createdPath = (typeof result === 'string') ? result : result.path;
+      if (!__shouldWriteMarker(tmpdir, options)) return result;
+      return __writeMarker(createdPath, !!options.asFile).then(() => result, function (err) {
+        // Do not leave an unmarked path behind
+        return (keepOpen ? result.handle.close() : Promise.resolve())
+          .then(() => __removePath(createdPath))
+          .then(function () {
+            throw __creationError(options, err, createdPath);
+          });
+      });
+    })
+    .then(function (result) {
+      const createdPath = (typeof result === 'string') ? result : result.path;
+      __trackPath(createdPath, options);
+      const aborted = !isNullOrUndefined(options.signal) && options.signal.aborted;
+      // The open files are published once their contents are written
+      if (!keepOpen || aborted) __publishCreate(createdPath, !!options.asFile, space.root, 0, start);
+      if (!aborted) {
+        if (options.ttl) __scheduleExpiration(createdPath, options.ttl, options);
+        return result;
+      }
+
+      // Aborted while creating, do not leave the path behind
+      return (keepOpen ? result.handle.close() : Promise.resolve())
+        .then(() => __removePath(createdPath))
+        .then(function () {
+          __untrackPath(createdPath);
+          throw __abortError(options.signal);
+        });
+    });
+}
+
+/**
+ * Synchronously creates a temporary path with the already validated arguments.
+ *
+ * @private
+ * @function
+ * @param {?string} tmpdir - The temporary directory path.
+ * @param {TempPathOptions} options - The validated options.
+ * @param {boolean} [keepOpen=false] - Whether to keep the created temporary file open
+ *                                     for reading and writing. The caller is responsible for
+ *                                     publishing the creation, see `__publishCreate`.
+ * @param {boolean} [detailed=false] - Whether to return the details of the created path
+ *                                     even if `keepOpen` is `false`.
+ * @returns {string | {path: string, fd?: number, root: string, freeBytes: ?number, start: number}}
+ *          The created temporary path, or an object containing the path, the file descriptor if
+ *          `keepOpen` is `true`, the selected temporary root, its available bytes and the time the
+ *          creation started if `keepOpen` or `detailed` is `true`.
+ * @since 0.6.0
+ */
+function __createTempPathSync(tmpdir, options, keepOpen, detailed) {
+  const attemptedPaths = [];
+  const retries = isNullOrUndefined(options.retries) ? DEFAULT_RETRIES : options.retries;
+  const mode = __getMode(options);
+  const namespaced = __isNamespaced(tmpdir, options);
+  const start = __now();
+  // Select the directory to create the path in, checking the free space if requested
+  const space = __selectRootSync(tmpdir, options);
+  let target = getTempPath(space.tmpdir, options);
+  let lastError;
+
+  try {
+    // Create the parent directory of generated temporary path
+    fs.mkdirSync(path.dirname(target),
+      { recursive: true, mode: namespaced ? SECURE_DIR_MODE : undefined });
+    if (namespaced) __verifyNamespaceDirSync(path.dirname(target));
+    if (__shouldVerifyRoot(options)) __verifyTempRootSync(path.dirname(target));
+  } catch (err) {
+    throw __creationError(options, err, target);
+  }
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    // Resolve the temporary path, a new one for each retry
+    if (attempt > 0) target = getTempPath(space.tmpdir, options);
+    attemptedPaths.push(target);
+
+    let fd;
+    try {
+      // Create the path exclusively, never overwrite an existing one
+      if (options.asFile) {
+        // Create an empty temporary file
+        fd = fs.openSync(target, keepOpen ? 'wx+' : 'wx', mode);
+        if (!keepOpen) fs.closeSync(fd);
+      } else {
+        fs.mkdirSync(target, { mode });  // Create a temporary directory
+      }
+    } catch (err) {
+      if (err.code === 'EEXIST') {
+        lastError = err;
+        continue;  // Collided, retry with a new name
+      }
+      throw __creationError(options, err, target);
+    }
+
+    if (__shouldWriteMarker(tmpdir, options)) {
+      try {
+        __writeMarkerSync(target, !!options.asFile);
+      } catch (err) {
+        // Do not leave an unmarked path behind
+        if (keepOpen) fs.closeSync(fd);
+        __removePathSync(target);
+        throw __creationError(options, err, target);
+      }
+    }
+
+    __trackPath(target, options);
+    if (options.ttl) __scheduleExpiration(target, options.ttl, options);
+    // The open files are published once their contents are written
+    if (!keepOpen) __publishCreate(target, !!options.asFile, space.root, 0, start);
+    if (!keepOpen && !detailed) return target;  // Return the created temporary path
+    const result = { path: target, root: space.root, freeBytes: space.freeBytes, start };
+    if (keepOpen) result.fd = fd;
+    return result;
+  }
+
+  throw __collisionError(attemptedPaths, options, lastError);
+}
+
+/**
+ * Asynchronously creates a temporary path, either as a directory or file,
+ * based on the provided or system temporary directory.
+ *
+ * This function utilizes the {@link module:temppath~getTempPath|getTempPath} function.
+ * To limit the characters' length of generated temporary directory or file name,
+ * set the {@link TempPathOptions.maxLen `options.maxLen`} to the desired value and
+ * it must be a positive number. Thus, the function will trim the name to the desired
+ * maximum length.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {string | TempPathOptions | CreateTempPathCallback} [tmpdir] - The temporary directory path.
+ *                                   If an object is provided, it is treated as the `options` parameter.
+ *                                   If a function is provided, it is treated as the `callback` parameter,
+ *                                   and `tmpdir` will fallback to system-based temporary directory.
+ * @param {TempPathOptions | CreateTempPathCallback} [options] - Options for creating the temporary path.
+ *                                   If a function is provided, it is treated as the `callback` parameter,
+ *                                   and `options` is set to `{}` (an empty object).
+ * @param {boolean} [options.asFile=false] - If `true`, create a temporary file. Otherwise, create a directory.
+ * @param {string} [options.ext='.tmp'] - The extension for the temporary file. If `asFile` option is `false`,
+ *                                        this option will be ignored. Default is '.tmp'.
+ * @param {number} [options.maxLen=32] - The maximum characters' length of the generated directory or file name.
+ *                                       Defaults to 32 characters.
+ * @param {boolean} [options.autoCleanup] - If `true`, remove the created path on process exit.
+ *                                          Defaults to the state set by {@link module:temppath~track|track}.
+ * @param {number} [options.retries=3] - How many times to retry with a new name if the generated path
+ *                                       already exists. Existing paths are never overwritten.
+ * @param {number} [options.mode] - The permission mode of the created file or directory.
+ * @param {boolean} [options.secure=false] - If `true`, restrict the default mode to the current user
+ *                                           and verify the temporary root directory.
+ * @param {boolean} [options.marker] - If `true`, write a marker file next to the created path,
+ *                                     so it can be removed later by {@link module:temppath~prune|prune}.
+ *                                     Defaults to `true` if no `tmpdir` is given.
+ * @param {CreateTempPathCallback} callback - A callback function to handle the result path or error.
+ *                                            This is crucial and required, even when you wanted to omit all arguments.
+ *
+ * @throws {TypeError} If the given arguments or the extension name specified with incorrect type.
+ *
+ * @example <caption>Only specify a callback function</caption>
+ * // Without any argument but a callback function
+ * // This will create a temporary directory in system's temporary path
+ * createTempPath(function (err, createdPath) {
+ *   if (err) console.error(err);
+ *   else console.log(createdPath);
+ *   // Unix: "$TMPDIR/<TEMPPATH_DIR>"
+ *   // Termux Android: "$TMPDIR/<TEMPPATH_DIR>" or "$PREFIX/tmp/<TEMPPATH_DIR>"
+ *   // Windows: "%TMP%\<TEMPPATH_DIR>" or "%TEMP%\<TEMPPATH_DIR>"
+ * });
+ *
+ * @example <caption>Create a temporary file in system's temporary path</caption>
+ * // This will create a temporary file in system's temporary path
+ * // with extension name of '.foo_temp'
+ * createTempPath({ asFile: true, ext: 'foo_temp' }, function (err, createdPath) {
+ *   if (err) console.error(err);
+ *   else console.log(createdPath);
+ *   // Unix: "$TMPDIR/<TEMPPATH_FILE>.foo_temp"
+ *   // Termux Android: "$TMPDIR/<TEMPPATH_FILE>.foo_temp" or "$PREFIX/tmp/<TEMPPATH_FILE>.foo_temp"
+ *   // Windows: "%TMP%\<TEMPPATH_FILE>.foo_temp" or "%TEMP%\<TEMPPATH_FILE>.foo_temp"
+ * });
+ *
+ * @example <caption>Create a temporary file in current directory</caption>
+ * const path = require('node:path');
+ * // For ESM: import path from 'node:path';
+ *
+ * // Use `process.cwd()` to get current directory path
+ * createTempPath(path.join(process.cwd(), 'tmp'), { asFile: true }, function (err, createdPath) {
+ *   if (err) console.error(err);
+ *   else console.log(createdPath);
+ *   // Unix: "$PWD/tmp/<TEMPPATH_FILE>.tmp"
+ *   // Termux Android: "$PWD/tmp/<TEMPPATH_FILE>.tmp"
+ *   // Windows: "%CD%\tmp\<TEMPPATH_FILE>.tmp"
+ * });
+ *
+ * @since 0.2.0
+ */
+function createTempPath(tmpdir, options, callback) {
+  if ((typeof tmpdir === 'object' && !Array.isArray(tmpdir))
+      && typeof options === 'function' && isNullOrUndefined(callback)) {
+    callback = options;  // Swap the `options` to `callback`
+    options = tmpdir;    // Swap the `tmpdir` to `options`
+    tmpdir = null;       // Keep this empty
+  } else if (!isNullOrUndefined(tmpdir) && typeof options === 'function'
+      && isNullOrUndefined(callback)) {
+    callback = options;
+    options = {};
+  } else if (typeof tmpdir === 'function' && isNullOrUndefined(options)
+      && isNullOrUndefined(callback)) {
+    callback = tmpdir;
+    options = {};
+    tmpdir = null;
+  } else if (isNullOrUndefined(options)) {
+    options = {};
+  }
+
+  if (!callback || typeof callback !== 'function') {
+    throw new TempPathTypeError(
+      `The "callback" argument must be a function. Received ${typeof callback}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+  __validateOptions(options);
+
+  // Call back outside of the promise chain, so an error thrown by the callback is not
+  // caught and passed to the callback again
+  __createTempPath(tmpdir, options).then(
+    createdPath => process.nextTick(callback, null, createdPath),  // Return the created temporary path
+    err => process.nextTick(callback, err));
+}
+
+/**
+ * Asynchronously creates a temporary path, either as a directory or file, based on the provided
+ * or system temporary directory and returns a promise that resolves with the created path.
+ *
+ * This is the promise-based version of {@link module:temppath~createTempPath|createTempPath},
+ * accepting the same arguments as {@link module:temppath~createTempPathSync|createTempPathSync}.
+ * Unlike `createTempPath`, invalid arguments reject the returned promise instead of throwing.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {string | TempPathOptions} [tmpdir] - The temporary directory path. If an object is provided,
+ *                                   it is treated as the `options` parameter,
+ *                                   and `tmpdir` will fallback to system-based temporary directory.
+ * @param {TempPathOptions} [options] - Options for creating the temporary path.
+ *
+ * @returns {Promise<string>} A promise that resolves with the path of the created temporary
+ *                            directory or file.
+ *
+ * @example
+ * const tmpFilePath = await createTempPathAsync({ asFile: true, ext: 'txt' });
+ * console.log(tmpFilePath);
+ * // Unix: "$TMPDIR/<TEMPPATH_FILE>.txt"
+ * // Termux Android: "$TMPDIR/<TEMPPATH_FILE>.txt" or "$PREFIX/tmp/<TEMPPATH_FILE>.txt"
+ * // Windows: "%TMP%\<TEMPPATH_FILE>.txt" or "%TEMP%\<TEMPPATH_FILE>.txt"
+ *
+ * @since 0.6.0
+ */
+function createTempPathAsync(tmpdir, options) {
+  return new Promise(function (resolve) {
+    [ tmpdir, options ] = __resolveArgs(tmpdir, options);
+    __validateOptions(options);
+    resolve(__createTempPath(tmpdir, options));
+  });
+}
+
+/**
+ * Synchronously creates a temporary path, either as a directory or file, based on the provided
+ * or system temporary directory and then returns a path that refers to the generated temporary directory or file.
+ *
+ * This function utilizes the {@link module:temppath~getTempPath|getTempPath} function.
+ * To limit the characters' length of generated temporary directory or file name,
+ * set the {@link TempPathOptions.maxLen `options.maxLen`} to the desired value and
+ * it must be a positive number. Thus, the function will trim the name to the desired
+ * maximum length.
+ *
+ * @public
+ * @function
+ * @param {string | TempPathOptions} [tmpdir] - The temporary directory path. If an object is provided,
+ *                                   it is treated as the `options` parameter,
+ *                                   and `tmpdir` will fallback to system-based temporary directory.
+ * @param {Object} [options] - Options for creating the temporary path.
+ * @param {boolean} [options.asFile=false] - If `true`, create a temporary file. Otherwise, create a directory.
+ * @param {string} [options.ext='.tmp'] - The extension for the temporary file. If `asFile` option is `false`,
+ *                                        this option will be ignored. Default is `'.tmp'`.
+ * @param {number} [options.maxLen=32] - The maximum characters' length of the generated directory or file name.
+ *                                       Defaults to 32 characters.
+ * @param {boolean} [options.autoCleanup] - If `true`, remove the created path on process exit.
+ *                                          Defaults to the state set by {@link module:temppath~track|track}.
+ * @param {number} [options.retries=3] - How many times to retry with a new name if the generated path
+ *                                       already exists. Existing paths are never overwritten.
+ * @param {number} [options.mode] - The permission mode of the created file or directory.
+ * @param {boolean} [options.secure=false] - If `true`, restrict the default mode to the current user
+ *                                           and verify the temporary root directory.
+ *
+ * @returns {string} The path of the created temporary directory or file.
+ *
+ * @throws {TypeError} If the given arguments or the extension name specified with incorrect type.
+ * @throws {Error} Throws an `Error` if there is an issue creating the temporary directory or file.
+ *                 If all attempted paths already exist, throws a {@link TempPathCollisionError}
+ *                 with the `code` property set to `'ERR_TEMPPATH_COLLISION'` and the `attemptedPaths`
+ *                 property listing the attempted paths.
+ *
+ * @example <caption>Call the function without any argument</caption>
+ * // If no argument specified, it will creates a temporary directory
+ * // in system's temporary path
+ * const tmpDirPath = createTempPathSync();
+ * console.log(tmpDirPath);
+ * // Unix: "$TMPDIR/<TEMPPATH_DIR>"
+ * // Termux Android: "$TMPDIR/<TEMPPATH_DIR>" or "$PREFIX/tmp/<TEMPPATH_DIR>"
+ * // Windows: "%TMP%\<TEMPPATH_DIR>" or "%TEMP%\<TEMPPATH_DIR>"
+ *
+ * @example <caption>Create a temporary file with custom extension</caption>
+ * const tmpFilePath = createTempPathSync({ asFile: true, ext: 'txt' });
+ * console.log(tmpFilePath);
+ * // Unix: "$TMPDIR/<TEMPPATH_FILE>.txt"
+ * // Termux Android: "$TMPDIR/<TEMPPATH_FILE>.txt" or "$PREFIX/tmp/<TEMPPATH_FILE>.txt"
+ * // Windows: "%TMP%\<TEMPPATH_FILE>.txt" or "%TEMP%\<TEMPPATH_FILE>.txt"
+ *
+ * @example <caption>Create a temporary file in current directory</caption>
+ * const path = require('node:path');
+ * // For ESM: import path from 'node:path';
+ *
+ * // Use `process.cwd()` to get current directory path
+ * const customTmpFilePath = createTempPathSync(
+ *   path.join(process.cwd(), 'tmp'), { asFile: true });
+ * console.log(customTmpFilePath);
+ * // Unix: "$PWD/tmp/<TEMPPATH_FILE>.tmp"
+ * // Termux Android: "$PWD/tmp/<TEMPPATH_FILE>.tmp"
+ * // Windows: "%CD%\tmp\<TEMPPATH_FILE>.tmp"
+ *
+ * @since 0.2.0
+ */
+function createTempPathSync(tmpdir, options) {
+  [ tmpdir, options ] = __resolveArgs(tmpdir, options);
+  __validateOptions(options);
+
+  return __createTempPathSync(tmpdir, options);
+}
+
+
+/*------------------
+ * BATCH CREATION
+ ------------------*/
+
+/**
+ * The default maximum number of paths being created at once by a batch.
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const DEFAULT_BATCH_CONCURRENCY = 8;
+
+/**
+ * Validates the arguments of batch creation.
+ *
+ * @private
+ * @function
+ * @param {number} count - The number of paths to create.
+ * @param {?BatchTempPathOptions} options - The options.
+ * @returns {{tmpdir: ?string, options: TempPathOptions, concurrency: number}} The temporary
+ *          directory path, the options for creating each path and the concurrency.
+ * @throws {TypeError} If the given arguments specified with incorrect type.
+ * @throws {RangeError} If the count or concurrency is out of range.
+ * @since 0.6.0
+ */
+function __validateBatchArgs(count, options) {
+  if (typeof count !== 'number') {
+    throw new TempPathTypeError(`Expected a number for count, got ${typeof count}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+  if (!Number.isSafeInteger(count) || count < 0) {
+    throw new TempPathRangeError('Count must be a non-negative integer',
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+  options = __validateScopedOptions(options);
+  const concurrency = options.concurrency;
+  if (!isNullOrUndefined(concurrency)) {
+    if (typeof concurrency !== 'number') {
+      throw new TempPathTypeError(`Expected a number for concurrency, got ${typeof concurrency}`);
+    }
+    if (!Number.isSafeInteger(concurrency) || concurrency < 1) {
+      throw new TempPathRangeError('Concurrency must be a positive integer');
+    }
+  }
+
+  const pathOptions = { ...options };
+  delete pathOptions.tmpdir;
+  delete pathOptions.concurrency;
+  return {
+    tmpdir: options.tmpdir,
+    options: pathOptions,
+    concurrency: isNullOrUndefined(concurrency) ? DEFAULT_BATCH_CONCURRENCY : concurrency
+  };
+}
+
+/**
+ * Synchronously creates the given number of temporary paths, either as directories or files.
+ *
+ * Each path is created exclusively, retrying with a new name on collision, so the paths are
+ * unique across the batch. Either all paths are created, or nothing is left behind: if any
+ * path cannot be created, the already created ones are removed and the error is thrown.
+ *
+ * @public
+ * @function
+ * @param {number} count - The number of paths to create.
+ * @param {BatchTempPathOptions} [options] - Options for creating each temporary path.
+ *
+ * @returns {string[]} The paths of the created temporary directories or files, in order.
+ *
+ * @throws {TypeError} If the given arguments specified with incorrect type.
+ * @throws {RangeError} If the count is negative or not an integer.
+ * @throws {Error} Throws an `Error` if there is an issue creating any of the temporary paths.
+ *
+ * @example
+ * const shards = createTempPathsSync(4, { prefix: 'shard-' });
+ *
+ * @since 0.6.0
+ */
+function createTempPathsSync(count, options) {
+  const { tmpdir, options: pathOptions } = __validateBatchArgs(count, options);
+
+  const createdPaths = [];
+  try {
+    while (createdPaths.length < count) {
+      createdPaths.push(__createTempPathSync(tmpdir, pathOptions));
+    }
+  } catch (err) {
+    for (const createdPath of createdPaths) {
+      try {
+        __removePathSync(createdPath);
+        __untrackPath(createdPath);
+      } catch (_err) {
+        // Prefer the creation error, the path remains tracked
+      }
+    }
+    throw err;
+  }
+  return createdPaths;
+}
+
+/**
+ * Asynchronously creates the given number of temporary paths, either as directories or files,
+ * with at most `concurrency` paths being created at once to avoid flooding the file system.
+ *
+ * Each path is created exclusively, retrying with a new name on collision, so the paths are
+ * unique across the batch. Either all paths are created, or nothing is left behind: if any
+ * path cannot be created, no more paths are started, the already created ones are removed
+ * and the promise rejects with the first error.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {number} count - The number of paths to create.
+ * @param {BatchTempPathOptions} [options] - Options for creating each temporary path.
+ *
+ * @returns {Promise<string[]>} A promise that resolves with the paths of the created temporary
+ *                              directories or files, in order.
+ *
+ * @example
+ * // Create a directory for each benchmark run, 4 at once
+ * const runDirs = await createTempPaths(100, { prefix: 'bench-', concurrency: 4 });
+ *
+ * @since 0.6.0
+ */
+function createTempPaths(count, options) {
+  return new Promise(function (resolve) {
+    const { tmpdir, options: pathOptions, concurrency } = __validateBatchArgs(count, options);
+    const createdPaths = new Array(count);
+    let next = 0;
+    let failure = null;
+
+    // Creates the remaining paths one by one, until all are started or any has failed
+    function work() {
+      if (failure || next >= count) return Promise.resolve();
+      const index = next++;
+      return __createTempPath(tmpdir, pathOptions).then(function (createdPath) {
+        createdPaths[index] = createdPath;
+        return work();
+      }, function (err) {
+        if (!failure) failure = err;
+      });
+    }
+
+    const workers = Array.from({ length: Math.min(concurrency, count) }, work);
+    resolve(Promise.all(workers).then(function () {
+      if (!failure) return createdPaths;
+      return Promise.all(createdPaths.filter(createdPath => !isNullOrUndefined(createdPath))
+        .map(createdPath => __removePath(createdPath).then(function () {
+          __untrackPath(createdPath);
+        }, function () {
+          // Prefer the creation error, the path remains tracked
+        })))
+        .then(function () {
+          throw failure;
+        });
+    }));
+  });
+}
+
+
+/*------------------
+ * SCOPED HELPERS
+ ------------------*/
+
+/**
+ * Creates a disposable handle for the given created temporary path.
+ *
+ * @private
+ * @function
+ * @param {string} createdPath - The created temporary path.
+ * @param {boolean} isFile - Whether the created temporary path is a file.
+ * @param {Object} [extra] - Additional properties to attach to the handle.
+ * @param {?{keep: string}} [options] - The options used to create the path, which determine
+ *                                      its retention policy.
+ * @returns {TempPathHandle} The disposable handle.
+ * @since 0.6.0
+ */
+function __createHandle(createdPath, isFile, extra, options) {
+  const handle = {
+    ...extra,
+    path: createdPath,
+    isFile,
+    remove() {
+      return __removePath(createdPath)
+        .then(() => __untrackPath(createdPath));
+    },
+    removeSync() {
+      __removePathSync(createdPath);
+      __untrackPath(createdPath);
+    },
+    release(failed) {
+      if (!__shouldKeep(options, !!failed)) return handle.remove();
+      __retainPath(createdPath);
+      return Promise.resolve();
+    },
+    releaseSync(failed) {
+      if (!__shouldKeep(options, !!failed)) handle.removeSync();
+      else __retainPath(createdPath);
+    },
+    get expiresAt() {
+      const entry = expirations.get(path.resolve(createdPath));
+      return entry ? new Date(entry.expiresAt) : null;
+    },
+    touch(ttl) {
+      return __touchExpiration(createdPath, ttl, options);
+    },
+    persist() {
+      return __cancelExpiration(createdPath);
+    },
+    [disposeSymbol]() {
+      handle.removeSync();
+    },
+    [asyncDisposeSymbol]() {
+      return handle.remove();
+    }
+  };
+  return Object.freeze(handle);
+}
+
+/**
+ * Synchronously creates a temporary path, either as a directory or file, and returns
+ * a disposable handle referring to it.
+ *
+ * The returned handle implements `Symbol.dispose` and `Symbol.asyncDispose`, so it can be
+ * used with explicit resource management `using` declarations where available.
+ *
+ * @public
+ * @function
+ * @param {string | TempPathOptions} [tmpdir] - The temporary directory path. If an object is provided,
+ *                                   it is treated as the `options` parameter.
+ * @param {TempPathOptions} [options] - Options for creating the temporary path.
+ *
+ * @returns {TempPathHandle} The disposable handle of the created temporary directory or file.
+ *
+ * @throws {TypeError} If the given arguments or the extension name specified with incorrect type.
+ * @throws {Error} Throws an `Error` if there is an issue creating the temporary directory or file.
+ *
+ * @example
+ * {
+ *   using tmpDir = createTempHandleSync();
+ *   fs.writeFileSync(path.join(tmpDir.path, 'foo.txt'), 'foo');
+ * }  // `tmpDir.path` is removed here
+ *
+ * @since 0.6.0
+ */
+function createTempHandleSync(tmpdir, options) {
+  [ tmpdir, options ] = __resolveArgs(tmpdir, options);
+  __validateOptions(options);
+
+  const { path: createdPath, root, freeBytes } = __createTempPathSync(tmpdir, options, false, true);
+  return __createHandle(createdPath, !!options.asFile, { root, freeBytes }, options);
+}
+
+/**
+ * Asynchronously creates a temporary path, either as a directory or file, and returns
+ * a promise that resolves with a disposable handle referring to it.
+ *
+ * The resolved handle implements `Symbol.dispose` and `Symbol.asyncDispose`, so it can be
+ * used with explicit resource management `await using` declarations where available.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {string | TempPathOptions} [tmpdir] - The temporary directory path. If an object is provided,
+ *                                   it is treated as the `options` parameter.
+ * @param {TempPathOptions} [options] - Options for creating the temporary path.
+ *
+ * @returns {Promise<TempPathHandle>} A promise that resolves with the disposable handle of
+ *                                    the created temporary directory or file.
+ *
+ * @example
+ * {
+ *   await using tmpFile = await createTempHandleAsync({ asFile: true });
+ *   await fs.promises.writeFile(tmpFile.path, 'foo');
+ * }  // `tmpFile.path` is removed here
+ *
+ * @since 0.6.0
+ */
+function createTempHandleAsync(tmpdir, options) {
+  return new Promise(function (resolve) {
+    [ tmpdir, options ] = __resolveArgs(tmpdir, options);
+    __validateOptions(options);
+    resolve(__createTempPath(tmpdir, options, false, true).then(function (result) {
+      return __createHandle(result.path, !!options.asFile,
+        { root: result.root, freeBytes: result.freeBytes }, options);
+    }));
+  });
+}
+
+/**
+ * Validates the options accepting the `tmpdir` property, such as the ones of scoped helpers.
+ *
+ * @private
+ * @function
+ * @param {?ScopedTempPathOptions} options - The options.
+ * @returns {ScopedTempPathOptions} The options.
+ * @throws {TypeError} If the options specified with incorrect type.
+ * @since 0.6.0
+ */
+function __validateScopedOptions(options) {
+  if (isNullOrUndefined(options)) options = {};
+  __validateOptions(options);
+  if (options.tmpdir && typeof options.tmpdir !== 'string') {
+    throw new TempPathTypeError(`Expected type is string. Received ${typeof options.tmpdir}`);
+  }
+  return options;
+}
+
+/**
+ * Validates the arguments of scoped helpers.
+ *
+ * @private
+ * @function
+ * @param {Function} fn - The function to call with the created temporary path.
+ * @param {?ScopedTempPathOptions} options - The options.
+ * @returns {ScopedTempPathOptions} The options.
+ * @throws {TypeError} If the given arguments specified with incorrect type.
+ * @since 0.6.0
+ */
+function __validateScopedArgs(fn, options) {
+  if (typeof fn !== 'function') {
+    throw new TempPathTypeError(
+      `The "fn" argument must be a function. Received ${typeof fn}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+  return __validateScopedOptions(options);
+}
+
+/**
+ * Synchronously creates a temporary path, calls the given function with it,
+ * and removes the path afterwards, even when the function throws, unless retained
+ * by the retention policy.
+ *
+ * @private
+ * @function
+ * @param {function(string): *} fn - The function to call with the created temporary path.
+ * @param {ScopedTempPathOptions} options - The options.
+ * @returns {*} The value returned by `fn`.
+ * @since 0.6.0
+ */
+function __withTempPathSync(fn, options) {
+  const handle = createTempHandleSync(options.tmpdir, options);
+  let result;
+  try {
+    result = fn(handle.path);
+  } catch (err) {
+    try { handle.releaseSync(true); } catch (_err) { /* Prefer the error thrown by `fn` */ }
+    throw err;
+  }
+  handle.releaseSync(false);
+  return result;
+}
+
+/**
+ * Asynchronously creates a temporary path, calls the given function with it,
+ * and removes the path afterwards, even when the function throws or rejects, unless
+ * retained by the retention policy.
+ *
+ * @private
+ * @function
+ * @param {function(string): *} fn - The function to call with the created temporary path.
+ * @param {ScopedTempPathOptions} options - The options.
+ * @returns {Promise<*>} A promise that resolves with the value returned by `fn`.
+ * @since 0.6.0
+ */
+function __withTempPath(fn, options) {
+  return createTempHandleAsync(options.tmpdir, options).then(function (handle) {
+    return new Promise(resolve => resolve(fn(handle.path)))
+      .then(
+        result => handle.release(false).then(() => result),
+        err => handle.release(true)
+          .catch(() => { /* Prefer the error thrown by `fn` */ })
+          .then(() => { throw err; })
+      );
+  });
+}
+
+/**
+ * Asynchronously creates a temporary directory, calls the given function with its path,
+ * and removes the directory recursively afterwards, even when the function throws or
+ * returns a rejected promise, unless retained by the `keep` option.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {function(string): *} fn - The function to call with the created temporary directory path.
+ *                                   It may return a promise, which will be awaited before removal.
+ * @param {ScopedTempPathOptions} [options] - Options for creating the temporary directory.
+ *                                            The `asFile` option is ignored.
+ *
+ * @returns {Promise<*>} A promise that resolves with the value returned by `fn`.
+ *
+ * @example
+ * const content = await withTempDir(async function (tmpDir) {
+ *   const file = path.join(tmpDir, 'foo.txt');
+ *   await fs.promises.writeFile(file, 'foo');
+ *   return fs.promises.readFile(file, 'utf8');
+ * });
+ * // The temporary directory is removed here
+ *
+ * @since 0.6.0
+ */
+function withTempDir(fn, options) {
+  return new Promise(function (resolve) {
+    options = __validateScopedArgs(fn, options);
+    resolve(__withTempPath(fn, { ...options, asFile: false }));
+  });
+}
+
+/**
+ * Synchronously creates a temporary directory, calls the given function with its path,
+ * and removes the directory recursively afterwards, even when the function throws,
+ * unless retained by the `keep` option.
+ *
+ * @public
+ * @function
+ * @param {function(string): *} fn - The function to call with the created temporary directory path.
+ * @param {ScopedTempPathOptions} [options] - Options for creating the temporary directory.
+ *                                            The `asFile` option is ignored.
+ *
+ * @returns {*} The value returned by `fn`.
+ *
+ * @throws {TypeError} If the given arguments specified with incorrect type.
+ * @throws {Error} Throws an `Error` if there is an issue creating the temporary directory.
+ *
+ * @since 0.6.0
+ */
+function withTempDirSync(fn, options) {
+  options = __validateScopedArgs(fn, options);
+  return __withTempPathSync(fn, { ...options, asFile: false });
+}
+
+/**
+ * Asynchronously creates a temporary file, calls the given function with its path,
+ * and removes the file afterwards, even when the function throws or returns a rejected
+ * promise, unless retained by the `keep` option.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {function(string): *} fn - The function to call with the created temporary file path.
+ *                                   It may return a promise, which will be awaited before removal.
+ * @param {ScopedTempPathOptions} [options] - Options for creating the temporary file.
+ *                                            The `asFile` option is ignored.
+ *
+ * @returns {Promise<*>} A promise that resolves with the value returned by `fn`.
+ *
+ * @since 0.6.0
+ */
+function withTempFile(fn, options) {
+  return new Promise(function (resolve) {
+    options = __validateScopedArgs(fn, options);
+    resolve(__withTempPath(fn, { ...options, asFile: true }));
+  });
+}
+
+/**
+ * Synchronously creates a temporary file, calls the given function with its path,
+ * and removes the file afterwards, even when the function throws, unless retained
+ * by the `keep` option.
+ *
+ * @public
+ * @function
+ * @param {function(string): *} fn - The function to call with the created temporary file path.
+ * @param {ScopedTempPathOptions} [options] - Options for creating the temporary file.
+ *                                            The `asFile` option is ignored.
+ *
+ * @returns {*} The value returned by `fn`.
+ *
+ * @throws {TypeError} If the given arguments specified with incorrect type.
+ * @throws {Error} Throws an `Error` if there is an issue creating the temporary file.
+ *
+ * @since 0.6.0
+ */
+function withTempFileSync(fn, options) {
+  options = __validateScopedArgs(fn, options);
+  return __withTempPathSync(fn, { ...options, asFile: true });
+}
+
+
+/*-------------------
+ * TEMPORARY FILES
+ -------------------*/
+
+/**
+ * Validates the options for creating a temporary file with initial contents.
+ *
+ * @private
+ * @function
+ * @param {?TempFileOptions} options - The options to validate.
+ * @param {boolean} sync - Whether the options are used by a synchronous function,
+ *                         which cannot consume asynchronous data sources.
+ * @returns {TempFileOptions} The options with `asFile` set to `true`.
+ * @throws {TypeError} If the options or any of its properties specified with incorrect type.
+ * @since 0.6.0
+ */
+function __validateFileOptions(options, sync) {
+  __validateOptions(options);
+
+  const data = options.data;
+  if (!isNullOrUndefined(data) && typeof data !== 'string' && !ArrayBuffer.isView(data)
+      && (sync || typeof data[Symbol.asyncIterator] !== 'function')) {
+    throw new TempPathTypeError(
+      `Expected a string, Buffer, TypedArray${
+        sync ? '' : ', async iterable or Readable stream'
+      } for data, got ${typeof data}`);
+  }
+  if (!isNullOrUndefined(options.encoding) && !Buffer.isEncoding(options.encoding)) {
+    throw new TempPathTypeError(`Unknown encoding: ${options.encoding}`);
+  }
+  if (!isNullOrUndefined(options.open) && typeof options.open !== 'boolean') {
+    throw new TempPathTypeError(`Expected a boolean for open, got ${typeof options.open}`);
+  }
+  return { ...options, asFile: true };
+}
+
+/**
+ * Synchronously creates a temporary file with the given initial contents, and returns
+ * its path or, if the `open` option is `true`, its path and an open file descriptor.
+ *
+ * The file is opened once, exclusively, and the contents are written without reopening it.
+ * If the contents cannot be written, the file is removed.
+ *
+ * @public
+ * @function
+ * @param {string | TempFileOptions} [tmpdir] - The temporary directory path. If an object is provided,
+ *                                   it is treated as the `options` parameter.
+ * @param {TempFileOptions} [options] - Options for creating the temporary file. The `asFile`
+ *                                      option is ignored.
+ *
+ * @returns {string | {path: string, fd: number}} The path of the created temporary file, or an
+ *          object containing the path and the file descriptor opened for reading and writing,
+ *          positioned after the written contents, if the `open` option is `true`. The caller
+ *          is responsible for closing the file descriptor.
+ *
+ * @throws {TypeError} If the given arguments or any of the options specified with incorrect type.
+ * @throws {Error} Throws an `Error` if there is an issue creating or writing the temporary file.
+ *
+ * @example
+ * const configFile = createTempFileSync({ data: JSON.stringify(config), ext: 'json' });
+ *
+ * @since 0.6.0
+ */
+function createTempFileSync(tmpdir, options) {
+  [ tmpdir, options ] = __resolveArgs(tmpdir, options);
+  options = __validateFileOptions(options, true);
+
+  const { path: createdPath, fd, root, start } = __createTempPathSync(tmpdir, options, true);
+  try {
+    if (!isNullOrUndefined(options.data)) {
+      fs.writeFileSync(fd, options.data, { encoding: options.encoding });
+    }
+  } catch (err) {
+    fs.closeSync(fd);
+    __publishCreate(createdPath, true, root, 0, start);
+    __removePathSync(createdPath);
+    __untrackPath(createdPath);
+    throw __fsError('temppath: Failed to write temporary file.',
+      'ERR_TEMPPATH_WRITE_FAILED', 'write', createdPath, err);
+  }
+
+  __publishCreate(createdPath, true, root,
+    __isObserved('create') ? fs.fstatSync(fd).size : 0, start);
+  if (options.open) return { path: createdPath, fd };
+  fs.closeSync(fd);
+  return createdPath;
+}
+
+/**
+ * Asynchronously creates a temporary file with the given initial contents, and returns
+ * a promise that resolves with its path or, if the `open` option is `true`, its path and
+ * an open `FileHandle`.
+ *
+ * The file is opened once, exclusively, and the contents are written without reopening it.
+ * The contents can also be an async iterable or a `Readable` stream, which is consumed
+ * entirely. If the contents cannot be written, the file is removed.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {string | TempFileOptions} [tmpdir] - The temporary directory path. If an object is provided,
+ *                                   it is treated as the `options` parameter.
+ * @param {TempFileOptions} [options] - Options for creating the temporary file. The `asFile`
+ *                                      option is ignored.
+ *
+ * @returns {Promise<string | {path: string, handle: fs.promises.FileHandle}>} A promise that
+ *          resolves with the path of the created temporary file, or an object containing the
+ *          path and the `FileHandle` opened for reading and writing, positioned after the written
+ *          contents, if the `open` option is `true`. The caller is responsible for closing the handle.
+ *
+ * @example
+ * const { path: logFile, handle } = await createTempFileAsync({
+ *   data: fs.createReadStream('app.log'),
+ *   open: true
+ * });
+ * await handle.write('appended line\n');
+ * await handle.close();
+ *
+ * @since 0.6.0
+ */
+function createTempFileAsync(tmpdir, options) {
+  return new Promise(function (resolve) {
+    [ tmpdir, options ] = __resolveArgs(tmpdir, options);
+    options = __validateFileOptions(options, false);
+    resolve(__createTempPath(tmpdir, options, true));
+  }).then(function ({ path: createdPath, handle, root, start }) {
+    const written = isNullOrUndefined(options.data)
+      ? Promise.resolve()
+      : handle.writeFile(options.data, { encoding: options.encoding, signal: options.signal });
+
+    return written
+      .then(function () {
+        __throwIfAborted(options.signal);
+        return __isObserved('create') ? handle.stat() : { size: 0 };
+      })
+      .then(function (stats) {
+        __publishCreate(createdPath, true, root, stats.size, start);
+        if (options.open) return { path: createdPath, handle };
+        return handle.close().then(() => createdPath);
+      }, function (err) {
+        __publishCreate(createdPath, true, root, 0, start);
+        return handle.close()
+          .then(() => __removePath(createdPath))
+          .then(function () {
+            __untrackPath(createdPath);
+            throw __fsError('temppath: Failed to write temporary file.',
+              'ERR_TEMPPATH_WRITE_FAILED', 'write', createdPath, err);
+          });
+      });
+  });
+}
+
+
+/*-------------------
+ * TEMPORARY TREES
+ -------------------*/
+
+/**
+ * Marks the symlink descriptors created by {@link module:temppath~symlink|symlink}.
+ * @private
+ * @type {symbol}
+ * @since 0.6.0
+ */
+const SYMLINK_DESCRIPTOR = Symbol('temppath.symlink');
+
+/**
+ * Creates a symlink descriptor to be used in a {@link TempTreeSpec}.
+ *
+ * @public
+ * @function
+ * @param {string} target - The path the symlink points to. Relative paths are resolved
+ *                          from the directory containing the symlink.
+ * @param {string} [type] - The symlink type on Windows, either `'file'`, `'dir'` or `'junction'`.
+ *                          Ignored on other platforms.
+ *
+ * @returns {Object} The symlink descriptor.
+ *
+ * @throws {TypeError} If the given `target` is not a string or the `type` is unknown.
+ *
+ * @example
+ * createTempTreeSync({
+ *   'config.json': '{}',
+ *   'current.json': symlink('config.json')
+ * });
+ *
+ * @since 0.6.0
+ */
+function symlink(target, type) {
+  if (typeof target !== 'string' || target.length === 0) {
+    throw new TempPathTypeError(
+      `Expected a non-empty string for symlink target, got ${typeof target}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+  if (!isNullOrUndefined(type) && ![ 'file', 'dir', 'junction' ].includes(type)) {
+    throw new TempPathTypeError(`Unknown symlink type: ${type}`);
+  }
+  return Object.freeze({ [SYMLINK_DESCRIPTOR]: true, target, type });
+}
+
+/**
+ * Validates the given tree specification recursively, before touching the file system.
+ *
+ * @private
+ * @function
+ * @param {TempTreeSpec} spec - The tree specification.
+ * @param {string} [location=''] - The location of `spec` within the root, used in the error messages.
+ * @throws {TypeError} If any entry name or content specified with incorrect type.
+ * @since 0.6.0
+ */
+function __validateTreeSpec(spec, location) {
+  location = location || '';
+  const proto = (typeof spec === 'object' && spec !== null) ? Object.getPrototypeOf(spec) : undefined;
+  if (proto !== Object.prototype && proto !== null) {
+    throw new TempPathTypeError(
+      `The tree specification${location ? ` of "${location}"` : ''} must be a plain object`);
+  }
+
+  for (const [ name, value ] of Object.entries(spec)) {
+    const entry = location ? `${location}/${name}` : name;
+    if (name === '.' || name === '..' || name.length === 0) {
+      throw new TempPathTypeError(
+        `Invalid entry name in the tree specification: "${entry}"`,
+        { code: 'ERR_TEMPPATH_INVALID_NAME' });
+    }
+    __validateName(name, `entry name "${entry}"`);
+
+    if (typeof value === 'string' || ArrayBuffer.isView(value)) continue;
+    if (value && value[SYMLINK_DESCRIPTOR]) continue;
+    if (typeof value !== 'object' || value === null) {
+      throw new TempPathTypeError(
+        `Expected a string, Buffer, TypedArray, symlink or object for "${entry}", got ${
+          (value === null) ? 'null' : typeof value
+        }`);
+    }
+    __validateTreeSpec(value, entry);
+  }
+}
+
+/**
+ * Synchronously creates the entries of the given tree specification in the given directory.
+ *
+ * @private
+ * @function
+ * @param {string} dir - The directory to create the entries in.
+ * @param {TempTreeSpec} spec - The validated tree specification.
+ * @since 0.6.0
+ */
+function __materializeTreeSync(dir, spec) {
+  for (const [ name, value ] of Object.entries(spec)) {
+    const entryPath = path.join(dir, name);
+    if (typeof value === 'string' || ArrayBuffer.isView(value)) {
+      fs.writeFileSync(entryPath, value, { flag: 'wx' });
+    } else if (value[SYMLINK_DESCRIPTOR]) {
+      fs.symlinkSync(value.target, entryPath, value.type);
+    } else {
+      fs.mkdirSync(entryPath);
+      __materializeTreeSync(entryPath, value);
+    }
+  }
+}
+
+/**
+ * Asynchronously creates the entries of the given tree specification in the given directory.
+ *
+ * @private
+ * @function
+ * @param {string} dir - The directory to create the entries in.
+ * @param {TempTreeSpec} spec - The validated tree specification.
+ * @param {?AbortSignal} [signal] - The signal to stop creating the entries.
+ * @returns {Promise<void>} A promise that resolves when all entries have been created, or rejects
+ *                          with the first error once all entries have settled.
+ * @since 0.6.0
+ */
+function __materializeTree(dir, spec, signal) {
+  return Promise.allSettled(Object.entries(spec).map(function ([ name, value ]) {
+    const entryPath = path.join(dir, name);
+    return Promise.resolve().then(function () {
+      __throwIfAborted(signal);
+      if (typeof value === 'string' || ArrayBuffer.isView(value)) {
+        return fs.promises.writeFile(entryPath, value, { flag: 'wx', signal });
+      }
+      if (value[SYMLINK_DESCRIPTOR]) {
+        return fs.promises.symlink(value.target, entryPath, value.type);
+      }
+      return fs.promises.mkdir(entryPath)
+        .then(() => __materializeTree(entryPath, value, signal));
+    });
+  })).then(function (results) {
+    // Wait for all entries before failing, so the rollback does not race with them
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) throw failure.reason;
+    __throwIfAborted(signal);
+  });
+}
+
+/**
+ * Creates the handle of the given temporary tree root.
+ *
+ * @private
+ * @function
+ * @param {string} root - The temporary tree root path.
+ * @param {ScopedTempPathOptions} options - The options used to create the root.
+ * @returns {TempTree} The temporary tree handle.
+ * @since 0.6.0
+ */
+function __createTreeHandle(root, options) {
+  return __createHandle(root, false, {
+    root,
+    resolve(...segments) {
+      const resolved = path.resolve(root, ...segments);
+      const relative = path.relative(root, resolved);
+      if (relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative)) {
+        throw new TempPathRangeError(
+          `The resolved path is outside of the temporary tree: ${resolved}`,
+          { code: 'ERR_TEMPPATH_INVALID_ARG' });
+      }
+      return resolved;
+    }
+  }, options);
+}
+
+/**
+ * Synchronously creates a new temporary directory and materialises the given tree
+ * specification in it, useful to build fixtures for tests.
+ *
+ * Either the whole tree is created, or nothing is left behind: if any entry cannot be
+ * created, the temporary directory is removed and the error is thrown.
+ *
+ * @public
+ * @function
+ * @param {TempTreeSpec} spec - The tree specification.
+ * @param {ScopedTempPathOptions} [options] - Options for creating the temporary root directory.
+ *                                            The `asFile` option is ignored.
+ *
+ * @returns {TempTree} The temporary tree handle.
+ *
+ * @throws {TypeError} If the given arguments or the tree specification specified with incorrect type.
+ * @throws {Error} Throws an `Error` if there is an issue creating the temporary tree.
+ *
+ * @example
+ * const tree = createTempTreeSync({
+ *   'package.json': JSON.stringify({ name: 'fixture' }),
+ *   src: {
+ *     'index.js': 'module.exports = 1;',
+ *     lib: {}
+ *   },
+ *   'main.js': symlink('src/index.js')
+ * });
+ * tree.resolve('src', 'index.js');  // "<TEMP_ROOT>/src/index.js"
+ * tree.removeSync();
+ *
+ * @since 0.6.0
+ */
+function createTempTreeSync(spec, options) {
+  __validateTreeSpec(spec);
+  options = __validateScopedOptions(options);
+
+  const root = createTempPathSync(options.tmpdir, { ...options, asFile: false });
+  try {
+    __materializeTreeSync(root, spec);
+  } catch (err) {
+    __removePathSync(root);
+    __untrackPath(root);
+    throw __fsError('temppath: Failed to create temporary tree.',
+      'ERR_TEMPPATH_CREATE_FAILED', 'create', root, err);
+  }
+  return __createTreeHandle(root, options);
+}
+
+/**
+ * Asynchronously creates a new temporary directory and materialises the given tree
+ * specification in it, useful to build fixtures for tests.
+ *
+ * Either the whole tree is created, or nothing is left behind: if any entry cannot be
+ * created, the temporary directory is removed and the returned promise rejects.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {TempTreeSpec} spec - The tree specification.
+ * @param {ScopedTempPathOptions} [options] - Options for creating the temporary root directory.
+ *                                            The `asFile` option is ignored.
+ *
+ * @returns {Promise<TempTree>} A promise that resolves with the temporary tree handle.
+ *
+ * @since 0.6.0
+ */
+function createTempTreeAsync(spec, options) {
+  return new Promise(function (resolve) {
+    __validateTreeSpec(spec);
+    options = __validateScopedOptions(options);
+    resolve(createTempPathAsync(options.tmpdir, { ...options, asFile: false }));
+  }).then(function (root) {
+    return __materializeTree(root, spec, options.signal)
+      .then(() => __createTreeHandle(root, options), function (err) {
+        return __removePath(root).then(function () {
+          __untrackPath(root);
+          throw __fsError('temppath: Failed to create temporary tree.',
+            'ERR_TEMPPATH_CREATE_FAILED', 'create', root, err);
+        });
+      });
+  });
+}
+
+
+/*-------------------
+ * CLONES
+ -------------------*/
+
+/**
+ * The accepted values of the `symlinks` option of {@link CloneOptions}.
+ * @private
+ * @type {string[]}
+ * @since 0.6.0
+ */
+const CLONE_SYMLINK_MODES = [ 'rewrite', 'preserve', 'skip' ];
+
+/**
+ * Validates the arguments of {@link module:temppath~cloneToTemp|cloneToTemp}.
+ *
+ * @private
+ * @function
+ * @param {string} source - The path to clone.
+ * @param {?CloneOptions} options - The options.
+ * @returns {CloneOptions} The validated options, with the default values.
+ * @throws {TypeError} If the arguments specified with incorrect type.
+ * @since 0.6.0
+ */
+function __validateCloneArgs(source, options) {
+  if (typeof source !== 'string' || source.length === 0) {
+    throw new TempPathTypeError(
+      `Expected a non-empty string for source, got ${typeof source}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+  options = __validateScopedOptions(options);
+  if (!isNullOrUndefined(options.filter) && typeof options.filter !== 'function') {
+    throw new TempPathTypeError(`Expected a function for filter, got ${typeof options.filter}`);
+  }
+  if (!isNullOrUndefined(options.dereference) && typeof options.dereference !== 'boolean') {
+    throw new TempPathTypeError(
+      `Expected a boolean for dereference, got ${typeof options.dereference}`);
+  }
+  if (!isNullOrUndefined(options.symlinks) && !CLONE_SYMLINK_MODES.includes(options.symlinks)) {
+    throw new TempPathTypeError(`Unknown symlinks option: ${options.symlinks}`);
+  }
+  return { ...options, asFile: false, symlinks: options.symlinks || 'rewrite' };
+}
+
+/**
+ * Returns the target of the cloned symlink, according to the `symlinks` option.
+ *
+ * With the `'rewrite'` option, an absolute target within the source is redirected to the same
+ * entry within the clone, and a relative target outside of the source is made absolute, so
+ * the cloned symlinks never point into the source but still resolve to the same entries.
+ *
+ * @private
+ * @function
+ * @param {string} linkTarget - The target of the source symlink.
+ * @param {string} src - The source symlink path.
+ * @param {Object} context - The clone context.
+ * @returns {string} The target of the cloned symlink.
+ * @since 0.6.0
+ */
+function __cloneLinkTarget(linkTarget, src, context) {
+  if (context.symlinks === 'preserve') return linkTarget;
+
+  const resolved = path.resolve(path.dirname(src), linkTarget);
+  const relative = path.relative(context.source, resolved);
+  const inside = !relative.startsWith('..') && !path.isAbsolute(relative);
+  if (inside) return path.isAbsolute(linkTarget) ? path.join(context.root, relative) : linkTarget;
+  return resolved;
+}
+
+/**
+ * Returns the symlink type of the given symlink path on Windows.
+ *
+ * @private
+ * @function
+ * @param {string} src - The source symlink path.
+ * @returns {string | undefined} The symlink type, or `undefined` on other platforms.
+ * @since 0.6.0
+ */
+function __cloneLinkType(src) {
+  if (process.platform !== 'win32') return undefined;
+  try {
+    return fs.statSync(src).isDirectory() ? 'dir' : 'file';
+  } catch (_err) {
+    return 'file';  // Dangling symlink
+  }
+}
+
+/**
+ * Creates an error indicating that the source directory contains a symlink cycle.
+ *
+ * @private
+ * @function
+ * @param {string} src - The path closing the cycle.
+ * @returns {TempPathError} The error.
+ * @since 0.6.0
+ */
+function __cloneCycleError(src) {
+  return __publishError(new TempPathError(`temppath: Cannot clone a symlink cycle: ${src}`,
+    { code: 'ERR_TEMPPATH_INVALID_ARG', path: src, operation: 'clone' }));
+}
+
+/**
+ * Returns the key identifying the given file, used to detect the symlink cycles and the clone itself.
+ *
+ * @private
+ * @function
+ * @param {fs.Stats} stats - The file stats.
+ * @returns {string} The key.
+ * @since 0.6.0
+ */
+function __fileKey(stats) {
+  return `${stats.dev}:${stats.ino}`;
+}
+
+/**
+ * Synchronously clones the given entry, recursively for directories.
+ *
+ * @private
+ * @function
+ * @param {string} src - The source path.
+ * @param {string} dest - The destination path.
+ * @param {Object} context - The clone context.
+ * @param {string[]} ancestors - The keys of the ancestor directories.
+ * @since 0.6.0
+ */
+function __cloneEntrySync(src, dest, context, ancestors) {
+  if (context.filter && !context.filter(src, dest)) return;
+
+  const stats = context.dereference ? fs.statSync(src) : fs.lstatSync(src);
+  if (__fileKey(stats) === context.rootKey) return;  // Never clone the clone itself
+  if (stats.isDirectory()) {
+    if (ancestors.includes(__fileKey(stats))) throw __cloneCycleError(src);
+    fs.mkdirSync(dest);
+    __cloneDirSync(src, dest, context, ancestors.concat(__fileKey(stats)));
+    fs.chmodSync(dest, __cloneDirMode(stats));
+  } else if (stats.isSymbolicLink()) {
+    if (context.symlinks === 'skip') return;
+    fs.symlinkSync(__cloneLinkTarget(fs.readlinkSync(src), src, context), dest, __cloneLinkType(src));
+  } else if (stats.isFile()) {
+    // Copy-on-write if supported by the file system, otherwise a regular copy
+    fs.copyFileSync(src, dest, fs.constants.COPYFILE_EXCL | fs.constants.COPYFILE_FICLONE);
+  }
+  // Other types of files, such as sockets and FIFOs, are skipped
+}
+
+/**
+ * Returns the permission mode of a cloned directory, the mode of its source directory
+ * always readable, writable and searchable by the owner, so the clone can be removed.
+ *
+ * @private
+ * @function
+ * @param {fs.Stats} stats - The stats of the source directory.
+ * @returns {number} The permission mode.
+ * @since 0.6.0
+ */
+function __cloneDirMode(stats) {
+  return (stats.mode & 0o7777) | 0o700;
+}
+
+/**
+ * Synchronously clones the entries of the given directory.
+ *
+ * @private
+ * @function
+ * @param {string} src - The source directory path.
+ * @param {string} dest - The destination directory path.
+ * @param {Object} context - The clone context.
+ * @param {string[]} ancestors - The keys of the source directory and its ancestors.
+ * @since 0.6.0
+ */
+function __cloneDirSync(src, dest, context, ancestors) {
+  for (const name of fs.readdirSync(src)) {
+    __cloneEntrySync(path.join(src, name), path.join(dest, name), context, ancestors);
+  }
+}
+
+/**
+ * Asynchronously clones the given entry, recursively for directories.
+ *
+ * @private
+ * @function
+ * @param {string} src - The source path.
+ * @param {string} dest - The destination path.
+ * @param {Object} context - The clone context.
+ * @param {string[]} ancestors - The keys of the ancestor directories.
+ * @returns {Promise<void>} A promise that resolves when the entry has been cloned.
+ * @since 0.6.0
+ */
+function __cloneEntry(src, dest, context, ancestors) {
+  return Promise.resolve().then(function () {
+    __throwIfAborted(context.signal);
+    return context.filter ? context.filter(src, dest) : true;
+  }).then(function (included) {
+    if (!included) return;
+    return (context.dereference ? fs.promises.stat(src) : fs.promises.lstat(src)).then(function (stats) {
+      if (__fileKey(stats) === context.rootKey) return;  // Never clone the clone itself
+      if (stats.isDirectory()) {
+        if (ancestors.includes(__fileKey(stats))) throw __cloneCycleError(src);
+        return fs.promises.mkdir(dest)
+          .then(() => __cloneDir(src, dest, context, ancestors.concat(__fileKey(stats))))
+          .then(() => fs.promises.chmod(dest, __cloneDirMode(stats)));
+      }
+      if (stats.isSymbolicLink()) {
+        if (context.symlinks === 'skip') return;
+        return fs.promises.readlink(src).then(function (linkTarget) {
+          return fs.promises.symlink(__cloneLinkTarget(linkTarget, src, context), dest,
+            __cloneLinkType(src));
+        });
+      }
+      if (stats.isFile()) {
+        // Copy-on-write if supported by the file system, otherwise a regular copy
+        return fs.promises.copyFile(src, dest,
+          fs.constants.COPYFILE_EXCL | fs.constants.COPYFILE_FICLONE);
+      }
+      // Other types of files, such as sockets and FIFOs, are skipped
+    });
+  });
+}
+
+/**
+ * Asynchronously clones the entries of the given directory.
+ *
+ * @private
+ * @function
+ * @param {string} src - The source directory path.
+ * @param {string} dest - The destination directory path.
+ * @param {Object} context - The clone context.
+ * @param {string[]} ancestors - The keys of the source directory and its ancestors.
+ * @returns {Promise<void>} A promise that resolves when all entries have been cloned, or rejects
+ *                          with the first error once all entries have settled.
+ * @since 0.6.0
+ */
+function __cloneDir(src, dest, context, ancestors) {
+  return fs.promises.readdir(src).then(function (names) {
+    return Promise.allSettled(names.map(function (name) {
+      return __cloneEntry(path.join(src, name), path.join(dest, name), context, ancestors);
+    }));
+  }).then(function (results) {
+    // Wait for all entries before failing, so the rollback does not race with them
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) throw failure.reason;
+  });
+}
+
+/**
+ * Creates the context shared by the entries of a clone.
+ *
+ * @private
+ * @function
+ * @param {string} source - The real path of the source.
+ * @param {string} root - The temporary directory to clone into.
+ * @param {fs.Stats} rootStats - The stats of `root`.
+ * @param {CloneOptions} options - The validated options.
+ * @returns {Object} The clone context.
+ * @since 0.6.0
+ */
+function __cloneContext(source, root, rootStats, options) {
+  return {
+    source,
+    root,
+    rootKey: __fileKey(rootStats),
+    filter: options.filter,
+    dereference: !!options.dereference,
+    symlinks: options.symlinks,
+    signal: options.signal
+  };
+}
+
+/**
+ * Creates an error indicating that the source of a clone cannot be read.
+ *
+ * @private
+ * @function
+ * @param {string} source - The source path.
+ * @param {Error} cause - The source error.
+ * @returns {TempPathError} The error, with source error as causative error.
+ * @since 0.6.0
+ */
+function __cloneSourceError(source, cause) {
+  return __fsError(`temppath: Failed to read the source to clone: ${source}`,
+    'ERR_TEMPPATH_READ_FAILED', 'clone', source, cause);
+}
+
+/**
+ * Synchronously creates a new temporary directory and copies the given file or directory
+ * into it, useful to mutate a checked-in fixture without touching the original.
+ *
+ * The entries of a source directory are copied recursively into the temporary directory,
+ * while a source file is copied into the temporary directory with the same name. Files are
+ * copied with copy-on-write (reflink) where the file system supports it, keeping their
+ * permission modes. Directories keep their permission modes too, but always writable by the
+ * owner so the clone can be removed. Other types of files, such as sockets and FIFOs, are skipped.
+ *
+ * Either the whole source is cloned, or nothing is left behind: if any entry cannot be
+ * copied, the temporary directory is removed and the error is thrown.
+ *
+ * @public
+ * @function
+ * @param {string} source - The path of the file or directory to clone. If it is a symlink,
+ *                          it is always followed.
+ * @param {CloneOptions} [options] - Options for cloning and creating the temporary directory.
+ *
+ * @returns {TempTree} The temporary tree handle of the clone.
+ *
+ * @throws {TypeError} If the given arguments specified with incorrect type.
+ * @throws {TempPathError} If the source cannot be read, or there is an issue copying it.
+ *
+ * @example
+ * const fixture = cloneToTempSync('test/fixtures/project', {
+ *   filter: src => path.basename(src) !== 'node_modules'
+ * });
+ * fs.writeFileSync(fixture.resolve('package.json'), '{}');
+ * fixture.removeSync();
+ *
+ * @since 0.6.0
+ */
+function cloneToTempSync(source, options) {
+  options = __validateCloneArgs(source, options);
+
+  let realSource, stats;
+  try {
+    realSource = fs.realpathSync(source);
+    stats = fs.statSync(realSource);
+  } catch (err) {
+    throw __cloneSourceError(source, err);
+  }
+
+  const root = createTempPathSync(options.tmpdir, options);
+  try {
+    const context = __cloneContext(realSource, root, fs.lstatSync(root), options);
+    if (stats.isDirectory()) {
+      __cloneDirSync(realSource, root, context, [ __fileKey(stats) ]);
+    } else {
+      __cloneEntrySync(realSource, path.join(root, path.basename(path.resolve(source))), context, []);
+    }
+  } catch (err) {
+    try {
+      __removePathSync(root);
+      __untrackPath(root);
+    } catch (_err) {
+      // Prefer the clone error, the path remains tracked
+    }
+    throw __fsError('temppath: Failed to clone into temporary directory.',
+      'ERR_TEMPPATH_CREATE_FAILED', 'clone', root, err);
+  }
+  return __createTreeHandle(root, options);
+}
+
+/**
+ * Asynchronously creates a new temporary directory and copies the given file or directory
+ * into it, useful to mutate a checked-in fixture without touching the original.
+ *
+ * This is the promise-based version of {@link module:temppath~cloneToTempSync|cloneToTempSync}.
+ * The `filter` option may return a promise.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {string} source - The path of the file or directory to clone. If it is a symlink,
+ *                          it is always followed.
+ * @param {CloneOptions} [options] - Options for cloning and creating the temporary directory.
+ *
+ * @returns {Promise<TempTree>} A promise that resolves with the temporary tree handle of the clone.
+ *
+ * @example
+ * const fixture = await cloneToTemp('test/fixtures/project', { symlinks: 'skip' });
+ * try {
+ *   await runMigration(fixture.root);
+ * } finally {
+ *   await fixture.remove();
+ * }
+ *
+ * @since 0.6.0
+ */
+function cloneToTemp(source, options) {
+  let realSource, stats;
+  return new Promise(function (resolve) {
+    options = __validateCloneArgs(source, options);
+    resolve(fs.promises.realpath(source)
+      .then(function (resolved) {
+        realSource = resolved;
+        return fs.promises.stat(realSource);
+      })
+      .then(function (sourceStats) {
+        stats = sourceStats;
+      }, function (err) {
+        throw __cloneSourceError(source, err);
+      }));
+  }).then(() => createTempPathAsync(options.tmpdir, options)).then(function (root) {
+    return fs.promises.lstat(root).then(function (rootStats) {
+      const context = __cloneContext(realSource, root, rootStats, options);
+      return stats.isDirectory()
+        ? __cloneDir(realSource, root, context, [ __fileKey(stats) ])
+        : __cloneEntry(realSource, path.join(root, path.basename(path.resolve(source))), context, []);
+    }).then(() => __throwIfAborted(options.signal))
+      .then(() => __createTreeHandle(root, options), function (err) {
+        return __removePath(root).then(() => __untrackPath(root), function () {
+          // Prefer the clone error, the path remains tracked
+        }).then(function () {
+          throw __fsError('temppath: Failed to clone into temporary directory.',
+            'ERR_TEMPPATH_CREATE_FAILED', 'clone', root, err);
+        });
+      });
+  });
+}
+
+
+/*-------------------
+ * PRUNING
+ -------------------*/
+
+/**
+ * Validates the prune options and fills in the default values.
+ *
+ * @private
+ * @function
+ * @param {PruneOptions} [options] - The options to validate.
+ * @returns {{root: string, olderThan: number, match: function(string): boolean, dryRun: boolean,
+ *          signal: ?AbortSignal}} The resolved options, with `match` normalized to a predicate function.
+ * @throws {TypeError} If the options or any of its properties specified with incorrect type.
+ * @throws {RangeError} If the `olderThan` option is negative or not finite.
+ * @since 0.6.0
+ */
+function __resolvePruneOptions(options) {
+  if (isNullOrUndefined(options)) options = {};
+  if (typeof options !== 'object') {
+    throw new TempPathTypeError(
+      `The "options" argument must be an object. Received ${typeof options}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+  if (!isNullOrUndefined(options.root) && typeof options.root !== 'string') {
+    throw new TempPathTypeError(`Expected a string for root, got ${typeof options.root}`);
+  }
+  if (!isNullOrUndefined(options.olderThan)) {
+    if (typeof options.olderThan !== 'number') {
+      throw new TempPathTypeError(`Expected a number for olderThan, got ${typeof options.olderThan}`);
+    }
+    if (!Number.isFinite(options.olderThan) || options.olderThan < 0) {
+      throw new TempPathRangeError('The olderThan option must be a non-negative finite number');
+    }
+  }
+  if (!isNullOrUndefined(options.dryRun) && typeof options.dryRun !== 'boolean') {
+    throw new TempPathTypeError(`Expected a boolean for dryRun, got ${typeof options.dryRun}`);
+  }
+  if (!isNullOrUndefined(options.signal)) __validateSignal(options.signal);
+
+  const match = options.match;
+  let matcher;
+  if (isNullOrUndefined(match)) {
+    matcher = () => true;
+  } else if (typeof match === 'string') {
+    matcher = name => name.startsWith(match);
+  } else if (match instanceof RegExp) {
+    // Avoid the stateful behavior of global and sticky regular expressions
+    const regex = new RegExp(match.source, match.flags.replace(/[gy]/g, ''));
+    matcher = name => regex.test(name);
+  } else if (typeof match === 'function') {
+    matcher = name => !!match(name);
+  } else {
+    throw new TempPathTypeError(
+      `Expected a string, RegExp or function for match, got ${typeof match}`);
+  }
+
+  return {
+    root: options.root || getTempRoot(),
+    olderThan: options.olderThan || 0,
+    match: matcher,
+    dryRun: !!options.dryRun,
+    signal: options.signal
+  };
+}
+
+/**
+ * Returns the name of the temporary path marked by the given marker file name.
+ *
+ * @private
+ * @function
+ * @param {string} markerName - The file name to check.
+ * @returns {?string} The name of the marked temporary path, or `null` if the given
+ *                    name is not a marker file name.
+ * @since 0.6.0
+ */
+function __markedName(markerName) {
+  if (!markerName.startsWith('.') || !markerName.endsWith(MARKER_SUFFIX)
+      || markerName.length <= MARKER_SUFFIX.length + 1) {
+    return null;
+  }
+  return markerName.slice(1, -MARKER_SUFFIX.length);
+}
+
+/**
+ * Parses the marker file and checks whether the marked path is eligible for removal.
+ *
+ * @private
+ * @function
+ * @param {fs.Stats} markerStats - The stats of the marker file, not following symlinks.
+ * @param {?string} contents - The contents of the marker file, or `null` if it was
+ *                             not read because it is not a regular file.
+ * @returns {{reason: string} | {created: number, isFile: boolean}} The skip reason,
+ *          or the parsed marker.
+ * @since 0.6.0
+ */
+function __parseMarker(markerStats, contents) {
+  if (!markerStats.isFile() || !__isOwned(markerStats)) return { reason: 'not-owned' };
+
+  let marker;
+  try {
+    marker = JSON.parse(contents);
+  } catch (_err) {
+    return { reason: 'invalid-marker' };
+  }
+  if (!marker || typeof marker.created !== 'number'
+      || (marker.type !== 'file' && marker.type !== 'directory')) {
+    return { reason: 'invalid-marker' };
+  }
+  return { created: marker.created, isFile: marker.type === 'file' };
+}
+
+/**
+ * Whether the stats of the marked path match the marker and belong to the current user.
+ *
+ * @private
+ * @function
+ * @param {fs.Stats} stats - The stats of the marked path, not following symlinks.
+ * @param {{created: number, isFile: boolean}} marker - The parsed marker.
+ * @returns {boolean}
+ * @since 0.6.0
+ */
+function __matchesMarker(stats, marker) {
+  return __isOwned(stats) && (marker.isFile ? stats.isFile() : stats.isDirectory());
+}
+
+/**
+ * Synchronously calculates the total size in bytes of the given path,
+ * recursively for directories. Symlinks are not followed.
+ *
+ * @private
+ * @function
+ * @param {string} target - The path to measure.
+ * @returns {number} The size in bytes.
+ * @since 0.6.0
+ */
+function __sizeOfSync(target) {
+  const stats = fs.lstatSync(target);
+  if (!stats.isDirectory()) return stats.size;
+  return fs.readdirSync(target).reduce(
+    (total, name) => total + __sizeOfSync(path.join(target, name)), 0);
+}
+
+/**
+ * Asynchronously calculates the total size in bytes of the given path,
+ * recursively for directories. Symlinks are not followed.
+ *
+ * @private
+ * @function
+ * @param {string} target - The path to measure.
+ * @returns {Promise<number>} A promise that resolves with the size in bytes.
+ * @since 0.6.0
+ */
+function __sizeOf(target) {
+  return fs.promises.lstat(target).then(function (stats) {
+    if (!stats.isDirectory()) return stats.size;
+    return fs.promises.readdir(target)
+      .then(names => Promise.all(names.map(name => __sizeOf(path.join(target, name)))))
+      .then(sizes => sizes.reduce((total, size) => total + size, 0));
+  });
+}
+
+/**
+ * Synchronously removes the stale temporary paths created by this module.
+ *
+ * Only the paths created with the {@link TempPathOptions.marker `marker`} option, enabled by
+ * default in the temporary root, are recognised by the hidden marker file written next to them.
+ * The paths are removed only if both the path and its marker are owned by the current user,
+ * so the paths that were not created by this module are never touched. Markers left behind
+ * by already removed paths are removed as well.
+ *
+ * This is useful to clean up the temporary paths left by crashed processes, which no
+ * exit hook will ever remove.
+ *
+ * @public
+ * @function
+ * @param {PruneOptions} [options] - Options to configure which paths to remove.
+ *
+ * @returns {PruneReport} The report of removed and skipped paths.
+ *
+ * @throws {TypeError} If the options or any of its properties specified with incorrect type.
+ * @throws {RangeError} If the `olderThan` option is negative or not finite.
+ * @throws {Error} If the root directory cannot be read.
+ *
+ * @example
+ * // Remove the paths created more than a day ago
+ * const report = pruneSync({ olderThan: 24 * 60 * 60 * 1000, match: 'build-' });
+ * console.log(`Freed ${report.bytesFreed} bytes`);
+ *
+ * @since 0.6.0
+ */
+function pruneSync(options) {
+  const { root, olderThan, match, dryRun } = __resolvePruneOptions(options);
+  const report = { removed: [], skipped: [], bytesFreed: 0, dryRun };
+  const now = Date.now();
+  const start = __now();
+
+  let names;
+  try {
+    names = fs.readdirSync(root);
+  } catch (err) {
+    if (err.code === 'ENOENT') return __publishPrune(root, report, start);  // Nothing to prune
+    throw __fsError('temppath: Failed to read temporary root directory.',
+      'ERR_TEMPPATH_READ_FAILED', 'prune', root, err);
+  }
+
+  for (const markerName of names) {
+    const name = __markedName(markerName);
+    if (name === null) continue;
+    const markerFile = path.join(root, markerName);
+    const target = path.join(root, name);
+
+    try {
+      if (!match(name)) {
+        report.skipped.push({ path: target, reason: 'not-matched' });
+        continue;
+      }
+
+      const markerStats = fs.lstatSync(markerFile);
+      const marker = __parseMarker(markerStats,
+        markerStats.isFile() ? fs.readFileSync(markerFile, 'utf8') : null);
+      if (marker.reason) {
+        report.skipped.push({ path: target, reason: marker.reason });
+        continue;
+      }
+
+      let stats;
+      try {
+        stats = fs.lstatSync(target);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        // The marked path is already gone, remove the orphaned marker
+        if (!dryRun) fs.rmSync(markerFile, { force: true });
+        continue;
+      }
+      if (!__matchesMarker(stats, marker)) {
+        report.skipped.push({ path: target, reason: 'not-owned' });
+        continue;
+      }
+      if (now - marker.created < olderThan) {
+        report.skipped.push({ path: target, reason: 'not-expired' });
+        continue;
+      }
+
+      const size = __sizeOfSync(target);
+      if (!dryRun) {
+        __removePathSync(target);
+        __untrackPath(target);
+      }
+      report.removed.push({ path: target, size, created: marker.created });
+      report.bytesFreed += size;
+    } catch (err) {
+      report.skipped.push({ path: target, reason: 'error', error: err });
+    }
+  }
+
+  return __publishPrune(root, report, start);
+}
+
+/**
+ * Asynchronously removes the stale temporary paths created by this module.
+ *
+ * This is the asynchronous version of {@link module:temppath~pruneSync|pruneSync},
+ * see it for details on which paths are removed.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {PruneOptions} [options] - Options to configure which paths to remove.
+ *
+ * @returns {Promise<PruneReport>} A promise that resolves with the report of removed
+ *                                 and skipped paths, or rejects if the options are invalid
+ *                                 or the root directory cannot be read.
+ *
+ * @example
+ * // List the paths created more than an hour ago, without removing them
+ * prune({ olderThan: 60 * 60 * 1000, dryRun: true })
+ *   .then(report => report.removed.forEach(entry => console.log(entry.path)));
+ *
+ * @since 0.6.0
+ */
+function prune(options) {
+  return new Promise(function (resolve) {
+    resolve(__resolvePruneOptions(options));
+  }).then(function ({ root, olderThan, match, dryRun, signal }) {
+    __throwIfAborted(signal);
+    const report = { removed: [], skipped: [], bytesFreed: 0, dryRun };
+    const now = Date.now();
+    const start = __now();
+
+    function pruneEntry(markerName) {
+      const name = __markedName(markerName);
+      if (name === null) return Promise.resolve();
+      const markerFile = path.join(root, markerName);
+      const target = path.join(root, name);
+
+      let marker;
+      return Promise.resolve().then(function () {
+        if (!match(name)) return { reason: 'not-matched' };
+        return fs.promises.lstat(markerFile).then(markerStats => (markerStats.isFile()
+          ? fs.promises.readFile(markerFile, 'utf8')
+          : Promise.resolve(null)
+        ).then(contents => __parseMarker(markerStats, contents)));
+      }).then(function (result) {
+        if (result.reason) return result;
+        marker = result;
+
+        return fs.promises.lstat(target).then(function (stats) {
+          if (!__matchesMarker(stats, marker)) return { reason: 'not-owned' };
+          if (now - marker.created < olderThan) return { reason: 'not-expired' };
+
+          return __sizeOf(target).then(function (size) {
+            return (dryRun ? Promise.resolve() : __removePath(target))
+              .then(() => ({ size }));
+          });
+        }, function (err) {
+          if (err.code !== 'ENOENT') throw err;
+          // The marked path is already gone, remove the orphaned marker
+          return (dryRun ? Promise.resolve() : fs.promises.rm(markerFile, { force: true }))
+            .then(() => ({ orphaned: true }));
+        });
+      }).then(function (result) {
+        if (result.reason) {
+          report.skipped.push({ path: target, reason: result.reason });
+        } else if (!result.orphaned) {
+          if (!dryRun) __untrackPath(target);
+          report.removed.push({ path: target, size: result.size, created: marker.created });
+          report.bytesFreed += result.size;
+        }
+      }, function (err) {
+        report.skipped.push({ path: target, reason: 'error', error: err });
+      });
+    }
+
+    return fs.promises.readdir(root).then(function (names) {
+      // Process the entries one by one, to keep the file system load low
+      return names.reduce((chain, markerName) => chain.then(function () {
+        __throwIfAborted(signal);
+        return pruneEntry(markerName);
+      }), Promise.resolve());
+    }, function (err) {
+      if (err.code === 'ENOENT') return;  // Nothing to prune
+      throw __fsError('temppath: Failed to read temporary root directory.',
+        'ERR_TEMPPATH_READ_FAILED', 'prune', root, err);
+    }).then(() => __publishPrune(root, report, start));
+  });
+}
+
+/*-------------------
+ * SESSIONS
+ -------------------*/
+
+/**
+ * The version of the session manifest format.
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const MANIFEST_VERSION = 1;
+
+/**
+ * Validates the parsed session manifest.
+ *
+ * @private
+ * @function
+ * @param {*} manifest - The parsed manifest.
+ * @returns {boolean} `true` if the manifest is valid.
+ * @since 0.6.0
+ */
+function __isValidManifest(manifest) {
+  return !!manifest && manifest.version === MANIFEST_VERSION
+    && typeof manifest.id === 'string' && typeof manifest.created === 'number'
+    && Array.isArray(manifest.paths)
+    && manifest.paths.every(entry => !!entry && typeof entry.path === 'string'
+      && path.isAbsolute(entry.path)
+      && (entry.type === 'file' || entry.type === 'directory')
+      && typeof entry.created === 'number');
+}
+
+/**
+ * Creates a session object recording its temporary paths in the given manifest file.
+ *
+ * @private
+ * @function
+ * @param {string} manifestPath - The absolute path of the manifest file.
+ * @param {Object} state - The initial state, as stored in the manifest.
+ * @param {ScopedTempPathOptions} defaults - The default options to create the temporary paths.
+ * @returns {TempSession} The session object.
+ * @since 0.6.0
+ */
+function __createSession(manifestPath, state, defaults) {
+  const entries = state.paths.map(entry => ({ ...entry }));
+  let disposed = false;
+  let pendingWrite = Promise.resolve();
+  // Bumped on every change of the entries, to detect the writes made in the meantime
+  let revision = 0;
+  let manifestRemoved = false;
+
+  function serialize() {
+    return JSON.stringify(session.toJSON(), null, 2) + '\n';
+  }
+
+  function checkDisposed() {
+    if (disposed) {
+      throw new TempPathError('temppath: The session has been disposed.',
+        { code: 'ERR_TEMPPATH_INVALID_STATE', path: manifestPath, operation: 'create' });
+    }
+  }
+
+  function resolveOptions(options, asFile) {
+    if (!isNullOrUndefined(options) && typeof options !== 'object') {
+      throw new TempPathTypeError(
+        `The "options" argument must be an object. Received ${typeof options}`,
+        { code: 'ERR_TEMPPATH_INVALID_ARG' });
+    }
+    options = { ...defaults, ...options, asFile };
+    const tmpdir = options.tmpdir;
+    delete options.tmpdir;
+    return [ tmpdir, options ];
+  }
+
+  function record(createdPath, asFile) {
+    entries.push({
+      path: path.resolve(createdPath),
+      type: asFile ? 'file' : 'directory',
+      created: Date.now()
+    });
+    revision++;
+  }
+
+  function unrecord(entry) {
+    entries.splice(entries.indexOf(entry), 1);
+    revision++;
+  }
+
+  function writeManifest() {
+    // Writes are chained and atomic, so the manifest is never left partially written
+    pendingWrite = pendingWrite.catch(() => {}).then(function write() {
+      if (manifestRemoved) return;
+      const written = revision;
+      return writeFileAtomic(manifestPath, serialize(), { mode: 0o600, fsync: false })
+        .then(function () {
+          if (manifestRemoved) return fs.promises.rm(manifestPath, { force: true });
+          // A synchronous write may have been replaced by this older one, write the latest entries
+          if (revision !== written) return write();
+        });
+    });
+    return pendingWrite;
+  }
+
+  function writeManifestSync() {
+    writeFileAtomicSync(manifestPath, serialize(), { mode: 0o600, fsync: false });
+  }
+
+  function create(options, asFile) {
+    return new Promise(function (resolve) {
+      checkDisposed();
+      const [ tmpdir, resolved ] = resolveOptions(options, asFile);
+      resolve(asFile
+        ? createTempFileAsync(tmpdir, resolved)
+        : createTempPathAsync(tmpdir, resolved));
+    }).then(function (result) {
+      const createdPath = (typeof result === 'string') ? result : result.path;
+      if (disposed) {
+        // Disposed in the meantime, do not leave the path behind
+        return (result.handle ? result.handle.close() : Promise.resolve())
+          .then(() => __removePath(createdPath))
+          .then(function () {
+            __untrackPath(createdPath);
+            checkDisposed();
+          });
+      }
+      record(createdPath, asFile);
+      return writeManifest().then(() => result);
+    });
+  }
+
+  function createSync(options, asFile) {
+    checkDisposed();
+    const [ tmpdir, resolved ] = resolveOptions(options, asFile);
+    const result = asFile
+      ? createTempFileSync(tmpdir, resolved)
+      : createTempPathSync(tmpdir, resolved);
+    record((typeof result === 'string') ? result : result.path, asFile);
+    writeManifestSync();
+    return result;
+  }
+
+  function disposalError(errors) {
+    return (errors.length === 1)
+      ? errors[0]
+      : new TempPathAggregateError(errors,
+        `temppath: Failed to remove ${errors.length} temporary paths of the session.`,
+        { code: 'ERR_TEMPPATH_REMOVE_FAILED', path: manifestPath, operation: 'remove' });
+  }
+
+  const session = {
+    id: state.id,
+    manifest: manifestPath,
+    dir(options) {
+      return create(options, false);
+    },
+    dirSync(options) {
+      return createSync(options, false);
+    },
+    file(options) {
+      return create(options, true);
+    },
+    fileSync(options) {
+      return createSync(options, true);
+    },
+    list() {
+      return entries.map(entry => ({ ...entry }));
+    },
+    size() {
+      return Promise.all(entries.map(entry => __sizeOf(entry.path).catch(function (err) {
+        if (err.code === 'ENOENT') return 0;  // Already removed
+        throw err;
+      }))).then(sizes => sizes.reduce((total, size) => total + size, 0));
+    },
+    sizeSync() {
+      return entries.reduce(function (total, entry) {
+        try {
+          return total + __sizeOfSync(entry.path);
+        } catch (err) {
+          if (err.code === 'ENOENT') return total;  // Already removed
+          throw err;
+        }
+      }, 0);
+    },
+    dispose() {
+      disposed = true;
+      const errors = [];
+      return pendingWrite.catch(() => {}).then(function () {
+        return Promise.all(entries.slice().map(function (entry) {
+          return __removePath(entry.path)
+            .then(function () {
+              __untrackPath(entry.path);
+              unrecord(entry);
+            }, err => errors.push(__removalError(entry.path, err)));
+        }));
+      }).then(function () {
+        // Keep the manifest of the paths failed to be removed, to retry later
+        if (errors.length === 0) {
+          manifestRemoved = true;
+          return fs.promises.rm(manifestPath, { force: true });
+        }
+        return writeManifest()
+          .then(function () {
+            throw disposalError(errors);
+          });
+      });
+    },
+    disposeSync() {
+      disposed = true;
+      const errors = [];
+      for (const entry of entries.slice()) {
+        try {
+          __removePathSync(entry.path);
+          __untrackPath(entry.path);
+          unrecord(entry);
+        } catch (err) {
+          errors.push(__removalError(entry.path, err));
+        }
+      }
+
+      // Keep the manifest of the paths failed to be removed, to retry later
+      if (errors.length === 0) {
+        manifestRemoved = true;
+        fs.rmSync(manifestPath, { force: true });
+        return;
+      }
+      writeManifestSync();
+      throw disposalError(errors);
+    },
+    toJSON() {
+      return {
+        version: MANIFEST_VERSION,
+        id: state.id,
+        pid: state.pid,
+        created: state.created,
+        paths: session.list()
+      };
+    },
+    [disposeSymbol]() {
+      session.disposeSync();
+    },
+    [asyncDisposeSymbol]() {
+      return session.dispose();
+    }
+  };
+  return Object.freeze(session);
+}
+
+/**
+ * Creates a session grouping related temporary paths, which can be disposed all at once.
+ *
+ * The session records every path it creates in a JSON manifest file, so another process,
+ * such as a cleanup daemon or a CI post-step, can load it with
+ * {@link module:temppath~loadSession|loadSession} and dispose everything it recorded.
+ * The manifest is written with mode `0o600`, replaced atomically on every change and removed
+ * when the session is disposed.
+ *
+ * @public
+ * @function
+ * @param {ScopedTempPathOptions} [options] - The default options to create the temporary paths
+ *                                            of the session, they can be overridden per path.
+ * @param {string} [options.manifest] - The path of the manifest file. Defaults to
+ *                                      `.temppath-session-<id>.json` in `tmpdir` or the
+ *                                      {@link module:temppath~getTempRoot|temporary root}.
+ *
+ * @returns {TempSession} The session.
+ *
+ * @throws {TypeError} If the given options specified with incorrect type.
+ * @throws {Error} If the manifest file cannot be written.
+ *
+ * @example
+ * const session = createSession({ prefix: 'job-' });
+ * const workDir = session.dirSync();
+ * const logFile = await session.file({ ext: 'log' });
+ * console.log(session.manifest);  // Hand over to the CI post-step
+ * await session.dispose();
+ *
+ * @since 0.6.0
+ */
+function createSession(options) {
+  if (isNullOrUndefined(options)) options = {};
+  __validateScopedOptions(options);
+  if (!isNullOrUndefined(options.manifest) && typeof options.manifest !== 'string') {
+    throw new TempPathTypeError(`Expected a string for manifest, got ${typeof options.manifest}`);
+  }
+
+  const defaults = { ...options };
+  delete defaults.manifest;
+  delete defaults.asFile;
+
+  const state = {
+    id: randomBytes(8).toString('hex'),
+    pid: process.pid,
+    created: Date.now(),
+    paths: []
+  };
+  const manifestPath = path.resolve(options.manifest || path.join(
+    options.tmpdir || getTempRoot({ namespace: options.namespace }),
+    `.temppath-session-${state.id}.json`));
+
+  const session = __createSession(manifestPath, state, defaults);
+  try {
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    // Never overwrite an existing manifest
+    fs.writeFileSync(manifestPath, JSON.stringify(session.toJSON(), null, 2) + '\n',
+      { flag: 'wx', mode: 0o600 });
+  } catch (err) {
+    throw __fsError('temppath: Failed to write session manifest.',
+      'ERR_TEMPPATH_WRITE_FAILED', 'write', manifestPath, err);
+  }
+  return session;
+}
+
+/**
+ * Loads a session from the manifest file written by {@link module:temppath~createSession|createSession},
+ * possibly in another process, to dispose the recorded temporary paths or to create more of them.
+ *
+ * The manifest file must be a regular file owned by the current user, so a manifest planted
+ * by another user cannot be used to remove arbitrary paths.
+ *
+ * @public
+ * @function
+ * @param {string} manifestPath - The path of the manifest file.
+ * @param {ScopedTempPathOptions} [options] - The default options to create new temporary paths.
+ *
+ * @returns {TempSession} The session.
+ *
+ * @throws {TypeError} If the given arguments specified with incorrect type.
+ * @throws {Error} If the manifest file cannot be read, is not owned by the current user
+ *                 or is invalid.
+ *
+ * @example
+ * // In the CI post-step
+ * loadSession(process.env.JOB_SESSION_MANIFEST).disposeSync();
+ *
+ * @since 0.6.0
+ */
+function loadSession(manifestPath, options) {
+  if (typeof manifestPath !== 'string' || manifestPath.length === 0) {
+    throw new TempPathTypeError(
+      `Expected a non-empty string for manifestPath, got ${typeof manifestPath}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+  if (isNullOrUndefined(options)) options = {};
+  __validateScopedOptions(options);
+  manifestPath = path.resolve(manifestPath);
+
+  let stats;
+  try {
+    stats = fs.lstatSync(manifestPath);
+  } catch (err) {
+    throw __fsError('temppath: Failed to load session manifest.',
+      'ERR_TEMPPATH_READ_FAILED', 'load-session', manifestPath, err);
+  }
+  let manifest;
+  if (!stats.isFile() || !__isOwned(stats)) {
+    throw __publishError(new TempPathError(
+      `temppath: Refusing to use the manifest not owned by the current user: ${manifestPath}`,
+      { code: 'ERR_TEMPPATH_PERMISSION_DENIED', path: manifestPath, operation: 'load-session' }));
+  }
+  try {
+    manifest = fs.readFileSync(manifestPath, 'utf8');
+  } catch (err) {
+    throw __fsError('temppath: Failed to load session manifest.',
+      'ERR_TEMPPATH_READ_FAILED', 'load-session', manifestPath, err);
+  }
+  try {
+    manifest = JSON.parse(manifest);
+  } catch (_err) {
+    manifest = null;  // Reported as an invalid manifest below
+  }
+  if (!__isValidManifest(manifest)) {
+    throw __publishError(new TempPathError(`temppath: Invalid session manifest: ${manifestPath}`,
+      { code: 'ERR_TEMPPATH_INVALID_MANIFEST', path: manifestPath, operation: 'load-session' }));
+  }
+
+  const defaults = { ...options };
+  delete defaults.asFile;
+  return __createSession(manifestPath, manifest, defaults);
+}
+
+/*-------------------
+ * ATOMIC WRITES
+ -------------------*/
+
+/**
+ * The pending asynchronous atomic writes per target, to serialise the concurrent writers.
+ * The keys are the real target paths, see {@link __atomicWriteKey}.
+ *
+ * @private
+ * @type {Map<string, Promise<void>>}
+ * @since 0.6.0
+ */
+const atomicWrites = new Map();
+
+/**
+ * Returns the key of the given target in the pending atomic writes, so the writers of the
+ * same file through different symlinks or relative paths are serialised. The key is resolved
+ * synchronously to keep the writes in the order they were called.
+ *
+ * @private
+ * @function
+ * @param {string} target - The path of the file to write.
+ * @returns {string} The real path of the target, or of its parent directory joined with
+ *                   the base name if the target does not exist yet.
+ * @since 0.6.0
+ */
+function __atomicWriteKey(target) {
+  target = path.resolve(target);
+  try {
+    return fs.realpathSync(target);
+  } catch (_err) {
+    try {
+      return path.join(fs.realpathSync(path.dirname(target)), path.basename(target));
+    } catch (_err) {
+      return target;  // The write itself reports the error
+    }
+  }
+}
+
+/**
+ * Validates the arguments of atomic writes.
+ *
+ * @private
+ * @function
+ * @param {string} target - The path of the file to write.
+ * @param {*} data - The data to write.
+ * @param {Object} [options] - The options.
+ * @param {boolean} sync - Whether the data is written synchronously.
+ * @returns {{data: *, encoding: string, mode: number | undefined, fsync: boolean}}
+ *          The validated options, including the data.
+ * @throws {TypeError} If the given arguments specified with incorrect type.
+ * @since 0.6.0
+ */
+function __validateAtomicArgs(target, data, options, sync) {
+  if (typeof target !== 'string' || target.length === 0) {
+    throw new TempPathTypeError(
+      `Expected a non-empty string for target, got ${typeof target}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+  if (isNullOrUndefined(options)) options = {};
+  if (typeof options !== 'object') {
+    throw new TempPathTypeError(
+      `The "options" argument must be an object. Received ${typeof options}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+  if (!isNullOrUndefined(options.fsync) && typeof options.fsync !== 'boolean') {
+    throw new TempPathTypeError(`Expected a boolean for fsync, got ${typeof options.fsync}`);
+  }
+  if (isNullOrUndefined(data)) {
+    throw new TempPathTypeError(
+      `The "data" argument must be specified. Received ${data}`,
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+
+  const validated = __validateFileOptions(
+    { data, encoding: options.encoding, mode: options.mode }, sync);
+  return {
+    data,
+    encoding: validated.encoding || 'utf8',
+    mode: validated.mode,
+    fsync: options.fsync !== false
+  };
+}
+
+/**
+ * Returns the options to create the temporary file next to the given target,
+ * so it is on the same file system and can be renamed over the target.
+ *
+ * @private
+ * @function
+ * @param {string} target - The resolved target path.
+ * @param {?number} mode - The mode to create the temporary file with.
+ * @returns {TempPathOptions} The options.
+ * @since 0.6.0
+ */
+function __atomicTempOptions(target, mode) {
+  const basename = path.basename(target);
+  return {
+    asFile: true,
+    // Keep the temporary file hidden and recognisable, unless the name is too long
+    prefix: (Buffer.byteLength(basename) > 200) ? '.' : `.${basename}.`,
+    maxLen: 16,
+    ext: '.tmp',
+    mode
+  };
+}
+
+/**
+ * Whether the given error from changing the ownership should be ignored,
+ * as only privileged users can give away files.
+ *
+ * @private
+ * @function
+ * @param {Error} err - The error.
+ * @returns {boolean}
+ * @since 0.6.0
+ */
+function __isChownIgnorable(err) {
+  return err.code === 'EPERM' || err.code === 'EINVAL' || err.code === 'ENOSYS';
+}
+
+/**
+ * Synchronously flushes the given directory, so the rename is persisted.
+ * Not supported on Windows, where errors are ignored.
+ *
+ * @private
+ * @function
+ * @param {string} dir - The directory path.
+ * @since 0.6.0
+ */
+function __fsyncDirSync(dir) {
+  let fd;
+  try {
+    fd = fs.openSync(dir, 'r');
+    fs.fsyncSync(fd);
+  } catch (_err) {
+    // Directories cannot be opened or flushed on some platforms
+  } finally {
+    if (!isNullOrUndefined(fd)) fs.closeSync(fd);
+  }
+}
+
 /**
- * Retrieves the temporary directory path based on the current environment.
- *
- * This function first checks common environment variables for temporary directories:
- * - `TMPDIR` on UNIX-like and macOS systems
- * - `TMP` or `TEMP` on Windows systems
- * 
- * If none of these environment variables are set or return null, it falls back to the 
- * `os.tmpdir()` function. If this also returns null, it uses the current working directory 
- * and creates a new directory called `tmp`.
+ * Asynchronously flushes the given directory, so the rename is persisted.
+ * Not supported on Windows, where errors are ignored.
  *
  * @private
  * @function
- * @returns {string} The temporary directory path.
- * @since 0.1.0
+ * @param {string} dir - The directory path.
+ * @returns {Promise<void>}
+ * @since 0.6.0
  */
-function __getTempDir() {
-  return process.env.TMPDIR                   // Unix-like & MacOS systems
-    || (process.env.TMP || process.env.TEMP)  // Windows system
-    || require('node:os').tmpdir()            // Fallback
-    || path.resolve(process.cwd(), 'tmp');    // Otherwise, use current directory
+function __fsyncDir(dir) {
+  return fs.promises.open(dir, 'r').then(function (handle) {
+    return handle.sync().catch(() => {}).then(() => handle.close());
+  }, () => {});  // Directories cannot be opened or flushed on some platforms
 }
 
+/**
+ * Asynchronously writes the given data to a file atomically, with the already validated arguments.
+ *
+ * @private
+ * @function
+ * @param {string} target - The path of the file to write.
+ * @param {*} data - The data to write.
+ * @param {Object} options - The validated options.
+ * @returns {Promise<void>}
+ * @since 0.6.0
+ */
+function __writeFileAtomic(target, data, options) {
+  let tempFile;
+  let handle;
+  let stats = null;
+
+  return fs.promises.realpath(target).catch(function (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return path.resolve(target);
+  }).then(function (resolved) {
+    target = resolved;
+    return fs.promises.stat(target).then(result => (stats = result), function (err) {
+      if (err.code !== 'ENOENT') throw err;
+    });
+  }).then(function () {
+    return __createTempPath(path.dirname(target),
+      __atomicTempOptions(target, stats ? (stats.mode & 0o7777) : options.mode), true);
+  }).then(function (result) {
+    ({ path: tempFile, handle } = result);
+    return handle.writeFile(data, { encoding: options.encoding });
+  }).then(function () {
+    if (!stats) return;
+    return handle.chmod(stats.mode & 0o7777)  // Not subject to the umask
+      .then(() => handle.chown(stats.uid, stats.gid).catch(function (err) {
+        if (!__isChownIgnorable(err)) throw err;
+      }));
+  }).then(function () {
+    if (options.fsync) return handle.sync();
+  }).then(function () {
+    const closing = handle.close();
+    handle = null;
+    return closing;
+  }).then(() => fs.promises.rename(tempFile, target))
+    .then(function () {
+      __untrackPath(tempFile);
+      tempFile = null;
+      if (options.fsync) return __fsyncDir(path.dirname(target));
+    })
+    .catch(function (err) {
+      return (handle ? handle.close() : Promise.resolve())
+        // The intermediate file is not published, remove it quietly
+        .then(() => tempFile && fs.promises.rm(tempFile, { force: true }))
+        .then(function () {
+          if (tempFile) __untrackPath(tempFile);
+          throw __fsError('temppath: Failed to write file atomically.',
+            'ERR_TEMPPATH_WRITE_FAILED', 'write', target, err);
+        });
+    });
+}
 
 /**
- * Generates a temporary path based on the provided or system temporary directory.
- * 
- * This function utilizes a random UUID for the directory name, ensuring that each time
- * it is called, the path will be different from previous calls. The returned path can be
- * used for either a temporary file or directory, according to user preferences.
+ * Synchronously writes the given data to a file atomically, so readers never see a partially
+ * written file and the file is left intact if the write fails.
  *
- * To limit the characters' length of generated temporary directory or file name,
- * set the `maxLen` to the desired value and it must be a positive number.
- * Thus, the function will trim the name to the desired maximum length.
+ * The data is written to a temporary file next to the target, so on the same file system,
+ * which is then renamed over the target. If the target exists, its mode and ownership are
+ * preserved, the latter only when permitted. If the target is a symlink, the file it points
+ * to is replaced. The temporary file is removed on failure.
  *
  * @public
  * @function
- * @param {string} [tmpdir] - The temporary directory path. If not provided or empty,
- *                            it defaults to the system's temporary directory.
- * @param {number} [maxLen=32] - The maximum characters' length of the generated temporary path.
- *                            Must be a positive number and greater than zero.
+ * @param {string} target - The path of the file to write.
+ * @param {string | Buffer | TypedArray | DataView} data - The data to write.
+ * @param {Object} [options] - Options to configure the write.
+ * @param {string} [options.encoding='utf8'] - The encoding of `data`, if it is a string.
+ * @param {number} [options.mode] - The mode of the file, if it does not exist yet.
+ *                                  Defaults to `0o666`, subject to the process umask.
+ * @param {boolean} [options.fsync=true] - Whether to flush the data and the rename to the disk
+ *                                         before returning.
  *
- * @returns {string} The generated temporary path.
+ * @throws {TypeError} If the given arguments specified with incorrect type.
+ * @throws {Error} If the file failed to be written, with the source error as the cause.
  *
- * @throws {TypeError} Throws a `TypeError` if the provided `tmpdir` is not a string.
- * @throws {RangeError} If the given `maxLen` is less than or equal to zero.
+ * @example
+ * writeFileAtomicSync('config.json', JSON.stringify(config));
  *
- * @since 0.1.0
+ * @since 0.6.0
  */
-function getTempPath(tmpdir, maxLen) {
-  if (tmpdir && typeof tmpdir !== 'string') {
-    throw new TypeError(`Expected type is string. Received ${typeof tmpdir}`);
-  }
-  if (maxLen <= 0) {
-    throw new RangeError('Maximum characters must be greater than zero');
-  }
+function writeFileAtomicSync(target, data, options) {
+  options = __validateAtomicArgs(target, data, options, true);
 
-  return path.join(
-    (isNullOrUndefined(tmpdir) || tmpdir.length === 0) ? __getTempDir() : tmpdir,
-    randomUUID().replace(/-/g, '').substr(0, maxLen)
-  );
+  let tempFile;
+  let fd;
+  try {
+    try {
+      target = fs.realpathSync(target);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      target = path.resolve(target);
+    }
+    let stats = null;
+    try {
+      stats = fs.statSync(target);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    ({ path: tempFile, fd } = __createTempPathSync(path.dirname(target),
+      __atomicTempOptions(target, stats ? (stats.mode & 0o7777) : options.mode), true));
+    fs.writeFileSync(fd, data, { encoding: options.encoding });
+    if (stats) {
+      fs.fchmodSync(fd, stats.mode & 0o7777);  // Not subject to the umask
+      try {
+        fs.fchownSync(fd, stats.uid, stats.gid);
+      } catch (err) {
+        if (!__isChownIgnorable(err)) throw err;
+      }
+    }
+    if (options.fsync) fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = null;
+
+    fs.renameSync(tempFile, target);
+    __untrackPath(tempFile);
+    tempFile = null;
+    if (options.fsync) __fsyncDirSync(path.dirname(target));
+  } catch (err) {
+    if (!isNullOrUndefined(fd)) fs.closeSync(fd);
+    if (tempFile) {
+      // The intermediate file is not published, remove it quietly
+      fs.rmSync(tempFile, { force: true });
+      __untrackPath(tempFile);
+    }
+    throw __fsError('temppath: Failed to write file atomically.',
+      'ERR_TEMPPATH_WRITE_FAILED', 'write', target, err);
+  }
 }
 
 /**
- * Asynchronously creates a temporary path, either as a directory or file,
- * based on the provided or system temporary directory.
+ * Asynchronously writes the given data to a file atomically, so readers never see a partially
+ * written file and the file is left intact if the write fails.
  *
- * This function utilizes the {@link module:temppath~getTempPath|getTempPath} function.
- * To limit the characters' length of generated temporary directory or file name,
- * set the {@link TempPathOptions.maxLen `options.maxLen`} to the desired value and
- * it must be a positive number. Thus, the function will trim the name to the desired
- * maximum length.
+ * This is the asynchronous version of {@link module:temppath~writeFileAtomicSync|writeFileAtomicSync},
+ * which also accepts async iterables and `Readable` streams as `data`. Concurrent writes to the
+ * same file within the process, including through symlinks, are serialised in the order they
+ * were called.
  *
  * @public
  * @async
  * @function
- * @param {string | TempPathOptions | CreateTempPathCallback} [tmpdir] - The temporary directory path.
- *                                   If an object is provided, it is treated as the `options` parameter.
- *                                   If a function is provided, it is treated as the `callback` parameter,
- *                                   and `tmpdir` will fallback to system-based temporary directory.
- * @param {TempPathOptions | CreateTempPathCallback} [options] - Options for creating the temporary path.
- *                                   If a function is provided, it is treated as the `callback` parameter,
- *                                   and `options` is set to `{}` (an empty object).
- * @param {boolean} [options.asFile=false] - If `true`, create a temporary file. Otherwise, create a directory.
- * @param {string} [options.ext='.tmp'] - The extension for the temporary file. If `asFile` option is `false`,
- *                                        this option will be ignored. Default is '.tmp'.
- * @param {number} [options.maxLen=32] - The maximum characters' length of the generated directory or file name.
- *                                       Defaults to 32 characters.
- * @param {CreateTempPathCallback} callback - A callback function to handle the result path or error.
- *                                            This is crucial and required, even when you wanted to omit all arguments.
+ * @param {string} target - The path of the file to write.
+ * @param {string | Buffer | TypedArray | DataView | AsyncIterable | stream.Readable} data - The data to write.
+ * @param {Object} [options] - Options to configure the write, see
+ *                             {@link module:temppath~writeFileAtomicSync|writeFileAtomicSync}.
  *
- * @throws {TypeError} If the given arguments or the extension name specified with incorrect type.
+ * @returns {Promise<void>} A promise that resolves when the file is written, or rejects
+ *                          if the arguments are invalid or the file failed to be written.
  *
- * @example <caption>Only specify a callback function</caption>
- * // Without any argument but a callback function
- * // This will create a temporary directory in system's temporary path
- * createTempPath(function (err, createdPath) {
- *   if (err) console.error(err);
- *   else console.log(createdPath);
- *   // Unix: "$TMPDIR/<TEMPPATH_DIR>"
- *   // Termux Android: "$TMPDIR/<TEMPPATH_DIR>" or "$PREFIX/tmp/<TEMPPATH_DIR>"
- *   // Windows: "%TMP%\<TEMPPATH_DIR>" or "%TEMP%\<TEMPPATH_DIR>"
- * });
+ * @example
+ * await writeFileAtomic('artifact.bin', buffer, { fsync: false });
  *
- * @example <caption>Create a temporary file in system's temporary path</caption>
- * // This will create a temporary file in system's temporary path
- * // with extension name of '.foo_temp'
- * createTempPath({ asFile: true, ext: 'foo_temp' }, function (err, createdPath) {
- *   if (err) console.error(err);
- *   else console.log(createdPath);
- *   // Unix: "$TMPDIR/<TEMPPATH_FILE>.foo_temp"
- *   // Termux Android: "$TMPDIR/<TEMPPATH_FILE>.foo_temp" or "$PREFIX/tmp/<TEMPPATH_FILE>.foo_temp"
- *   // Windows: "%TMP%\<TEMPPATH_FILE>.foo_temp" or "%TEMP%\<TEMPPATH_FILE>.foo_temp"
- * });
+ * @since 0.6.0
+ */
+function writeFileAtomic(target, data, options) {
+  let validated;
+  try {
+    validated = __validateAtomicArgs(target, data, options, false);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+
+  const key = __atomicWriteKey(target);
+  const previous = atomicWrites.get(key) || Promise.resolve();
+  // Run after the previous write to the same target, whether it succeeded or not
+  const run = () => __writeFileAtomic(target, data, validated);
+  const current = previous.then(run, run);
+  atomicWrites.set(key, current);
+
+  function release() {
+    if (atomicWrites.get(key) === current) atomicWrites.delete(key);
+  }
+  current.then(release, release);
+  return current;
+}
+
+/*-------------------
+ * SPILL STREAMS
+ -------------------*/
+
+/**
+ * The default number of bytes kept in memory before spilling to a temporary file.
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const DEFAULT_SPILL_THRESHOLD = 1024 * 1024;
+
+/**
+ * Creates a writable stream that keeps the written data in memory up to the `threshold`,
+ * then transparently spills it to a temporary file created by
+ * {@link module:temppath~createTempPath|createTempPath}.
  *
- * @example <caption>Create a temporary file in current directory</caption>
- * const path = require('node:path');
- * // For ESM: import path from 'node:path';
+ * Besides the `Writable` interface, the returned stream exposes:
+ * - `path` - The path of the temporary file, or `null` if not spilled.
+ * - `size` - The number of bytes written.
+ * - `spilled` - Whether the data has been spilled to the temporary file.
+ * - `createReadStream()` - Creates a `Readable` stream of everything written, once the stream
+ *   has finished.
  *
- * // Use `process.cwd()` to get current directory path
- * createTempPath(path.join(process.cwd(), 'tmp'), { asFile: true }, function (err, createdPath) {
- *   if (err) console.error(err);
- *   else console.log(createdPath);
- *   // Unix: "$PWD/tmp/<TEMPPATH_FILE>.tmp"
- *   // Termux Android: "$PWD/tmp/<TEMPPATH_FILE>.tmp"
- *   // Windows: "%CD%\tmp\<TEMPPATH_FILE>.tmp"
- * });
+ * The temporary file is removed when the stream is destroyed, including when it errors,
+ * or disposed with `using` and `await using` declarations. Finishing the stream does not
+ * destroy it, so the data can be read back.
  *
- * @since 0.2.0
+ * @public
+ * @function
+ * @param {ScopedTempPathOptions} [options] - Options to configure the temporary file creation.
+ *                                            The `asFile` and `ttl` options are ignored, the file
+ *                                            lives as long as the stream.
+ * @param {number} [options.threshold=1048576] - The maximum number of bytes kept in memory.
+ *                                               If zero, the data is always spilled.
+ *
+ * @returns {stream.Writable} The writable stream.
+ *
+ * @throws {TypeError} If the given options specified with incorrect type.
+ * @throws {RangeError} If the `threshold` option is not a non-negative integer.
+ *
+ * @example
+ * const upload = createTempWriteStream({ threshold: 64 * 1024 });
+ * await pipeline(request, upload);
+ * await pipeline(upload.createReadStream(), storage);
+ * upload.destroy();  // Removes the temporary file, if spilled
+ *
+ * @since 0.6.0
  */
-function createTempPath(tmpdir, options, callback) {
-  if ((typeof tmpdir === 'object' && !Array.isArray(tmpdir))
-      && typeof options === 'function' && isNullOrUndefined(callback)) {
-    callback = options;  // Swap the `options` to `callback`
-    options = tmpdir;    // Swap the `tmpdir` to `options`
-    tmpdir = null;       // Keep this empty
-  } else if (!isNullOrUndefined(tmpdir) && typeof options === 'function'
-      && isNullOrUndefined(callback)) {
-    callback = options;
-    options = {};
-  } else if (typeof tmpdir === 'function' && isNullOrUndefined(options)
-      && isNullOrUndefined(callback)) {
-    callback = tmpdir;
-    options = {};
-    tmpdir = null;
-  } else if (isNullOrUndefined(options)) {
-    options = {};
+function createTempWriteStream(options) {
+  if (isNullOrUndefined(options)) options = {};
+  __validateScopedOptions(options);
+  if (!isNullOrUndefined(options.threshold)) {
+    if (typeof options.threshold !== 'number') {
+      throw new TempPathTypeError(`Expected a number for threshold, got ${typeof options.threshold}`);
+    }
+    if (!Number.isInteger(options.threshold) || options.threshold < 0) {
+      throw new TempPathRangeError('Threshold must be a non-negative integer');
+    }
   }
 
-  if (!callback || typeof callback !== 'function') {
-    throw new TypeError(
-      `The "callback" argument must be a function. Received ${typeof callback}`);
-  }
-  if (options && typeof options !== 'object') {
-    throw new TypeError(
-      `The "options" argument must be an object. Received ${typeof options}`);
-  }
-  if (options.ext && typeof options.ext !== 'string') {
-    throw new TypeError(`Expected a string extension, got ${typeof options.ext}`);
-  }
-  if (options.maxLen && typeof options.maxLen !== 'number') {
-    throw new TypeError(`Expected a number for maxLen, got ${typeof options.maxLen}`);
+  const threshold = isNullOrUndefined(options.threshold)
+    ? DEFAULT_SPILL_THRESHOLD
+    : options.threshold;
+  const tmpdir = options.tmpdir;
+  const fileOptions = { ...options, asFile: true };
+  delete fileOptions.tmpdir;
+  delete fileOptions.threshold;
+  delete fileOptions.ttl;  // Must not expire while the stream is still written or read back
+
+  let chunks = [];
+  let size = 0;
+  let spilledPath = null;
+  let handle = null;
+  let pending = Promise.resolve();
+
+  function spill() {
+    return __createTempPath(tmpdir, fileOptions, true).then(function (result) {
+      spilledPath = result.path;
+      handle = result.handle;
+      const buffered = Buffer.concat(chunks);
+      chunks = [];
+      return handle.writeFile(buffered).finally(function () {
+        __publishCreate(spilledPath, true, result.root, buffered.length, result.start);
+      });
+    });
   }
 
-  // Resolve the temporary path
-  tmpdir = getTempPath(tmpdir, options.maxLen);
+  const stream = new Writable({
+    // Keep the data after finishing, until destroyed explicitly
+    autoDestroy: false,
+    write(chunk, _encoding, callback) {
+      if (!spilledPath && size + chunk.length <= threshold) {
+        chunks.push(chunk);
+        size += chunk.length;
+        callback();
+        return;
+      }
+      pending = (spilledPath ? Promise.resolve() : spill())
+        .then(() => handle.writeFile(chunk))
+        .then(function () {
+          size += chunk.length;
+        });
+      pending.then(() => callback(), callback);
+    },
+    final(callback) {
+      pending = (handle ? handle.close() : Promise.resolve()).then(function () {
+        handle = null;
+      });
+      pending.then(() => callback(), callback);
+    },
+    destroy(err, callback) {
+      chunks = [];
+      // Wait for the pending spill, so the temporary file is not left behind
+      pending.catch(() => {})
+        .then(() => handle && handle.close())
+        .then(() => spilledPath && __removePath(spilledPath))
+        .then(function () {
+          if (spilledPath) __untrackPath(spilledPath);
+          callback(err);
+        }, removeErr => callback(err || removeErr));
+    }
+  });
 
-  const extension = (options.ext)
-    ? options.ext.startsWith('.')
-      ? options.ext
-      : `.${options.ext}`
-    // Use default extension, if the extension name is not specified
-    // * feat: Add support for temporary file creation with no extension
-    : ((typeof options.ext === 'string' && options.ext.length === 0)
-      ? options.ext
-      : '.tmp'
-    );
+  const closed = new Promise(resolve => stream.once('close', resolve));
 
-  // Create the parent directory of generated temporary path
-  fs.promises.mkdir(path.dirname(tmpdir), { recursive: true })
-    .then(function () {
-      if (options.asFile) {
-        const filename = tmpdir + extension;
-        // Create an empty file in the temporary directory
-        fs.promises.writeFile(filename, '')
-          .then(() => callback(null, filename))  // Return the created the temporary file path
-          .catch(err => callback(err));
-      } else {
-        // Create an empty directory in the temporary directory
-        fs.promises.mkdir(tmpdir)
-          .then(() => callback(null, tmpdir))  // Return the created temporary directory path
-          .catch(err => callback(err));
+  Object.defineProperties(stream, {
+    path: { get: () => spilledPath, enumerable: true },
+    size: { get: () => size, enumerable: true },
+    spilled: { get: () => spilledPath !== null, enumerable: true },
+    createReadStream: {
+      value: function createReadStream() {
+        const details = { code: 'ERR_TEMPPATH_INVALID_STATE', path: spilledPath, operation: 'read' };
+        if (stream.destroyed) {
+          throw new TempPathError('temppath: The stream has been destroyed.', details);
+        }
+        if (!stream.writableFinished) {
+          throw new TempPathError('temppath: The stream has not finished yet.', details);
+        }
+        return spilledPath ? fs.createReadStream(spilledPath) : Readable.from(Buffer.concat(chunks));
       }
-    })
-    .catch(err => callback(err));
+    },
+    [disposeSymbol]: {
+      value: function () {
+        stream.destroy();
+        // The file is removed asynchronously on destroy, try to remove it right away
+        if (spilledPath) {
+          try {
+            __removePathSync(spilledPath);
+          } catch (_err) {
+            // Still opened on Windows, it will be removed once closed
+          }
+        }
+      }
+    },
+    [asyncDisposeSymbol]: {
+      value: function () {
+        stream.destroy();
+        return closed;
+      }
+    }
+  });
+  return stream;
 }
 
+/*-------------------
+ * SOCKET PATHS
+ -------------------*/
+
 /**
- * Synchronously creates a temporary path, either as a directory or file, based on the provided
- * or system temporary directory and then returns a path that refers to the generated temporary directory or file.
+ * The maximum length in bytes of a Unix domain socket path, the size of `sun_path`
+ * minus the null terminator. It is 108 bytes on Linux and 104 bytes on macOS and BSDs.
  *
- * This function utilizes the {@link module:temppath~getTempPath|getTempPath} function.
- * To limit the characters' length of generated temporary directory or file name,
- * set the {@link TempPathOptions.maxLen `options.maxLen`} to the desired value and
- * it must be a positive number. Thus, the function will trim the name to the desired
- * maximum length.
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const SOCKET_PATH_MAX = ((process.platform === 'linux') ? 108 : 104) - 1;
+
+/**
+ * The prefix of Windows named pipe paths.
+ * @private
+ * @type {string}
+ * @since 0.6.0
+ */
+const WINDOWS_PIPE_PREFIX = '\\\\.\\pipe\\';
+
+/**
+ * The default characters' length of the random part of socket names, shorter
+ * than the one of other temporary paths to fit the socket path limit.
  *
- * @public
+ * @private
+ * @type {number}
+ * @since 0.6.0
+ */
+const DEFAULT_SOCKET_NAME_LEN = 16;
+
+/**
+ * Returns the candidate root directories of socket paths, in order of preference.
+ *
+ * @private
  * @function
- * @param {string | TempPathOptions} [tmpdir] - The temporary directory path. If an object is provided,
- *                                   it is treated as the `options` parameter,
- *                                   and `tmpdir` will fallback to system-based temporary directory.
- * @param {Object} [options] - Options for creating the temporary path.
- * @param {boolean} [options.asFile=false] - If `true`, create a temporary file. Otherwise, create a directory.
- * @param {string} [options.ext='.tmp'] - The extension for the temporary file. If `asFile` option is `false`,
- *                                        this option will be ignored. Default is `'.tmp'`.
- * @param {number} [options.maxLen=32] - The maximum characters' length of the generated directory or file name.
- *                                       Defaults to 32 characters.
+ * @param {ScopedTempPathOptions} options - The validated options.
+ * @returns {Array<{root: string, namespaced: boolean}>} The candidates.
+ * @since 0.6.0
+ */
+function __socketRoots(options) {
+  if (options.tmpdir) return [ { root: path.resolve(options.tmpdir), namespaced: false } ];
+
+  const namespace = isNullOrUndefined(options.namespace) ? rootNamespace : options.namespace;
+  const roots = [ { root: getTempRoot({ namespace: options.namespace }), namespaced: namespace !== null } ];
+  // The temporary root may be too long, e.g. on macOS, fallback to the shorter one
+  if (__isWritableDir('/tmp')) {
+    roots.push({
+      root: (namespace === null) ? '/tmp' : path.join('/tmp', __namespaceDir(namespace)),
+      namespaced: namespace !== null
+    });
+  }
+  return roots;
+}
+
+/**
+ * Generates a path for a Unix domain socket that is guaranteed to fit the platform limit of
+ * socket paths, or a named pipe path on Windows, e.g. to listen on with `net.Server`.
  *
- * @returns {string} The path of the created temporary directory or file.
+ * The random part of the name is shortened as needed, down to six characters. If the socket path
+ * still does not fit within the temporary root, e.g. because of the long `TMPDIR` on macOS,
+ * the shorter `/tmp` directory is used instead, unless the `tmpdir` option is specified.
+ * The root directory is created if it does not exist yet.
  *
- * @throws {TypeError} If the given arguments or the extension name specified with incorrect type.
- * @throws {Error} Throws an `Error` if there is an issue creating the temporary directory or file.
+ * The socket file is removed when the given `server` closes, and on process exit if tracked
+ * by the `autoCleanup` option or {@link module:temppath~track|track}.
  *
- * @example <caption>Call the function without any argument</caption>
- * // If no argument specified, it will creates a temporary directory
- * // in system's temporary path
- * const tmpDirPath = createTempPathSync();
- * console.log(tmpDirPath);
- * // Unix: "$TMPDIR/<TEMPPATH_DIR>"
- * // Termux Android: "$TMPDIR/<TEMPPATH_DIR>" or "$PREFIX/tmp/<TEMPPATH_DIR>"
- * // Windows: "%TMP%\<TEMPPATH_DIR>" or "%TEMP%\<TEMPPATH_DIR>"
+ * @public
+ * @function
+ * @param {ScopedTempPathOptions} [options] - Options to generate the socket path. The `maxLen`
+ *                                            defaults to 16, and the `ext` defaults to `'.sock'`.
+ *                                            The `template` option is not supported.
+ * @param {net.Server} [options.server] - The server to listen on the socket path, the socket
+ *                                        file is removed when the server closes.
  *
- * @example <caption>Create a temporary file with custom extension</caption>
- * const tmpFilePath = createTempPathSync({ asFile: true, ext: 'txt' });
- * console.log(tmpFilePath);
- * // Unix: "$TMPDIR/<TEMPPATH_FILE>.txt"
- * // Termux Android: "$TMPDIR/<TEMPPATH_FILE>.txt" or "$PREFIX/tmp/<TEMPPATH_FILE>.txt"
- * // Windows: "%TMP%\<TEMPPATH_FILE>.txt" or "%TEMP%\<TEMPPATH_FILE>.txt"
+ * @returns {string} The socket path, or the named pipe path on Windows.
  *
- * @example <caption>Create a temporary file in current directory</caption>
- * const path = require('node:path');
- * // For ESM: import path from 'node:path';
+ * @throws {TypeError} If the given options specified with incorrect type.
+ * @throws {RangeError} If the socket path cannot fit the platform limit.
  *
- * // Use `process.cwd()` to get current directory path
- * const customTmpFilePath = createTempPathSync(
- *   path.join(process.cwd(), 'tmp'), { asFile: true });
- * console.log(customTmpFilePath);
- * // Unix: "$PWD/tmp/<TEMPPATH_FILE>.tmp"
- * // Termux Android: "$PWD/tmp/<TEMPPATH_FILE>.tmp"
- * // Windows: "%CD%\tmp\<TEMPPATH_FILE>.tmp"
+ * @example
+ * const server = net.createServer(handler);
+ * server.listen(getTempSocketPath({ prefix: 'test-', server }));
+ * // macOS: "/var/folders/.../T/test-<16_CHARS>.sock"
+ * // Windows: "\\.\pipe\test-<16_CHARS>"
  *
- * @since 0.2.0
+ * @since 0.6.0
  */
-function createTempPathSync(tmpdir, options) {
-  // Swap the 'tmpdir' argument to 'options', if the provided is an object
-  // and the 'options' argument is undefined or empty
-  if (typeof tmpdir === 'object' && !Array.isArray(tmpdir)
-          && isNullOrUndefined(options)) {
-      options = tmpdir;  // Swap
-      tmpdir = null;     // Make this empty
-  } else if (isNullOrUndefined(options)) {
-      // By using this approach, all paramaters will be optional.
-      // Users can simply call this function without any argument and with no error.
-      options = {};
-  }
-
-  if (typeof options !== 'object') {
-    throw new TypeError(
-      `The "options" argument must be an object. Received ${typeof options}`);
-  }
-  if (options.ext && typeof options.ext !== 'string') {
-    throw new TypeError(`Expected a string extension, got ${typeof options.ext}`);
+function getTempSocketPath(options) {
+  if (isNullOrUndefined(options)) options = {};
+  __validateScopedOptions(options);
+  if (options.template) {
+    throw new TempPathTypeError('The template option is not supported for socket paths');
   }
-  if (options.maxLen && typeof options.maxLen !== 'number') {
-    throw new TypeError(`Expected a number for maxLen, got ${typeof options.maxLen}`);
+  const server = options.server;
+  if (!isNullOrUndefined(server) && typeof server.once !== 'function') {
+    throw new TempPathTypeError(`Expected an event emitter for server, got ${typeof server}`);
   }
 
-  // Resolve the temporary path
-  tmpdir = getTempPath(tmpdir, options.maxLen);
+  const nameOptions = {
+    prefix: options.prefix,
+    suffix: options.suffix,
+    generator: options.generator,
+    maxLen: options.maxLen || DEFAULT_SOCKET_NAME_LEN
+  };
+  if (process.platform === 'win32') {
+    // Named pipes live in their own namespace, never on the file system
+    return WINDOWS_PIPE_PREFIX + getTempPath(WINDOWS_PIPE_PREFIX, nameOptions).slice(WINDOWS_PIPE_PREFIX.length);
+  }
 
-  const extension = (options.ext)
-    ? options.ext.startsWith('.')
-      ? options.ext
-      : `.${options.ext}`
-    // Use default extension, if the extension name is not specified
-    // * feat: Add support for temporary file creation with no extension
-    : ((typeof options.ext === 'string' && options.ext.length === 0)
-      ? options.ext
-      : '.tmp'
-    );
+  const ext = __getExtension({ ext: isNullOrUndefined(options.ext) ? '.sock' : options.ext });
+  const fixedLen = Buffer.byteLength((options.prefix || '') + (options.suffix || '') + ext);
+  for (const { root, namespaced } of __socketRoots(options)) {
+    // The bytes left for the random part, after the root and the path separator
+    const available = SOCKET_PATH_MAX - Buffer.byteLength(root) - 1 - fixedLen;
+    const maxLen = Math.min(nameOptions.maxLen, available);
+    if (maxLen < MIN_TEMPLATE_RANDOM_LEN) continue;
 
-  try {
-    // Create the parent directory of generated temporary path
-    fs.mkdirSync(path.dirname(tmpdir), { recursive: true });
+    const socketPath = getTempPath(root, { ...nameOptions, maxLen }) + ext;
+    __validateName(path.basename(socketPath));
+    // Custom generators may produce multibyte characters
+    if (Buffer.byteLength(socketPath) > SOCKET_PATH_MAX) continue;
 
-    if (options.asFile) {
-      const filename = tmpdir + extension;
-      fs.writeFileSync(filename, '');  // Create an empty temporary file
-      return filename;  // Return the created temporary file path
+    try {
+      fs.mkdirSync(root, { recursive: true, mode: namespaced ? SECURE_DIR_MODE : undefined });
+    } catch (err) {
+      throw __fsError('temppath: Failed to create the socket directory.',
+        'ERR_TEMPPATH_CREATE_FAILED', 'create', root, err);
     }
+    if (namespaced) __verifyNamespaceDirSync(root);
 
-    // Create a temporary directory with synchronous operation
-    fs.mkdirSync(tmpdir);
-    return tmpdir;  // Return the created temporary directory path
-  } catch (err) {
-    // Throw a new error with source error as causative error
-    throw new Error(
-      `temppath: Failed to create temporary ${
-        (options.asFile) ? 'file' : 'directory'
-      }.`, { cause: err }
-    );
+    __trackPath(socketPath, { ...options, asFile: true });
+    if (server) {
+      server.once('close', function () {
+        __removePath(socketPath)
+          .then(() => __untrackPath(socketPath), () => {});
+      });
+    }
+    return socketPath;
   }
-}
 
+  throw new TempPathRangeError(
+    `Unable to generate a socket path within ${SOCKET_PATH_MAX} bytes, use a shorter tmpdir or prefix`,
+    { code: 'ERR_TEMPPATH_NAME_TOO_LONG' });
+}
 
 /*----------
  * EXPORTS
@@ -368,7 +6250,45 @@ function createTempPathSync(tmpdir, options) {
 const temppath = Object.freeze({
     getTempPath,
     createTempPath,
-    createTempPathSync
+    createTempPathSync,
+    createTempPathAsync,
+    createTempPaths,
+    createTempPathsSync,
+    createTempFileSync,
+    createTempFileAsync,
+    createTempTreeSync,
+    createTempTreeAsync,
+    symlink,
+    generators,
+    createTempHandleSync,
+    createTempHandleAsync,
+    withTempDir,
+    withTempDirSync,
+    withTempFile,
+    withTempFileSync,
+    track,
+    cleanupAll,
+    cleanupAllSync,
+    getExpirations,
+    prune,
+    pruneSync,
+    getTempRoot,
+    configureTempRoot,
+    resolvers,
+    createSession,
+    loadSession,
+    writeFileAtomic,
+    writeFileAtomicSync,
+    createTempWriteStream,
+    getTempSocketPath,
+    cloneToTemp,
+    cloneToTempSync,
+    channels,
+    TempPathError,
+    TempPathTypeError,
+    TempPathRangeError,
+    TempPathCollisionError,
+    TempPathAggregateError
 });
 
 // For CommonJS
@@ -390,4 +6310,42 @@ if (!isNullOrUndefined(exports) && typeof exports === 'object') {
     exports.getTempPath = getTempPath;
     exports.createTempPath = createTempPath;
     exports.createTempPathSync = createTempPathSync;
+    exports.createTempPathAsync = createTempPathAsync;
+    exports.createTempPaths = createTempPaths;
+    exports.createTempPathsSync = createTempPathsSync;
+    exports.createTempFileSync = createTempFileSync;
+    exports.createTempFileAsync = createTempFileAsync;
+    exports.createTempTreeSync = createTempTreeSync;
+    exports.createTempTreeAsync = createTempTreeAsync;
+    exports.symlink = symlink;
+    exports.generators = generators;
+    exports.createTempHandleSync = createTempHandleSync;
+    exports.createTempHandleAsync = createTempHandleAsync;
+    exports.withTempDir = withTempDir;
+    exports.withTempDirSync = withTempDirSync;
+    exports.withTempFile = withTempFile;
+    exports.withTempFileSync = withTempFileSync;
+    exports.track = track;
+    exports.cleanupAll = cleanupAll;
+    exports.cleanupAllSync = cleanupAllSync;
+    exports.getExpirations = getExpirations;
+    exports.prune = prune;
+    exports.pruneSync = pruneSync;
+    exports.getTempRoot = getTempRoot;
+    exports.configureTempRoot = configureTempRoot;
+    exports.resolvers = resolvers;
+    exports.createSession = createSession;
+    exports.loadSession = loadSession;
+    exports.writeFileAtomic = writeFileAtomic;
+    exports.writeFileAtomicSync = writeFileAtomicSync;
+    exports.createTempWriteStream = createTempWriteStream;
+    exports.getTempSocketPath = getTempSocketPath;
+    exports.cloneToTemp = cloneToTemp;
+    exports.cloneToTempSync = cloneToTempSync;
+    exports.channels = channels;
+    exports.TempPathError = TempPathError;
+    exports.TempPathTypeError = TempPathTypeError;
+    exports.TempPathRangeError = TempPathRangeError;
+    exports.TempPathCollisionError = TempPathCollisionError;
+    exports.TempPathAggregateError = TempPathAggregateError;
 }
@@ -3,7 +3,7 @@ module.exports = {
     recurseDepth: 2,
     sourceType: 'module',
     source: {
-        include: ['index.js'],
+        include: ['index.js', 'testing.js'],
         exclude: [__filename, 'test.*', 'node_modules/']
     },
     tags: {
@@ -7,6 +7,10 @@ const fs = require('node:fs');
 const assert = require('node:assert');
 const path = require('node:path');
 const { isNullOrUndefined } = require('node:util');
+const childProcess = require('node:child_process');
+const { Readable } = require('node:stream');
+const zlib = require('node:zlib');
+const diagnosticsChannel = require('node:diagnostics_channel');
 const temppath = require('..');
 
 const rootDir = path.resolve(process.cwd()),
@@ -24,6 +28,44 @@ const rootDir = path.resolve(process.cwd()),
 assert.equal(typeof temppath.getTempPath, 'function');
 assert.equal(typeof temppath.createTempPath, 'function');
 assert.equal(typeof temppath.createTempPathSync, 'function');
+assert.equal(typeof temppath.createTempPathAsync, 'function');
+assert.equal(typeof temppath.createTempPaths, 'function');
+assert.equal(typeof temppath.createTempPathsSync, 'function');
+assert.equal(typeof temppath.createTempHandleSync, 'function');
+assert.equal(typeof temppath.createTempHandleAsync, 'function');
+assert.equal(typeof temppath.withTempDir, 'function');
+assert.equal(typeof temppath.withTempDirSync, 'function');
+assert.equal(typeof temppath.withTempFile, 'function');
+assert.equal(typeof temppath.withTempFileSync, 'function');
+assert.equal(typeof temppath.createTempFileSync, 'function');
+assert.equal(typeof temppath.createTempFileAsync, 'function');
+assert.equal(typeof temppath.createTempTreeSync, 'function');
+assert.equal(typeof temppath.createTempTreeAsync, 'function');
+assert.equal(typeof temppath.symlink, 'function');
+assert.equal(typeof temppath.prune, 'function');
+assert.equal(typeof temppath.pruneSync, 'function');
+assert.equal(typeof temppath.getTempRoot, 'function');
+assert.equal(typeof temppath.configureTempRoot, 'function');
+assert.equal(typeof temppath.resolvers, 'object');
+assert.equal(typeof temppath.createSession, 'function');
+assert.equal(typeof temppath.loadSession, 'function');
+assert.equal(typeof temppath.writeFileAtomic, 'function');
+assert.equal(typeof temppath.writeFileAtomicSync, 'function');
+assert.equal(typeof temppath.createTempWriteStream, 'function');
+assert.equal(typeof temppath.getTempSocketPath, 'function');
+assert.equal(typeof temppath.cloneToTemp, 'function');
+assert.equal(typeof temppath.cloneToTempSync, 'function');
+assert.equal(typeof temppath.channels, 'object');
+assert.equal(typeof temppath.TempPathError, 'function');
+assert.equal(typeof temppath.TempPathTypeError, 'function');
+assert.equal(typeof temppath.TempPathRangeError, 'function');
+assert.equal(typeof temppath.TempPathCollisionError, 'function');
+assert.equal(typeof temppath.TempPathAggregateError, 'function');
+assert.equal(typeof temppath.generators, 'object');
+assert.equal(typeof temppath.track, 'function');
+assert.equal(typeof temppath.cleanupAll, 'function');
+assert.equal(typeof temppath.cleanupAllSync, 'function');
+assert.equal(typeof temppath.getExpirations, 'function');
 assert.throws(function () {
     // Test the inextensibility of 'temppath' module
     'use strict';  // Required to make code below throws an error
@@ -44,6 +86,104 @@ assert.throws(function () {
     temppath.getTempPath([ 'error test' ]);
 }, TypeError);
 
+{
+    // Test name options
+    let name = path.basename(temppath.getTempPath({ prefix: 'foo-', suffix: '-bar', maxLen: 8 }));
+    assert.match(name, /^foo-[0-9a-f]{8}-bar$/);
+
+    name = path.basename(temppath.getTempPath(rootDirTmp, { template: '{name}-XXXXXXXX.log', name: 'test' }));
+    assert.match(name, /^test-[0-9a-f]{8}\.log$/);
+
+    name = path.basename(temppath.getTempPath({ template: 'XXXXXX-{random}-{pid}', maxLen: 40 }));
+    assert.match(name, new RegExp(`^[0-9a-f]{6}-[0-9a-f]{40}-${process.pid}$`));
+
+    // The `XXXXXX` run is always cryptographically random, even with predictable generators
+    const seededName = () => path.basename(temppath.getTempPath({
+        template: 'a-XXXXXX-{random}', maxLen: 6, generator: temppath.generators.seeded('foo')
+    }));
+    assert.notEqual(seededName().substr(0, 8), seededName().substr(0, 8));
+    assert.match(seededName(), /^a-[0-9a-f]{6}-[0-9a-f]{6}$/);
+    const counterNames = [ 1, 2 ].map(() => path.basename(
+        temppath.getTempPath({ template: 'a-XXXXXX', generator: 'counter' })));
+    counterNames.forEach(counterName => assert.match(counterName, /^a-[0-9a-f]{6}$/));
+    assert.notEqual(counterNames[0], counterNames[1]);
+    assert.match(path.basename(temppath.getTempPath({ template: 'XXXXXX', generator: 'base62' })),
+        /^[0-9A-Za-z]{6}$/);
+
+    assert.throws(() => temppath.getTempPath({ template: 'foo-XXX' }), RangeError);
+    assert.throws(() => temppath.getTempPath({ template: '{random}', maxLen: 3 }), RangeError);
+    assert.throws(() => temppath.getTempPath({ prefix: 'x'.repeat(256) }), RangeError);
+    assert.throws(() => temppath.getTempPath({ prefix: 'foo/' }), TypeError);
+    assert.throws(() => temppath.getTempPath({ suffix: 1 }), TypeError);
+
+    // The extension is appended for files only, the same way as the created files
+    assert.match(temppath.getTempPath({ asFile: true, maxLen: 8 }), /[\\/][0-9a-f]{8}\.tmp$/);
+    assert.match(temppath.getTempPath({ asFile: true, ext: 'json', maxLen: 8 }), /[\\/][0-9a-f]{8}\.json$/);
+    assert.match(temppath.getTempPath({ asFile: true, ext: '', maxLen: 8 }), /[\\/][0-9a-f]{8}$/);
+    assert.match(temppath.getTempPath({ asFile: true, template: 'XXXXXX.log' }), /[\\/][0-9a-f]{6}\.log$/);
+    assert.match(temppath.getTempPath({ ext: 'json', maxLen: 8 }), /[\\/][0-9a-f]{8}$/);
+    assert.throws(() => temppath.getTempPath({ asFile: true, ext: 1 }), TypeError);
+    assert.throws(() => temppath.getTempPath({ asFile: true, ext: 'x'.repeat(256) }), RangeError);
+}
+
+{
+    // Test name generators
+    const patterns = {
+        hex: /^[0-9a-f]+$/,
+        base32: /^[a-z2-7]+$/,
+        base62: /^[0-9A-Za-z]+$/,
+        timestamp: /^[0-9a-z]+$/,
+        counter: /^[0-9a-z]+-[0-9a-z]+$/
+    };
+    for (const [ generator, pattern ] of Object.entries(patterns)) {
+        const name = path.basename(temppath.getTempPath({ generator }));
+        assert.match(name, pattern);
+        assert.ok(name.length <= 32);
+        assert.equal(path.basename(temppath.getTempPath({ generator, maxLen: 5 })).length, 5);
+        if (generator !== 'counter') {
+            assert.equal(path.basename(temppath.getTempPath({ generator, maxLen: 100 })).length, 100);
+        }
+    }
+
+    // Names generated in the same millisecond do not collide, even with a short length
+    for (const maxLen of [ 5, 6, 9, 12 ]) {
+        const names = new Set();
+        for (let i = 0; i < 20; i++) {
+            names.add(temppath.generators.timestamp(maxLen));
+        }
+        assert.equal(names.size, 20, `Names collided with maxLen ${maxLen}`);
+    }
+
+    // Truncated counters keep part of the process ID
+    const pid = process.pid.toString(36);
+    const shortCount = temppath.generators.counter(8);
+    assert.equal(shortCount.length, 8);
+    assert.ok(shortCount.startsWith(pid.substr(pid.length - Math.min(pid.length, 4))));
+
+    // Sortable by creation time
+    const first = path.basename(temppath.getTempPath({ generator: 'timestamp' }));
+    const second = path.basename(temppath.getTempPath({ generator: 'timestamp' }));
+    assert.ok(first.substr(0, 9) <= second.substr(0, 9));
+
+    // Monotonic per process
+    const count1 = temppath.getTempPath({ generator: 'counter' }).split('-').pop();
+    const count2 = temppath.getTempPath({ generator: 'counter' }).split('-').pop();
+    assert.ok(parseInt(count1, 36) < parseInt(count2, 36));
+
+    // Deterministic with the same seed
+    const seeded1 = temppath.generators.seeded('test'),
+          seeded2 = temppath.generators.seeded('test');
+    assert.equal(temppath.getTempPath({ generator: seeded1 }), temppath.getTempPath({ generator: seeded2 }));
+    assert.equal(temppath.getTempPath({ generator: seeded1 }), temppath.getTempPath({ generator: seeded2 }));
+    assert.notEqual(seeded1(32), temppath.generators.seeded('other')(32));
+
+    // Custom generator
+    assert.equal(path.basename(temppath.getTempPath({ generator: () => 'foobar', maxLen: 3 })), 'foo');
+    assert.throws(() => temppath.getTempPath({ generator: () => 1 }), TypeError);
+    assert.throws(() => temppath.getTempPath({ generator: 'seeded' }), TypeError);
+    assert.throws(() => temppath.getTempPath({ generator: 'foo' }), TypeError);
+}
+
 console.info('Test `getTempPath` passed.\n');
 
 /*------------------------
@@ -103,6 +243,51 @@ const createTempPathTests = Promise.all([
 ]);
 
 
+/*-----------------------------
+ * Test `createTempPathAsync`
+ ------------------------------*/
+
+/**
+ * Stores all promise-based tests of `createTempPathAsync` function.
+ */
+const createTempPathAsyncTests = Promise.all([
+    temppath.createTempPathAsync().then(function (outPath) {
+        assert.equal(path.dirname(outPath), systemRootDirTmp);
+        assert.ok(fs.statSync(outPath).isDirectory());
+        fs.rmdirSync(outPath);
+    }),
+    temppath.createTempPathAsync(rootDirTmp, { asFile: true, ext: 'test' }).then(function (outPath) {
+        assert.equal(path.dirname(outPath), rootDirTmp);
+        assert.ok(outPath.endsWith('.test'));
+        assert.ok(fs.statSync(outPath).isFile());
+        fs.unlinkSync(outPath);
+    }),
+    assert.rejects(temppath.createTempPathAsync({ ext: 1 }), TypeError),
+    assert.rejects(temppath.createTempPathAsync('foo', 'bar'), TypeError),
+    assert.rejects(temppath.createTempPathAsync({ maxLen: -1 }), RangeError),
+    temppath.createTempPathAsync(rootDirTmp, { asFile: true, secure: true }).then(function (outPath) {
+        if (process.platform !== 'win32') {
+            assert.equal(fs.statSync(outPath).mode & 0o777, 0o600);
+        }
+        fs.unlinkSync(outPath);
+    }),
+    (function () {
+        // Test exclusive creation with retries
+        const generator = () => 'collision';
+        return temppath.createTempPathAsync(rootDirTmp, { generator }).then(function (existingDir) {
+            return assert.rejects(
+                temppath.createTempPathAsync(rootDirTmp, { generator, retries: 2 }),
+                function (err) {
+                    assert.equal(err.code, 'ERR_TEMPPATH_COLLISION');
+                    assert.deepEqual(err.attemptedPaths, [ existingDir, existingDir, existingDir ]);
+                    return true;
+                }
+            ).then(() => fs.rmdirSync(existingDir));
+        });
+    })()
+]).then(() => console.info('Test `createTempPathAsync` passed.\n'));
+
+
 /*----------------------------
  * Test `createTempPathSync`
  -----------------------------*/
@@ -152,10 +337,2028 @@ let outTmpPath;
     }
 }
 
+{
+    // Test temporary file creation from template
+    outTmpPath = temppath.createTempPathSync({ asFile: true, template: 'test-XXXXXX.log' });
+    assert.match(path.basename(outTmpPath), /^test-[0-9a-f]{6}\.log$/);
+    assert.ok(fs.statSync(outTmpPath).isFile());
+    fs.unlinkSync(outTmpPath);
+
+    assert.throws(function () {
+        temppath.createTempPathSync({ asFile: true, prefix: 'x'.repeat(250) });
+    }, RangeError);
+}
+
+{
+    // Test exclusive creation with retries
+    const existingFile = temppath.createTempPathSync(rootDirTmp, {
+        asFile: true, generator: temppath.generators.seeded('collision')
+    });
+    fs.writeFileSync(existingFile, 'foo');
+
+    assert.throws(function () {
+        temppath.createTempPathSync(rootDirTmp, {
+            asFile: true, retries: 0, generator: temppath.generators.seeded('collision')
+        });
+    }, function (err) {
+        assert.equal(err.code, 'ERR_TEMPPATH_COLLISION');
+        assert.deepEqual(err.attemptedPaths, [ existingFile ]);
+        assert.ok(err.message.includes(existingFile));
+        return true;
+    });
+    assert.equal(fs.readFileSync(existingFile, 'utf8'), 'foo');  // Not truncated
+
+    outTmpPath = temppath.createTempPathSync(rootDirTmp, {
+        asFile: true, retries: 1, generator: temppath.generators.seeded('collision')
+    });
+    assert.notEqual(outTmpPath, existingFile);
+    fs.unlinkSync(outTmpPath);
+    fs.unlinkSync(existingFile);
+
+    assert.throws(() => temppath.createTempPathSync({ retries: -1 }), RangeError);
+    assert.throws(() => temppath.createTempPathSync({ retries: '1' }), TypeError);
+}
+
+if (process.platform !== 'win32') {
+    // Test permission modes
+    outTmpPath = temppath.createTempPathSync({ asFile: true, secure: true });
+    assert.equal(fs.statSync(outTmpPath).mode & 0o777, 0o600);
+    fs.unlinkSync(outTmpPath);
+
+    outTmpPath = temppath.createTempPathSync(rootDirTmp, { secure: true });
+    assert.equal(fs.statSync(outTmpPath).mode & 0o777, 0o700);
+    fs.rmdirSync(outTmpPath);
+
+    outTmpPath = temppath.createTempPathSync({ asFile: true, mode: 0o400 });
+    assert.equal(fs.statSync(outTmpPath).mode & 0o777, 0o400);
+    fs.unlinkSync(outTmpPath);
+
+    assert.throws(() => temppath.createTempPathSync({ mode: '0600' }), TypeError);
+    assert.throws(() => temppath.createTempPathSync({ mode: 0o10000 }), RangeError);
+    assert.throws(() => temppath.createTempPathSync({ secure: 1 }), TypeError);
+
+    if (process.getuid() === 0) {
+        // Test the temporary root verification, requires root to change the owner
+        const insecureRoot = temppath.createTempPathSync(rootDirTmp, { mode: 0o777 });
+        fs.chownSync(insecureRoot, 12345, 12345);
+        assert.throws(function () {
+            temppath.createTempPathSync(insecureRoot, { verifyRoot: true });
+        }, /neither owned by the current user nor has the sticky bit/);
+        fs.chmodSync(insecureRoot, 0o1777);
+        fs.rmdirSync(temppath.createTempPathSync(insecureRoot, { verifyRoot: true }));
+
+        const plantedLink = insecureRoot + '-link';
+        fs.symlinkSync(insecureRoot, plantedLink);
+        fs.lchownSync(plantedLink, 12345, 12345);
+        assert.throws(function () {
+            temppath.createTempPathSync(plantedLink, { secure: true });
+        }, /symlink owned by another user/);
+        fs.unlinkSync(plantedLink);
+        fs.rmdirSync(insecureRoot);
+    }
+}
+
 console.info('Test `createTempPathSync` passed.\n');
 
-// Wait until all promises in `createTempPathTests` done
-createTempPathTests.then(function () {
+/*---------------------------
+ * Test cleanup registry
+ ----------------------------*/
+
+/**
+ * Runs the given script in a child process with `temppath` module imported
+ * as `temppath` variable.
+ */
+function runChild(script) {
+    return childProcess.spawnSync(process.execPath, [
+        '-e', `const temppath = require(${JSON.stringify(rootDir)});\n${script}`
+    ], { encoding: 'utf8' });
+}
+
+{
+    // Test tracking via `autoCleanup` option
+    outTmpPath = temppath.createTempPathSync({ autoCleanup: true });
+    fs.writeFileSync(path.join(outTmpPath, 'foo.txt'), 'foo');
+    const untrackedPath = temppath.createTempPathSync({ asFile: true });
+
+    temppath.cleanupAllSync();
+    assert.ok(!fs.existsSync(outTmpPath));
+    assert.ok(fs.existsSync(untrackedPath));
+    fs.unlinkSync(untrackedPath);
+}
+
+{
+    // Test the global tracking
+    assert.throws(() => temppath.track('yes'), TypeError);
+    temppath.track();
+    outTmpPath = temppath.createTempPathSync({ asFile: true });
+    const untrackedPath = temppath.createTempPathSync({ autoCleanup: false });
+    temppath.track(false);
+
+    temppath.cleanupAllSync();
+    assert.ok(!fs.existsSync(outTmpPath));
+    assert.ok(fs.existsSync(untrackedPath));
+    fs.rmdirSync(untrackedPath);
+}
+
+{
+    // Test removal on normal exit
+    const child = runChild(`
+        temppath.track();
+        const dir = temppath.createTempPathSync();
+        require('node:fs').writeFileSync(require('node:path').join(dir, 'foo'), '');
+        process.stdout.write(dir);
+    `);
+    assert.equal(child.status, 0, child.stderr);
+    assert.ok(!fs.existsSync(child.stdout));
+}
+
+{
+    // Test removal on uncaught exception
+    const child = runChild(`
+        process.stdout.write(temppath.createTempPathSync({ autoCleanup: true }));
+        throw new Error('uncaught');
+    `);
+    assert.notEqual(child.status, 0);
+    assert.ok(child.stderr.includes('uncaught'));
+    assert.ok(!fs.existsSync(child.stdout));
+}
+
+if (process.platform !== 'win32') {
+    // Test removal on termination signal
+    const child = runChild(`
+        process.stdout.write(temppath.createTempPathSync({ autoCleanup: true }));
+        process.kill(process.pid, 'SIGTERM');
+        setTimeout(() => {}, 5000);
+    `);
+    assert.equal(child.signal, 'SIGTERM');
+    assert.ok(!fs.existsSync(child.stdout));
+}
+
+if (process.platform !== 'win32') {
+    // Test the paths created after a handled termination signal are still removed on exit
+    const child = runChild(`
+        const first = temppath.createTempPathSync({ autoCleanup: true });
+        process.once('SIGTERM', function () {
+            setImmediate(function () {
+                const second = temppath.createTempPathSync({ autoCleanup: true });
+                process.stdout.write(JSON.stringify([ first, second ]));
+            });
+        });
+        process.kill(process.pid, 'SIGTERM');
+        setTimeout(() => {}, 100);
+    `);
+    assert.equal(child.status, 0, child.stderr);
+    for (const createdPath of JSON.parse(child.stdout)) {
+        assert.ok(!fs.existsSync(createdPath));
+    }
+}
+
+{
+    // Test an error thrown by the callback of `cleanupAll` is not swallowed as a rejection
+    const child = runChild(`
+        process.on('unhandledRejection', () => process.stdout.write('rejection'));
+        process.on('uncaughtException', err => process.stdout.write(err.message));
+        temppath.cleanupAll(function () {
+            throw new Error('callback');
+        });
+    `);
+    assert.equal(child.stdout, 'callback', child.stderr);
+}
+
+{
+    // Test an error thrown by the callback of `createTempPath` is not passed back to it
+    const child = runChild(`
+        let calls = 0;
+        process.on('unhandledRejection', () => process.stdout.write('rejection'));
+        process.on('uncaughtException', err => process.stdout.write(calls + err.message));
+        temppath.createTempPath({ autoCleanup: true }, function () {
+            calls++;
+            throw new Error('callback');
+        });
+    `);
+    assert.equal(child.stdout, '1callback', child.stderr);
+}
+
+console.info('Test `cleanupAllSync` passed.\n');
+
+/**
+ * Stores the promise-based test of `cleanupAll` function.
+ */
+const cleanupAllTests = new Promise(function (resolve, reject) {
+    assert.throws(() => temppath.cleanupAll(), TypeError);
+    temppath.createTempPath({ asFile: true, autoCleanup: true }, function (err, outPath) {
+        if (err) { reject(err); return }
+
+        temppath.cleanupAll(function (err) {
+            if (err) { reject(err); return }
+
+            assert.ok(!fs.existsSync(outPath));
+            console.info('Test `cleanupAll` passed.\n');
+            resolve();
+        });
+    });
+});
+
+/*------------------------------
+ * Test temporary file creation
+ -------------------------------*/
+
+{
+    // Test `createTempFileSync`
+    outTmpPath = temppath.createTempFileSync(rootDirTmp, { data: 'foo', ext: 'txt' });
+    assert.equal(path.dirname(outTmpPath), rootDirTmp);
+    assert.ok(outTmpPath.endsWith('.txt'));
+    assert.equal(fs.readFileSync(outTmpPath, 'utf8'), 'foo');
+    fs.unlinkSync(outTmpPath);
+
+    outTmpPath = temppath.createTempFileSync({ data: '666f6f', encoding: 'hex' });
+    assert.equal(fs.readFileSync(outTmpPath, 'utf8'), 'foo');
+    fs.unlinkSync(outTmpPath);
+
+    const { path: filePath, fd } = temppath.createTempFileSync({
+        data: new Uint8Array([ 0x66, 0x6f ]), open: true
+    });
+    fs.writeSync(fd, 'o');
+    fs.closeSync(fd);
+    assert.equal(fs.readFileSync(filePath, 'utf8'), 'foo');
+    fs.unlinkSync(filePath);
+
+    assert.throws(() => temppath.createTempFileSync({ data: Readable.from([ 'foo' ]) }), TypeError);
+    assert.throws(() => temppath.createTempFileSync({ data: 1 }), TypeError);
+    assert.throws(() => temppath.createTempFileSync({ encoding: 'foo' }), TypeError);
+}
+
+console.info('Test `createTempFileSync` passed.\n');
+
+/**
+ * Stores all promise-based tests of `createTempFileAsync` function.
+ */
+const createTempFileAsyncTests = Promise.all([
+    temppath.createTempFileAsync({ data: Buffer.from('foo') }).then(function (outPath) {
+        assert.equal(fs.readFileSync(outPath, 'utf8'), 'foo');
+        fs.unlinkSync(outPath);
+    }),
+    temppath.createTempFileAsync(rootDirTmp, {
+        data: Readable.from([ 'foo', 'bar' ]), open: true
+    }).then(function ({ path: outPath, handle }) {
+        return handle.write('baz')
+            .then(() => handle.close())
+            .then(function () {
+                assert.equal(fs.readFileSync(outPath, 'utf8'), 'foobarbaz');
+                fs.unlinkSync(outPath);
+            });
+    }),
+    (function () {
+        // The file must be removed if the contents cannot be written
+        const failingDir = path.join(rootDirTmp, 'failing');
+        async function* failingData() {
+            yield 'foo';
+            throw new Error('foo');
+        }
+        return assert.rejects(
+            temppath.createTempFileAsync(failingDir, { data: failingData() }),
+            function (err) {
+                assert.equal(err.cause.message, 'foo');
+                assert.deepEqual(fs.readdirSync(failingDir), []);
+                fs.rmdirSync(failingDir);
+                return true;
+            }
+        );
+    })(),
+    assert.rejects(temppath.createTempFileAsync({ open: 'yes' }), TypeError)
+]).then(() => console.info('Test `createTempFileAsync` passed.\n'));
+
+/*------------------------------
+ * Test temporary trees
+ -------------------------------*/
+
+/**
+ * A tree specification used by temporary tree tests.
+ */
+const treeSpec = {
+    'package.json': '{}',
+    src: {
+        'index.js': 'module.exports = 1;',
+        'data.bin': Buffer.from([ 0, 1, 2 ]),
+        empty: {}
+    }
+};
+// Creating symlinks requires privilege on Windows
+if (process.platform !== 'win32') treeSpec['main.js'] = temppath.symlink('src/index.js');
+
+/**
+ * A tree specification whose deepest entry exceeds the maximum path length.
+ */
+const tooLongTreeSpec = { 'foo.txt': 'foo' };
+for (let i = 0, dir = tooLongTreeSpec; i < 20; i++) {
+    dir = dir['x'.repeat(250)] = {};
+}
+
+{
+    // Test `createTempTreeSync`
+    const tree = temppath.createTempTreeSync(treeSpec, { tmpdir: rootDirTmp });
+    assert.equal(tree.root, tree.path);
+    assert.equal(path.dirname(tree.root), rootDirTmp);
+    assert.equal(tree.resolve('src', 'index.js'), path.join(tree.root, 'src', 'index.js'));
+    assert.equal(fs.readFileSync(tree.resolve('package.json'), 'utf8'), '{}');
+    assert.deepEqual(fs.readFileSync(tree.resolve('src/data.bin')), Buffer.from([ 0, 1, 2 ]));
+    assert.deepEqual(fs.readdirSync(tree.resolve('src', 'empty')), []);
+    if (process.platform !== 'win32') {
+        assert.ok(fs.lstatSync(tree.resolve('main.js')).isSymbolicLink());
+        assert.equal(fs.readFileSync(tree.resolve('main.js'), 'utf8'), 'module.exports = 1;');
+    }
+    assert.throws(() => tree.resolve('..', 'foo'), RangeError);
+    assert.equal(tree.resolve('..foo'), path.join(tree.root, '..foo'));
+    tree.removeSync();
+    assert.ok(!fs.existsSync(tree.root));
+
+    if (process.platform !== 'win32') {
+        // Nothing is left behind on failure
+        const failingDir = path.join(rootDirTmp, 'failing-tree');
+        assert.throws(function () {
+            temppath.createTempTreeSync(tooLongTreeSpec, { tmpdir: failingDir });
+        }, err => err.cause.code === 'ENAMETOOLONG');
+        assert.deepEqual(fs.readdirSync(failingDir), []);
+        fs.rmdirSync(failingDir);
+    }
+
+    assert.throws(() => temppath.createTempTreeSync({ 'foo/bar': '' }), TypeError);
+    assert.throws(() => temppath.createTempTreeSync({ foo: { bar: 1 } }), TypeError);
+    assert.throws(() => temppath.createTempTreeSync('foo'), TypeError);
+    assert.throws(() => temppath.symlink(''), TypeError);
+}
+
+console.info('Test `createTempTreeSync` passed.\n');
+
+/**
+ * Stores all promise-based tests of `createTempTreeAsync` function.
+ */
+const createTempTreeAsyncTests = Promise.all([
+    temppath.createTempTreeAsync(treeSpec).then(function (tree) {
+        assert.equal(fs.readFileSync(tree.resolve('src', 'index.js'), 'utf8'), 'module.exports = 1;');
+        return tree.remove().then(() => assert.ok(!fs.existsSync(tree.root)));
+    }),
+    (function () {
+        if (process.platform === 'win32') return;
+        // Nothing is left behind on failure
+        const failingDir = path.join(rootDirTmp, 'failing-tree');
+        // The siblings still being created must not leak once the failing entry rejects
+        const spec = { ...tooLongTreeSpec };
+        for (let i = 0; i < 20; i++) {
+            spec[`sibling-${i}`] = { a: { b: { c: { 'd.txt': 'd'.repeat(4096) } } } };
+        }
+        return assert.rejects(
+            temppath.createTempTreeAsync(spec, { tmpdir: failingDir }),
+            function (err) {
+                assert.equal(err.cause.code, 'ENAMETOOLONG');
+                assert.deepEqual(fs.readdirSync(failingDir), []);
+                fs.rmdirSync(failingDir);
+                return true;
+            }
+        );
+    })()
+]).then(() => console.info('Test `createTempTreeAsync` passed.\n'));
+
+/*------------------------
+ * Test scoped helpers
+ -------------------------*/
+
+{
+    // Test the disposable handle
+    const handle = temppath.createTempHandleSync(rootDirTmp, { autoCleanup: true });
+    assert.equal(path.dirname(handle.path), rootDirTmp);
+    assert.equal(handle.isFile, false);
+    fs.writeFileSync(path.join(handle.path, 'foo.txt'), 'foo');
+    handle[Symbol.dispose || Symbol.for('nodejs.dispose')]();
+    assert.ok(!fs.existsSync(handle.path));
+}
+
+{
+    // Test `withTempDirSync` and `withTempFileSync`
+    let tmpDirPath;
+    const result = temppath.withTempDirSync(function (dir) {
+        tmpDirPath = dir;
+        assert.ok(fs.statSync(dir).isDirectory());
+        fs.mkdirSync(path.join(dir, 'foo'));
+        return 'foo';
+    });
+    assert.equal(result, 'foo');
+    assert.ok(!fs.existsSync(tmpDirPath));
+
+    let tmpFilePath;
+    assert.throws(function () {
+        temppath.withTempFileSync(function (file) {
+            tmpFilePath = file;
+            assert.ok(fs.statSync(file).isFile());
+            throw new Error('foo');
+        }, { ext: 'test', tmpdir: rootDirTmp });
+    }, { message: 'foo' });
+    assert.equal(path.dirname(tmpFilePath), rootDirTmp);
+    assert.ok(tmpFilePath.endsWith('.test'));
+    assert.ok(!fs.existsSync(tmpFilePath));
+
+    assert.throws(() => temppath.withTempDirSync('foo'), TypeError);
+    assert.throws(() => temppath.withTempDirSync(() => {}, { tmpdir: 1 }), TypeError);
+}
+
+console.info('Test synchronous scoped helpers passed.\n');
+
+/**
+ * Stores all promise-based tests of asynchronous scoped helpers.
+ */
+const scopedHelpersTests = Promise.all([
+    temppath.createTempHandleAsync({ asFile: true }).then(function (handle) {
+        assert.ok(handle.isFile);
+        assert.ok(fs.statSync(handle.path).isFile());
+        return handle[Symbol.asyncDispose || Symbol.for('nodejs.asyncDispose')]()
+            .then(() => assert.ok(!fs.existsSync(handle.path)));
+    }),
+    (function () {
+        let tmpDirPath;
+        return temppath.withTempDir(function (dir) {
+            tmpDirPath = dir;
+            return fs.promises.writeFile(path.join(dir, 'foo.txt'), 'foo').then(() => 'foo');
+        }).then(function (result) {
+            assert.equal(result, 'foo');
+            assert.ok(!fs.existsSync(tmpDirPath));
+        });
+    })(),
+    (function () {
+        let tmpFilePath;
+        return assert.rejects(temppath.withTempFile(function (file) {
+            tmpFilePath = file;
+            return Promise.reject(new Error('foo'));
+        }), { message: 'foo' }).then(() => assert.ok(!fs.existsSync(tmpFilePath)));
+    })(),
+    assert.rejects(temppath.withTempFile(null), TypeError)
+]).then(() => console.info('Test asynchronous scoped helpers passed.\n'));
+
+/*--------------------------------
+ * Test command-line interface
+ ---------------------------------*/
+
+{
+    const cliTmpDir = path.join(rootDirTmp, 'cli');
+    fs.mkdirSync(cliTmpDir, { recursive: true });
+
+    /**
+     * Runs the command-line interface with the given arguments, using `cliTmpDir`
+     * as the system's temporary directory.
+     */
+    function runCli(...args) {
+        return childProcess.spawnSync(process.execPath, [
+            path.join(rootDir, 'bin', 'temppath.js'), ...args
+        ], { encoding: 'utf8', env: { ...process.env, TMPDIR: cliTmpDir, TMP: cliTmpDir } });
+    }
+
+    let result = runCli();
+    assert.equal(result.status, 0, result.stderr);
+    const createdDir = result.stdout.trim();
+    assert.equal(path.dirname(createdDir), cliTmpDir);
+    assert.ok(fs.statSync(createdDir).isDirectory());
+
+    result = runCli('--file', '--ext', 'log', '--prefix', 'build-', '--max-len', '8', '--json');
+    assert.equal(result.status, 0, result.stderr);
+    const createdFile = JSON.parse(result.stdout);
+    assert.equal(createdFile.type, 'file');
+    assert.match(path.basename(createdFile.path), /^build-[0-9a-f]{8}\.log$/);
+    assert.ok(fs.statSync(createdFile.path).isFile());
+
+    result = runCli('create', '--dry-run', '--dir', rootDirTmp);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(path.dirname(result.stdout.trim()), rootDirTmp);
+    assert.ok(!fs.existsSync(result.stdout.trim()));
+
+    result = runCli('--dry-run', '--file', '--ext', 'log', '--max-len', '8');
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(path.basename(result.stdout.trim()), /^[0-9a-f]{8}\.log$/);
+
+    result = runCli('list', '--json');
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(JSON.parse(result.stdout).map(entry => entry.path), [ createdDir, createdFile.path ]);
+
+    result = runCli('prune', '--older-than', '1h');
+    assert.equal(result.status, 0, result.stderr);
+    assert.ok(fs.existsSync(createdDir));
+
+    result = runCli('prune', '--json');
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(JSON.parse(result.stdout).removed.length, 2);
+    assert.ok(!fs.existsSync(createdDir));
+    assert.ok(!fs.existsSync(createdFile.path));
+    assert.equal(runCli('list').stdout, '');
+
+    // The recorded paths replaced since created are never removed
+    const replacedDir = runCli().stdout.trim();
+    const replacedFile = runCli('--file').stdout.trim();
+    const targetDir = path.join(cliTmpDir, 'target');
+    fs.mkdirSync(targetDir);
+    fs.writeFileSync(path.join(targetDir, 'foo.txt'), 'foo');
+    fs.rmdirSync(replacedDir);
+    fs.symlinkSync(targetDir, replacedDir, 'dir');
+    // Renamed over, so the inode of the recorded file cannot be reused
+    fs.writeFileSync(`${replacedFile}.new`, 'bar');
+    fs.renameSync(`${replacedFile}.new`, replacedFile);
+    result = runCli('prune', '--json');
+    assert.equal(result.status, 0, result.stderr);
+    const pruned = JSON.parse(result.stdout);
+    assert.deepEqual(pruned.removed, []);
+    assert.deepEqual(pruned.skipped.map(entry => [ entry.path, entry.reason ]), [
+        [ replacedDir, 'not a directory' ],
+        [ replacedFile, 'replaced since created' ]
+    ]);
+    assert.equal(fs.readFileSync(path.join(targetDir, 'foo.txt'), 'utf8'), 'foo');
+    assert.equal(fs.readFileSync(replacedFile, 'utf8'), 'bar');
+    assert.equal(runCli('list').stdout, '');  // Forgotten
+    fs.unlinkSync(replacedDir);
+    fs.unlinkSync(replacedFile);
+    fs.rmSync(targetDir, { recursive: true });
+
+    // Exit codes
+    assert.equal(runCli('--max-len', '0').status, 2);
+    assert.equal(runCli('--prefix', 'foo/').status, 2);
+    assert.equal(runCli('foo').status, 2);
+    assert.equal(runCli('--foo').status, 2);
+    assert.equal(runCli('prune', '--older-than', 'soon').status, 2);
+    assert.equal(runCli('--dir', path.join(rootDir, 'package.json')).status, 1);
+    assert.equal(runCli('--help').status, 0);
+
+    assert.deepEqual(fs.readdirSync(cliTmpDir), []);
+    fs.rmdirSync(cliTmpDir);
+}
+
+console.info('Test command-line interface passed.\n');
+
+/*---------------------------------------
+ * Test temporary root resolution
+ ----------------------------------------*/
+
+{
+    assert.equal(temppath.getTempRoot(), systemRootDirTmp);
+
+    // Skip empty and non-directory candidates
+    const notDir = path.join(rootDir, 'package.json');
+    temppath.configureTempRoot({
+        resolvers: [ () => undefined, '', notDir, path.join(notDir, 'foo'), rootDirTmp ]
+    });
+    assert.equal(temppath.getTempRoot(), rootDirTmp);
+    // The paths are only generated in the first candidate, without probing it
+    assert.equal(path.dirname(temppath.getTempPath()), notDir);
+    const resolvedPath = temppath.createTempPathSync();
+    assert.equal(path.dirname(resolvedPath), rootDirTmp);
+    fs.rmSync(resolvedPath, { recursive: true });
+
+    // The namespace directory is created along with the temporary paths
+    const customRoot = path.join(rootDirTmp, 'root', 'foo');
+    temppath.configureTempRoot({ resolvers: [ customRoot ], namespace: 'myapp' });
+    const namespaceDir = temppath.getTempRoot();
+    assert.equal(path.dirname(namespaceDir), customRoot);
+    assert.ok(path.basename(namespaceDir).startsWith('myapp-'));
+    assert.ok(!fs.existsSync(namespaceDir));
+    const createdPath = temppath.createTempPathSync();
+    assert.equal(path.dirname(createdPath), namespaceDir);
+    if (process.platform !== 'win32') {
+        assert.equal(fs.statSync(namespaceDir).mode & 0o777, 0o700);
+    }
+    assert.equal(path.dirname(temppath.getTempPath({ namespace: 'other' })),
+        path.join(customRoot, path.basename(namespaceDir).replace(/^myapp/, 'other')));
+    // Ignored if the temporary directory is specified
+    assert.equal(path.dirname(temppath.getTempPath(rootDirTmp, { namespace: 'other' })), rootDirTmp);
+
+    if (process.platform !== 'win32') {
+        // A namespace directory planted as a symlink is refused
+        fs.symlinkSync(rootDirTmp, temppath.getTempRoot({ namespace: 'planted' }));
+        assert.throws(() => temppath.createTempPathSync({ namespace: 'planted' }),
+            { message: /Insecure namespace directory/ });
+    }
+
+    temppath.configureTempRoot({ resolvers: [ notDir ] });
+    assert.throws(() => temppath.getTempRoot(), { message: /No writable temporary root/ });
+    assert.throws(() => temppath.configureTempRoot({ resolvers: [] }), TypeError);
+    assert.throws(() => temppath.configureTempRoot({ resolvers: [ 1 ] }), TypeError);
+    assert.throws(() => temppath.configureTempRoot({ namespace: '..' }), TypeError);
+    assert.throws(() => temppath.getTempRoot({ namespace: 'foo/bar' }), TypeError);
+
+    // Restore the defaults
+    temppath.configureTempRoot();
+    assert.equal(temppath.getTempRoot(), systemRootDirTmp);
+    assert.equal(typeof temppath.resolvers.env('TEMPPATH_DIR'), 'function');
+    assert.ok(Object.isFrozen(temppath.resolvers.defaults));
+    fs.rmSync(path.join(rootDirTmp, 'root'), { recursive: true });
+}
+
+console.info('Test `getTempRoot` passed.\n');
+
+/*------------------
+ * Test pruning
+ -------------------*/
+
+/**
+ * Backdates the marker of the given temporary path by the given milliseconds.
+ */
+function backdateMarker(tempPath, ms) {
+    const markerFile = path.join(path.dirname(tempPath), `.${path.basename(tempPath)}.temppath`);
+    const marker = JSON.parse(fs.readFileSync(markerFile, 'utf8'));
+    marker.created -= ms;
+    fs.writeFileSync(markerFile, JSON.stringify(marker));
+}
+
+{
+    const pruneDir = path.join(rootDirTmp, 'prune-sync');
+    const oldDir = temppath.createTempPathSync(pruneDir, { marker: true, prefix: 'old-' });
+    const newDir = temppath.createTempPathSync(pruneDir, { marker: true, prefix: 'new-' });
+    const oldFile = temppath.createTempFileSync(pruneDir, { marker: true, data: 'foo' });
+    const foreignDir = path.join(pruneDir, 'foreign');
+    fs.mkdirSync(foreignDir);
+    fs.writeFileSync(path.join(oldDir, 'foo.txt'), 'foobar');
+    backdateMarker(oldDir, 60000);
+    backdateMarker(oldFile, 60000);
+    // An orphaned marker, its path was removed without the library
+    const orphanDir = temppath.createTempPathSync(pruneDir, { marker: true });
+    fs.rmdirSync(orphanDir);
+
+    let report = temppath.pruneSync({ root: pruneDir, olderThan: 30000, dryRun: true });
+    assert.ok(report.dryRun);
+    assert.deepEqual(report.removed.map(entry => entry.path).sort(), [ oldDir, oldFile ].sort());
+    assert.equal(report.bytesFreed, 9);
+    assert.ok(fs.existsSync(oldDir) && fs.existsSync(oldFile));
+
+    report = temppath.pruneSync({ root: pruneDir, olderThan: 30000, match: /^old-/ });
+    assert.deepEqual(report.removed.map(entry => entry.path), [ oldDir ]);
+    assert.equal(report.removed[0].size, 6);
+    assert.ok(report.skipped.every(entry => entry.reason === 'not-matched'));
+    assert.ok(!fs.existsSync(oldDir));
+    assert.ok(fs.existsSync(oldFile) && fs.existsSync(newDir) && fs.existsSync(foreignDir));
+
+    report = temppath.pruneSync({ root: pruneDir });
+    assert.deepEqual(report.removed.map(entry => entry.path).sort(), [ newDir, oldFile ].sort());
+    // Only the path not created by the library is left
+    assert.deepEqual(fs.readdirSync(pruneDir), [ 'foreign' ]);
+
+    assert.throws(() => temppath.pruneSync({ olderThan: -1 }), RangeError);
+    assert.throws(() => temppath.pruneSync({ match: 1 }), TypeError);
+    assert.deepEqual(temppath.pruneSync({ root: path.join(pruneDir, 'none') }).removed, []);
+    fs.rmSync(pruneDir, { recursive: true });
+}
+
+{
+    // The paths created in the temporary root are marked by default, unlike the others
+    const prefix = `marked-${process.pid}-`;
+    const rootPath = temppath.createTempPathSync({ prefix });
+    const ownPath = temppath.createTempPathSync(rootDirTmp, { prefix });
+    const match = name => name.startsWith(prefix);
+    const markerOf = tempPath => path.join(path.dirname(tempPath), `.${path.basename(tempPath)}.temppath`);
+    assert.ok(fs.existsSync(markerOf(rootPath)));
+    assert.ok(!fs.existsSync(markerOf(ownPath)));
+    assert.deepEqual(temppath.pruneSync({ match, dryRun: true }).removed.map(entry => entry.path),
+        [ rootPath ]);
+    assert.deepEqual(temppath.pruneSync({ match }).removed.map(entry => entry.path), [ rootPath ]);
+    assert.ok(!fs.existsSync(rootPath) && fs.existsSync(ownPath));
+    fs.rmdirSync(ownPath);
+}
+
+console.info('Test `pruneSync` passed.\n');
+
+/**
+ * Stores all promise-based tests of `prune` function.
+ */
+const pruneTests = (function () {
+    const pruneDir = path.join(rootDirTmp, 'prune-async');
+    const markedFile = temppath.createTempPathSync(pruneDir, { asFile: true, marker: true });
+    // A marker whose path does not match the recorded type
+    const fakeMarked = path.join(pruneDir, 'fake');
+    fs.mkdirSync(fakeMarked);
+    fs.writeFileSync(path.join(pruneDir, '.fake.temppath'),
+        JSON.stringify({ pid: process.pid, created: 0, type: 'file' }));
+    fs.writeFileSync(path.join(pruneDir, '.invalid.temppath'), 'foo');
+    fs.mkdirSync(path.join(pruneDir, 'invalid'));
+
+    return temppath.prune({ root: pruneDir, match: name => name === 'fake' || name === 'invalid' })
+        .then(function (report) {
+            assert.equal(report.removed.length, 0);
+            assert.deepEqual(report.skipped.map(entry => entry.reason).sort(),
+                [ 'invalid-marker', 'not-matched', 'not-owned' ]);
+            return temppath.prune({ root: pruneDir });
+        })
+        .then(function (report) {
+            assert.deepEqual(report.removed.map(entry => entry.path), [ markedFile ]);
+            assert.equal(report.bytesFreed, 0);
+            assert.ok(!fs.existsSync(markedFile));
+            assert.ok(fs.existsSync(fakeMarked));
+            return assert.rejects(temppath.prune({ dryRun: 'yes' }), TypeError);
+        })
+        .then(() => fs.rmSync(pruneDir, { recursive: true }));
+})().then(() => console.info('Test `prune` passed.\n'));
+
+/*------------------
+ * Test sessions
+ -------------------*/
+
+{
+    const sessionDir = path.join(rootDirTmp, 'session-sync');
+    const session = temppath.createSession({ tmpdir: sessionDir, prefix: 'job-' });
+    assert.equal(path.dirname(session.manifest), sessionDir);
+    assert.deepEqual(JSON.parse(fs.readFileSync(session.manifest, 'utf8')).paths, []);
+
+    const dir = session.dirSync();
+    const file = session.fileSync({ data: 'foobar', ext: 'log' });
+    assert.ok(path.basename(dir).startsWith('job-'));
+    assert.ok(file.endsWith('.log'));
+    assert.deepEqual(session.list().map(entry => entry.type), [ 'directory', 'file' ]);
+    assert.equal(session.sizeSync(), 6);
+
+    // Load the session as another process would do
+    const manifest = JSON.parse(fs.readFileSync(session.manifest, 'utf8'));
+    assert.deepEqual(manifest, session.toJSON());
+    const loaded = temppath.loadSession(session.manifest);
+    assert.equal(loaded.id, session.id);
+    assert.deepEqual(loaded.list().map(entry => entry.path), [ dir, file ]);
+    loaded.disposeSync();
+    assert.ok(!fs.existsSync(dir) && !fs.existsSync(file) && !fs.existsSync(session.manifest));
+
+    // The disposed session cannot create paths anymore
+    assert.throws(() => loaded.dirSync(), { message: /disposed/ });
+
+    const invalidManifest = path.join(sessionDir, 'invalid.json');
+    fs.writeFileSync(invalidManifest, JSON.stringify({ version: 1, paths: [ 'foo' ] }));
+    assert.throws(() => temppath.loadSession(invalidManifest), { message: /Invalid session manifest/ });
+    assert.throws(() => temppath.loadSession(path.join(sessionDir, 'none.json')),
+        { message: /Failed to load session manifest/ });
+    assert.throws(() => temppath.loadSession(1), TypeError);
+    assert.throws(() => temppath.createSession({ manifest: 1 }), TypeError);
+    fs.rmSync(sessionDir, { recursive: true });
+}
+
+console.info('Test synchronous sessions passed.\n');
+
+/**
+ * Stores all promise-based tests of sessions.
+ */
+const sessionTests = (function () {
+    const sessionDir = path.join(rootDirTmp, 'session-async');
+    const manifestPath = path.join(sessionDir, 'manifest.json');
+    const session = temppath.createSession({ tmpdir: sessionDir, manifest: manifestPath });
+    assert.equal(session.manifest, manifestPath);
+    // Concurrent creations are all recorded
+    return Promise.all([
+        session.dir(),
+        session.file({ data: 'foo' }),
+        session.dir({ tmpdir: path.join(sessionDir, 'nested') })
+    ]).then(function (paths) {
+        assert.deepEqual(session.list().map(entry => entry.path).sort(), paths.sort());
+        assert.equal(JSON.parse(fs.readFileSync(manifestPath, 'utf8')).paths.length, 3);
+        return session.size();
+    }).then(function (size) {
+        assert.equal(size, 3);
+        // Synchronous creations during the asynchronous ones keep the manifest loadable and complete,
+        // each round creates a path synchronously a few turns after an asynchronous one
+        function round(turns) {
+            if (turns > 8) return Promise.resolve();
+            return Promise.all([
+                session.file(),
+                new Promise(function (resolve) {
+                    let left = turns;
+                    (function next() {
+                        if (left-- === 0) resolve(session.dirSync());
+                        else setImmediate(next);
+                    })();
+                })
+            ]).then(function () {
+                assert.deepEqual(temppath.loadSession(manifestPath).list(), session.list());
+                return round(turns + 1);
+            });
+        }
+        return round(0);
+    }).then(function () {
+        assert.equal(session.list().length, 21);
+        assert.deepEqual(temppath.loadSession(manifestPath).list(), session.list());
+        assert.deepEqual(fs.readdirSync(sessionDir).filter(name => name.endsWith('.json')), [ 'manifest.json' ]);
+        return session[Symbol.asyncDispose || Symbol.for('nodejs.asyncDispose')]();
+    }).then(function () {
+        assert.deepEqual(session.list(), []);
+        assert.deepEqual(fs.readdirSync(sessionDir), [ 'nested' ]);
+        return assert.rejects(session.file(), { message: /disposed/ });
+    }).then(() => fs.rmSync(sessionDir, { recursive: true }));
+})().then(() => console.info('Test asynchronous sessions passed.\n'));
+
+/*------------------------
+ * Test atomic writes
+ -------------------------*/
+
+{
+    const atomicDir = path.join(rootDirTmp, 'atomic-sync');
+    fs.mkdirSync(atomicDir, { recursive: true });
+    const target = path.join(atomicDir, 'config.json');
+
+    temppath.writeFileAtomicSync(target, '{}');
+    assert.equal(fs.readFileSync(target, 'utf8'), '{}');
+    if (process.platform !== 'win32') {
+        // The mode of existing target is preserved
+        fs.chmodSync(target, 0o640);
+        temppath.writeFileAtomicSync(target, Buffer.from('{"foo":1}'), { fsync: false });
+        assert.equal(fs.statSync(target).mode & 0o777, 0o640);
+
+        // The file pointed by a symlink is replaced, not the symlink itself
+        const link = path.join(atomicDir, 'link.json');
+        fs.symlinkSync(target, link);
+        temppath.writeFileAtomicSync(link, 'bar');
+        assert.ok(fs.lstatSync(link).isSymbolicLink());
+        assert.equal(fs.readFileSync(target, 'utf8'), 'bar');
+        fs.unlinkSync(link);
+    }
+
+    // The temporary file is removed on failure
+    const dirTarget = path.join(atomicDir, 'dir');
+    fs.mkdirSync(dirTarget);
+    assert.throws(() => temppath.writeFileAtomicSync(dirTarget, 'foo'),
+        { message: 'temppath: Failed to write file atomically.' });
+    assert.deepEqual(fs.readdirSync(atomicDir).sort(), [ 'config.json', 'dir' ]);
+
+    assert.throws(() => temppath.writeFileAtomicSync(target, 1), TypeError);
+    assert.throws(() => temppath.writeFileAtomicSync(target), TypeError);
+    assert.throws(() => temppath.writeFileAtomicSync(target, 'foo', { fsync: 'yes' }), TypeError);
+    fs.rmSync(atomicDir, { recursive: true });
+}
+
+console.info('Test `writeFileAtomicSync` passed.\n');
+
+/**
+ * Stores all promise-based tests of `writeFileAtomic` function.
+ */
+const writeFileAtomicTests = (function () {
+    const atomicDir = path.join(rootDirTmp, 'atomic-async');
+    fs.mkdirSync(atomicDir, { recursive: true });
+    const target = path.join(atomicDir, 'artifact.txt');
+    const order = [];
+
+    // Concurrent writes to the same target are serialised in order
+    return Promise.all([ 'foo', 'bar', Readable.from([ 'baz' ]) ].map(function (data, i) {
+        return temppath.writeFileAtomic(target, data).then(function () {
+            order.push(i);
+            assert.equal(fs.readFileSync(target, 'utf8'), [ 'foo', 'bar', 'baz' ][i]);
+        });
+    })).then(function () {
+        assert.deepEqual(order, [ 0, 1, 2 ]);
+        assert.deepEqual(fs.readdirSync(atomicDir), [ 'artifact.txt' ]);
+        return assert.rejects(temppath.writeFileAtomic(atomicDir, 'foo'),
+            { message: 'temppath: Failed to write file atomically.' });
+    }).then(function () {
+        assert.deepEqual(fs.readdirSync(atomicDir), [ 'artifact.txt' ]);
+        return assert.rejects(temppath.writeFileAtomic(target, null), TypeError);
+    }).then(function () {
+        if (process.platform === 'win32') return;
+        // Writes through a symlink are serialised with the writes to the target itself
+        const link = path.join(atomicDir, 'link.txt');
+        fs.symlinkSync(target, link);
+        const linkOrder = [];
+        return Promise.all([ link, target, link ].map(function (file, i) {
+            return temppath.writeFileAtomic(file, `qux${i}`).then(function () {
+                linkOrder.push(i);
+                assert.equal(fs.readFileSync(target, 'utf8'), `qux${i}`);
+            });
+        })).then(function () {
+            assert.deepEqual(linkOrder, [ 0, 1, 2 ]);
+            assert.ok(fs.lstatSync(link).isSymbolicLink());
+        });
+    }).then(() => fs.rmSync(atomicDir, { recursive: true }));
+})().then(() => console.info('Test `writeFileAtomic` passed.\n'));
+
+/*----------------------------
+ * Test spill-to-disk streams
+ -----------------------------*/
+
+/**
+ * Reads the given readable stream into a string.
+ */
+function readAll(readable) {
+    return new Promise(function (resolve, reject) {
+        let data = '';
+        readable.on('data', chunk => (data += chunk));
+        readable.on('end', () => resolve(data));
+        readable.on('error', reject);
+    });
+}
+
+/**
+ * Stores all promise-based tests of `createTempWriteStream` function.
+ */
+const createTempWriteStreamTests = Promise.all([
+    (function () {
+        // Keep small data in memory
+        const stream = temppath.createTempWriteStream({ tmpdir: rootDirTmp });
+        assert.throws(() => stream.createReadStream(), { message: /not finished/ });
+        stream.end('foo');
+        return new Promise(resolve => stream.on('finish', resolve)).then(function () {
+            assert.equal(stream.spilled, false);
+            assert.equal(stream.path, null);
+            assert.equal(stream.size, 3);
+            return readAll(stream.createReadStream());
+        }).then(function (data) {
+            assert.equal(data, 'foo');
+            stream.destroy();
+        });
+    })(),
+    (function () {
+        // Spill to the temporary file after the threshold
+        const stream = temppath.createTempWriteStream({ tmpdir: rootDirTmp, threshold: 4, ext: 'bin' });
+        stream.write('foo');
+        assert.equal(stream.spilled, false);
+        stream.write(Buffer.from('bar'));
+        stream.end('baz');
+        return new Promise(resolve => stream.on('finish', resolve)).then(function () {
+            assert.ok(stream.spilled);
+            assert.equal(path.dirname(stream.path), rootDirTmp);
+            assert.ok(stream.path.endsWith('.bin'));
+            assert.equal(stream.size, 9);
+            assert.equal(fs.readFileSync(stream.path, 'utf8'), 'foobarbaz');
+            return readAll(stream.createReadStream());
+        }).then(function (data) {
+            assert.equal(data, 'foobarbaz');
+            return stream[Symbol.asyncDispose || Symbol.for('nodejs.asyncDispose')]();
+        }).then(function () {
+            assert.ok(stream.destroyed);
+            assert.ok(!fs.existsSync(stream.path));
+            assert.throws(() => stream.createReadStream(), { message: /destroyed/ });
+        });
+    })(),
+    (function () {
+        // Remove the temporary file when destroyed before finishing
+        const stream = temppath.createTempWriteStream({ tmpdir: rootDirTmp, threshold: 0 });
+        stream.on('error', () => {});
+        stream.write('foo', function () {
+            assert.ok(fs.existsSync(stream.path));
+            stream.destroy(new Error('foo'));
+        });
+        return new Promise(resolve => stream.on('close', resolve))
+            .then(() => assert.ok(!fs.existsSync(stream.path)));
+    })(),
+    (function () {
+        // The spilled file never expires while the stream is in use
+        const stream = temppath.createTempWriteStream({ tmpdir: rootDirTmp, threshold: 0, ttl: 1 });
+        return new Promise(resolve => stream.write('foo', resolve)).then(function () {
+            assert.ok(temppath.getExpirations().every(entry => entry.path !== stream.path));
+            stream.destroy();
+            return new Promise(resolve => stream.on('close', resolve));
+        }).then(() => assert.ok(!fs.existsSync(stream.path)));
+    })()
+]).then(function () {
+    assert.throws(() => temppath.createTempWriteStream({ threshold: -1 }), RangeError);
+    assert.throws(() => temppath.createTempWriteStream({ threshold: '1' }), TypeError);
+    console.info('Test `createTempWriteStream` passed.\n');
+});
+
+/*------------------------
+ * Test socket paths
+ -------------------------*/
+
+{
+    const socketPath = temppath.getTempSocketPath({ prefix: 'test-' });
+    if (process.platform === 'win32') {
+        assert.ok(socketPath.startsWith('\\\\.\\pipe\\test-'));
+    } else {
+        assert.equal(path.dirname(socketPath), systemRootDirTmp);
+        assert.ok(path.basename(socketPath).startsWith('test-'));
+        assert.ok(socketPath.endsWith('.sock'));
+
+        // Shorten the random part to fit the limit
+        const longDir = path.join(rootDirTmp, 'socket-'.padEnd(100 - rootDirTmp.length - 20, 'x'));
+        const shortened = temppath.getTempSocketPath({ tmpdir: longDir });
+        assert.equal(path.dirname(shortened), longDir);
+        assert.ok(Buffer.byteLength(shortened) <= 103);
+        assert.ok(fs.statSync(longDir).isDirectory());
+        assert.throws(() => temppath.getTempSocketPath({ tmpdir: longDir, prefix: 'x'.repeat(20) }),
+            RangeError);
+
+        // Fallback to a shorter root if the temporary root is too long
+        temppath.configureTempRoot({ resolvers: [ path.join(longDir, 'x'.repeat(20)) ] });
+        assert.ok(!temppath.getTempSocketPath().startsWith(longDir));
+        temppath.configureTempRoot();
+        fs.rmSync(longDir, { recursive: true });
+    }
+    assert.throws(() => temppath.getTempSocketPath({ template: 'XXXXXX' }), TypeError);
+    assert.throws(() => temppath.getTempSocketPath({ server: {} }), TypeError);
+}
+
+console.info('Test synchronous `getTempSocketPath` passed.\n');
+
+/**
+ * Stores all promise-based tests of `getTempSocketPath` function.
+ */
+const getTempSocketPathTests = new Promise(function (resolve, reject) {
+    const server = require('node:net').createServer();
+    const socketPath = temppath.getTempSocketPath({ tmpdir: rootDirTmp, server });
+    server.on('error', reject);
+    server.listen(socketPath, function () {
+        if (process.platform !== 'win32') assert.ok(fs.existsSync(socketPath));
+        server.close(function () {
+            assert.ok(process.platform === 'win32' || !fs.existsSync(socketPath));
+            resolve();
+        });
+    });
+}).then(function () {
+    // The socket file left by a server is removed asynchronously on close,
+    // observe the removal instead of waiting for a fixed time
+    const server = require('node:net').createServer();
+    const socketPath = temppath.getTempSocketPath({ tmpdir: rootDirTmp, server });
+    fs.writeFileSync(socketPath, '');
+    return new Promise(function (resolve) {
+        const subscriber = function (message) {
+            if (message.path !== socketPath) return;
+            diagnosticsChannel.unsubscribe(temppath.channels.remove, subscriber);
+            resolve();
+        };
+        diagnosticsChannel.subscribe(temppath.channels.remove, subscriber);
+        server.emit('close');
+    }).then(() => assert.ok(!fs.existsSync(socketPath)));
+}).then(() => console.info('Test asynchronous `getTempSocketPath` passed.\n'));
+
+/*------------------------
+ * Test error classes
+ -------------------------*/
+
+{
+    const { TempPathError, TempPathTypeError, TempPathRangeError } = temppath;
+
+    // Validation errors keep their built-in base classes
+    assert.throws(() => temppath.createTempPathSync({ retries: -1 }), function (err) {
+        assert.ok(err instanceof TempPathRangeError);
+        assert.ok(err instanceof RangeError);
+        assert.ok(err instanceof TempPathError);
+        assert.equal(err.code, 'ERR_TEMPPATH_INVALID_OPTION');
+        return true;
+    });
+    assert.throws(() => temppath.getTempPath(1), function (err) {
+        assert.ok(err instanceof TempPathTypeError);
+        assert.ok(err instanceof TempPathError);
+        assert.equal(err.code, 'ERR_TEMPPATH_INVALID_ARG');
+        return true;
+    });
+    assert.throws(() => temppath.getTempPath({ prefix: 'foo/' }),
+        err => err.code === 'ERR_TEMPPATH_INVALID_NAME');
+    assert.ok(!(new TypeError('foo') instanceof TempPathError));
+
+    // The file system errors are wrapped, with the attempted path and the original cause
+    if (process.platform !== 'win32') {
+        const file = path.join(rootDirTmp, 'not-a-dir');
+        fs.writeFileSync(file, '');
+        assert.throws(() => temppath.createTempPathSync(path.join(file, 'sub')), function (err) {
+            assert.ok(err instanceof TempPathError);
+            assert.equal(err.code, 'ERR_TEMPPATH_CREATE_FAILED');
+            assert.equal(err.operation, 'create');
+            assert.ok(err.path.startsWith(file));
+            assert.equal(err.cause.code, 'ENOTDIR');
+            return true;
+        });
+        fs.rmSync(file);
+    }
+
+    assert.throws(() => temppath.loadSession(path.join(rootDirTmp, 'no-such-manifest.json')),
+        function (err) {
+            assert.equal(err.code, 'ERR_TEMPPATH_READ_FAILED');
+            assert.equal(err.operation, 'load-session');
+            assert.equal(err.cause.code, 'ENOENT');
+            return true;
+        });
+
+    // The root error is reported with a stable code
+    temppath.configureTempRoot({ resolvers: [ () => undefined ] });
+    assert.throws(() => temppath.getTempRoot(), function (err) {
+        assert.equal(err.code, 'ERR_TEMPPATH_ROOT_UNWRITABLE');
+        assert.equal(err.operation, 'resolve-root');
+        return true;
+    });
+    temppath.configureTempRoot();
+
+    const err = new TempPathError('foo', { path: '/foo', operation: 'create' });
+    assert.equal(err.name, 'TempPathError');
+    assert.equal(err.code, 'ERR_TEMPPATH_OPERATION_FAILED');
+    assert.equal(err.path, '/foo');
+}
+
+console.info('Test error classes passed.\n');
+
+/**
+ * Stores all promise-based tests of error classes.
+ */
+const errorTests = Promise.all([
+    // The promise APIs reject with the same errors
+    assert.rejects(temppath.createTempPathAsync({ retries: -1 }), function (err) {
+        assert.ok(err instanceof temppath.TempPathRangeError);
+        assert.equal(err.code, 'ERR_TEMPPATH_INVALID_OPTION');
+        return true;
+    }),
+    new Promise(function (resolve) {
+        const generator = () => 'error-collision';
+        const existingDir = temppath.createTempPathSync(rootDirTmp, { generator });
+        temppath.createTempPath(rootDirTmp, { generator, retries: 0 }, function (err) {
+            assert.ok(err instanceof temppath.TempPathCollisionError);
+            assert.ok(err instanceof temppath.TempPathError);
+            assert.equal(err.code, 'ERR_TEMPPATH_COLLISION');
+            assert.equal(err.path, existingDir);
+            assert.equal(err.cause.code, 'EEXIST');
+            fs.rmdirSync(existingDir);
+            resolve();
+        });
+    })
+]).then(() => console.info('Test asynchronous error classes passed.\n'));
+
+/*------------------------
+ * Test free space preflight
+ -------------------------*/
+
+{
+    const hasStatfs = typeof fs.statfsSync === 'function';
+    if (hasStatfs) {
+        const handle = temppath.createTempHandleSync(rootDirTmp, { minFreeBytes: 1 });
+        assert.equal(handle.root, rootDirTmp);
+        assert.equal(path.dirname(handle.path), rootDirTmp);
+        assert.ok(handle.freeBytes > 0);
+        handle.removeSync();
+    } else {
+        // The free space cannot be checked by the runtime
+        assert.throws(() => temppath.createTempHandleSync(rootDirTmp, { minFreeBytes: 1 }),
+            { code: 'ERR_TEMPPATH_UNSUPPORTED' });
+    }
+
+    // Not checked unless requested
+    const unchecked = temppath.createTempHandleSync(rootDirTmp);
+    assert.equal(unchecked.root, rootDirTmp);
+    assert.equal(unchecked.freeBytes, null);
+    unchecked.removeSync();
+
+    if (hasStatfs) {
+        // Fall through to the alternate roots if the root cannot be checked
+        const file = path.join(rootDirTmp, 'not-a-root');
+        const fallbackRoot = path.join(rootDirTmp, 'fallback-root');
+        fs.writeFileSync(file, '');
+        const fallback = temppath.createTempHandleSync(path.join(file, 'sub'),
+            { minFreeBytes: 0, fallbackRoots: [ fallbackRoot ] });
+        assert.equal(fallback.root, fallbackRoot);
+        assert.equal(path.dirname(fallback.path), fallbackRoot);
+        fs.rmSync(fallbackRoot, { recursive: true });
+        fs.rmSync(file);
+
+        assert.throws(() => temppath.createTempPathSync(rootDirTmp, {
+            minFreeBytes: Number.MAX_SAFE_INTEGER,
+            fallbackRoots: [ systemRootDirTmp ]
+        }), function (err) {
+            assert.equal(err.code, 'ERR_TEMPPATH_NO_SPACE');
+            assert.equal(err.path, rootDirTmp);
+            assert.ok(err.message.includes(systemRootDirTmp));
+            return true;
+        });
+    }
+
+    assert.throws(() => temppath.createTempPathSync({ minFreeBytes: '1' }), TypeError);
+    assert.throws(() => temppath.createTempPathSync({ minFreeBytes: -1 }), RangeError);
+    assert.throws(() => temppath.createTempPathSync({ fallbackRoots: '/tmp' }), TypeError);
+    assert.throws(() => temppath.createTempPathSync({ fallbackRoots: [ '' ] }), TypeError);
+}
+
+console.info('Test synchronous free space preflight passed.\n');
+
+/**
+ * Stores all promise-based tests of free space preflight.
+ */
+const freeSpaceTests = Promise.all([
+    (function () {
+        if (typeof fs.promises.statfs !== 'function') {
+            return assert.rejects(temppath.createTempHandleAsync(rootDirTmp, { minFreeBytes: 1 }),
+                { code: 'ERR_TEMPPATH_UNSUPPORTED' });
+        }
+        return temppath.createTempHandleAsync(rootDirTmp, { asFile: true, minFreeBytes: 1 }).then(function (handle) {
+            assert.equal(handle.root, rootDirTmp);
+            assert.ok(fs.statSync(handle.path).isFile());
+            assert.ok(handle.freeBytes > 0);
+            return handle.remove();
+        });
+    })(),
+    (function () {
+        if (typeof fs.promises.statfs !== 'function') return;
+        return assert.rejects(temppath.createTempPathAsync(rootDirTmp, {
+            minFreeBytes: Number.MAX_SAFE_INTEGER,
+            fallbackRoots: [ path.join(rootDirTmp, 'no-such-root', 'x') ]
+        }), err => err.code === 'ERR_TEMPPATH_NO_SPACE');
+    })()
+]).then(() => console.info('Test asynchronous free space preflight passed.\n'));
+
+/*------------------------
+ * Test clones
+ -------------------------*/
+
+const cloneSource = temppath.createTempTreeSync({
+    'a.txt': 'a',
+    sub: { 'b.txt': 'b' },
+    ...(process.platform !== 'win32' && {
+        'rel-link': temppath.symlink('a.txt'),
+        'out-link': temppath.symlink(path.join('..', 'outside'))
+    })
+}, { tmpdir: rootDirTmp });
+
+{
+    const clone = temppath.cloneToTempSync(cloneSource.root, { tmpdir: rootDirTmp });
+    assert.notEqual(clone.root, cloneSource.root);
+    assert.equal(fs.readFileSync(clone.resolve('sub', 'b.txt'), 'utf8'), 'b');
+    fs.writeFileSync(clone.resolve('a.txt'), 'changed');
+    assert.equal(fs.readFileSync(cloneSource.resolve('a.txt'), 'utf8'), 'a');
+
+    if (process.platform !== 'win32') {
+        // Relative symlinks within the source are kept, the ones escaping it are made absolute
+        assert.equal(fs.readlinkSync(clone.resolve('rel-link')), 'a.txt');
+        assert.equal(fs.readlinkSync(clone.resolve('out-link')), path.join(rootDirTmp, 'outside'));
+
+        const preserved = temppath.cloneToTempSync(cloneSource.root,
+            { tmpdir: rootDirTmp, symlinks: 'preserve' });
+        assert.equal(fs.readlinkSync(preserved.resolve('out-link')), path.join('..', 'outside'));
+        preserved.removeSync();
+
+        const skipped = temppath.cloneToTempSync(cloneSource.root,
+            { tmpdir: rootDirTmp, symlinks: 'skip' });
+        assert.deepEqual(fs.readdirSync(skipped.root).sort(), [ 'a.txt', 'sub' ]);
+        skipped.removeSync();
+
+        // Dangling symlinks cannot be dereferenced, nothing is left behind
+        const failingDir = path.join(rootDirTmp, 'failing-clone');
+        assert.throws(() => temppath.cloneToTempSync(cloneSource.root,
+            { tmpdir: failingDir, dereference: true }), function (err) {
+            assert.equal(err.operation, 'clone');
+            assert.equal(err.cause.code, 'ENOENT');
+            return true;
+        });
+        assert.deepEqual(fs.readdirSync(failingDir), []);
+        fs.rmdirSync(failingDir);
+
+        // Directories keep their modes, but always writable by the owner
+        fs.chmodSync(cloneSource.resolve('sub'), 0o550);
+        const moded = temppath.cloneToTempSync(cloneSource.root, { tmpdir: rootDirTmp });
+        fs.chmodSync(cloneSource.resolve('sub'), 0o755);
+        assert.equal(fs.statSync(moded.resolve('sub')).mode & 0o777, 0o750);
+        moded.removeSync();
+        assert.ok(!fs.existsSync(moded.root));
+    }
+    clone.removeSync();
+
+    // Clone a single file, skipping the filtered entries
+    const file = temppath.cloneToTempSync(cloneSource.resolve('a.txt'), { tmpdir: rootDirTmp });
+    assert.deepEqual(fs.readdirSync(file.root), [ 'a.txt' ]);
+    file.removeSync();
+    const filtered = temppath.cloneToTempSync(cloneSource.root,
+        { tmpdir: rootDirTmp, filter: src => path.basename(src) !== 'sub' });
+    assert.ok(!fs.existsSync(filtered.resolve('sub')));
+    filtered.removeSync();
+
+    assert.throws(() => temppath.cloneToTempSync(path.join(rootDirTmp, 'no-such-source')),
+        err => err.code === 'ERR_TEMPPATH_READ_FAILED');
+    assert.throws(() => temppath.cloneToTempSync(''), TypeError);
+    assert.throws(() => temppath.cloneToTempSync(cloneSource.root, { filter: true }), TypeError);
+    assert.throws(() => temppath.cloneToTempSync(cloneSource.root, { symlinks: 'follow' }), TypeError);
+}
+
+console.info('Test `cloneToTempSync` passed.\n');
+
+/**
+ * Stores all promise-based tests of `cloneToTemp` function.
+ */
+const cloneToTempTests = Promise.all([
+    temppath.cloneToTemp(cloneSource.root, {
+        tmpdir: rootDirTmp,
+        filter: src => Promise.resolve(path.basename(src) !== 'a.txt')
+    }).then(function (clone) {
+        assert.equal(fs.readFileSync(clone.resolve('sub', 'b.txt'), 'utf8'), 'b');
+        assert.ok(!fs.existsSync(clone.resolve('a.txt')));
+        return clone.remove();
+    }),
+    assert.rejects(temppath.cloneToTemp(path.join(rootDirTmp, 'no-such-source')),
+        err => err.code === 'ERR_TEMPPATH_READ_FAILED'),
+    assert.rejects(temppath.cloneToTemp(cloneSource.root, { dereference: 'yes' }), TypeError),
+    (function () {
+        if (process.platform === 'win32') return;
+        // Dangling symlinks cannot be dereferenced, nothing is left behind
+        const failingDir = path.join(rootDirTmp, 'failing-clone-async');
+        return assert.rejects(temppath.cloneToTemp(cloneSource.root,
+            { tmpdir: failingDir, dereference: true }), function (err) {
+            assert.equal(err.operation, 'clone');
+            assert.equal(err.cause.code, 'ENOENT');
+            assert.deepEqual(fs.readdirSync(failingDir), []);
+            fs.rmdirSync(failingDir);
+            return true;
+        });
+    })()
+]).then(function () {
+    cloneSource.removeSync();
+    console.info('Test `cloneToTemp` passed.\n');
+});
+
+/*------------------------
+ * Test retention policy
+ -------------------------*/
+
+{
+    /**
+     * Runs the given script in a child process like `runChild`, with the given environment
+     * variables, and returns the paths reported as retained.
+     */
+    function runRetention(script, env) {
+        const result = childProcess.spawnSync(process.execPath, [
+            '-e', `const temppath = require(${JSON.stringify(rootDir)});\n${script}`
+        ], { encoding: 'utf8', env: { ...process.env, TEMPPATH_KEEP: '', ...env } });
+        result.retained = result.stderr.split('\n')
+            .filter(line => line.startsWith('  '))
+            .map(line => line.trim());
+        return result;
+    }
+
+    const tmpdir = JSON.stringify(rootDirTmp);
+    const failingScript = `
+        try {
+            temppath.withTempDirSync(dir => { throw new Error('foo'); }, { tmpdir: ${tmpdir} });
+        } catch (_err) {}
+        temppath.withTempFileSync(file => {}, { tmpdir: ${tmpdir} });
+    `;
+
+    // Removed by default
+    let result = runRetention(failingScript);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stderr, '');
+
+    // Retained on failure only, by the environment variable
+    result = runRetention(failingScript, { TEMPPATH_KEEP: 'on-failure' });
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.retained.length, 1);
+    assert.ok(fs.statSync(result.retained[0]).isDirectory());
+    fs.rmdirSync(result.retained[0]);
+
+    // The option takes precedence over the environment variable
+    result = runRetention(failingScript.replace(/tmpdir: /g, 'keep: \'always\', tmpdir: '),
+        { TEMPPATH_KEEP: 'never' });
+    assert.equal(result.retained.length, 2);
+    result.retained.forEach(retainedPath => fs.rmSync(retainedPath, { recursive: true }));
+
+    // Tracked paths are retained on exit if the process fails, and archived
+    const archive = path.join(rootDirTmp, 'retained', 'archive.tar');
+    result = runRetention(`
+        const dir = temppath.createTempPathSync(${tmpdir}, { autoCleanup: true });
+        require('node:fs').writeFileSync(require('node:path').join(dir, 'foo.txt'), 'foo');
+        if (process.platform !== 'win32') {
+            require('node:fs').symlinkSync('foo.txt', require('node:path').join(dir, 'bar.txt'));
+        }
+        temppath.createTempPathSync(${tmpdir}, { autoCleanup: true, keep: 'never' });
+        process.exitCode = 3;
+    `, { TEMPPATH_KEEP: 'on-failure', TEMPPATH_KEEP_ARCHIVE: archive });
+    assert.equal(result.status, 3);
+    assert.equal(result.retained.length, 1);
+    assert.ok(result.stderr.includes(`Archived the retained paths to ${archive}`));
+    const tar = fs.readFileSync(archive);
+    const name = path.basename(result.retained[0]);
+    assert.equal(tar.toString('utf8', 0, name.length + 1), `${name}/`);
+    assert.ok(tar.includes(`${name}/foo.txt`));
+    // Only the regular files and directories are archived
+    assert.ok(!tar.includes(`${name}/bar.txt`));
+    assert.equal(tar.length, 512 * 5);
+    fs.rmSync(result.retained[0], { recursive: true });
+    fs.rmSync(path.dirname(archive), { recursive: true });
+
+    // Files larger than the archive chunks are streamed, and compressed with gzip
+    const gzipArchive = path.join(rootDirTmp, 'retained', 'archive.tgz');
+    result = runRetention(`
+        const file = temppath.createTempPathSync(${tmpdir}, { asFile: true, autoCleanup: true });
+        require('node:fs').writeFileSync(file, Buffer.alloc(3 * 1024 * 1024 + 1, 'a'));
+        process.exitCode = 1;
+    `, { TEMPPATH_KEEP: 'on-failure', TEMPPATH_KEEP_ARCHIVE: gzipArchive });
+    assert.equal(result.status, 1);
+    assert.equal(result.retained.length, 1);
+    const gzipTar = zlib.gunzipSync(fs.readFileSync(gzipArchive));
+    assert.equal(gzipTar.length, 512 + (3 * 1024 * 1024 + 512) + 1024);
+    assert.equal(parseInt(gzipTar.toString('utf8', 124, 135), 8), 3 * 1024 * 1024 + 1);
+    assert.ok(gzipTar.subarray(512, 512 + 3 * 1024 * 1024 + 1).every(byte => byte === 0x61));
+    fs.rmSync(result.retained[0]);
+    fs.rmSync(path.dirname(gzipArchive), { recursive: true });
+
+    // The names too long for the ustar format fail the archive, the paths are still listed
+    result = runRetention(`
+        const dir = temppath.createTempPathSync(${tmpdir}, { autoCleanup: true });
+        require('node:fs').writeFileSync(require('node:path').join(dir, 'x'.repeat(100)), '');
+        process.exitCode = 1;
+    `, { TEMPPATH_KEEP: 'on-failure', TEMPPATH_KEEP_ARCHIVE: archive });
+    assert.equal(result.retained.length, 1);
+    assert.ok(result.stderr.includes('Failed to archive the retained paths'));
+    fs.rmSync(result.retained[0], { recursive: true });
+    fs.rmSync(path.dirname(archive), { recursive: true });
+
+    result = runRetention(`
+        temppath.createTempPathSync(${tmpdir}, { autoCleanup: true });
+    `, { TEMPPATH_KEEP: 'on-failure' });
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stderr, '');
+
+    // Always retained paths are not removed by `cleanupAllSync`
+    const kept = temppath.createTempPathSync(rootDirTmp, { autoCleanup: true, keep: 'always' });
+    const removed = temppath.createTempPathSync(rootDirTmp, { autoCleanup: true, keep: 'never' });
+    temppath.cleanupAllSync();
+    assert.ok(fs.existsSync(kept));
+    assert.ok(!fs.existsSync(removed));
+    fs.rmdirSync(kept);
+
+    // Handles are released according to their retention policy
+    let handle = temppath.createTempHandleSync(rootDirTmp, { keep: 'on-failure' });
+    handle.releaseSync(true);
+    assert.ok(fs.existsSync(handle.path));
+    fs.rmdirSync(handle.path);
+    handle = temppath.createTempHandleSync(rootDirTmp, { keep: 'on-failure' });
+    handle.releaseSync();
+    assert.ok(!fs.existsSync(handle.path));
+
+    assert.throws(() => temppath.createTempPathSync({ keep: 'sometimes' }), TypeError);
+}
+
+console.info('Test synchronous retention policy passed.\n');
+
+/**
+ * Stores all promise-based tests of retention policy.
+ */
+const retentionTests = (function () {
+    let retainedDir;
+    return assert.rejects(temppath.withTempDir(function (dir) {
+        retainedDir = dir;
+        return Promise.reject(new Error('foo'));
+    }, { tmpdir: rootDirTmp, keep: 'on-failure' }), /foo/).then(function () {
+        assert.ok(fs.statSync(retainedDir).isDirectory());
+        fs.rmdirSync(retainedDir);
+        return temppath.withTempFile(function (file) {
+            retainedDir = file;
+        }, { tmpdir: rootDirTmp, keep: 'on-failure' });
+    }).then(function () {
+        assert.ok(!fs.existsSync(retainedDir));
+        return temppath.createTempHandleAsync(rootDirTmp, { asFile: true, keep: 'always' });
+    }).then(function (handle) {
+        return handle.release().then(function () {
+            assert.ok(fs.statSync(handle.path).isFile());
+            fs.unlinkSync(handle.path);
+        });
+    }).then(function () {
+        console.info('Test asynchronous retention policy passed.\n');
+    });
+})();
+
+/*----------------------
+ * Test test fixtures
+ ----------------------*/
+
+const testing = require('@mitsuki31/temppath/test');
+
+{
+    assert.strictEqual(testing, require('../testing.js'));
+    // The deep imports from before the exports map are still resolved
+    assert.strictEqual(require('@mitsuki31/temppath/index.js'), temppath);
+    assert.equal(typeof testing.tempDir, 'function');
+    assert.equal(typeof testing.tempFile, 'function');
+    assert.equal(typeof testing.tempDirHooks, 'function');
+    assert.equal(typeof testing.tempFileHooks, 'function');
+
+    // A minimal test context, running the `after` hooks on demand
+    function createContext() {
+        const hooks = [];
+        return {
+            passed: true,
+            after(fn) { hooks.push(fn); },
+            finish() { hooks.splice(0).forEach(fn => fn()); }
+        };
+    }
+
+    let t = createContext();
+    const dir = testing.tempDir(t, { tmpdir: rootDirTmp });
+    const file = testing.tempFile(t, { tmpdir: rootDirTmp, ext: 'json', data: '{}' });
+    assert.ok(fs.statSync(dir).isDirectory());
+    assert.equal(path.extname(file), '.json');
+    assert.equal(fs.readFileSync(file, 'utf8'), '{}');
+    fs.writeFileSync(path.join(dir, 'foo.txt'), 'foo');
+    t.finish();
+    assert.ok(!fs.existsSync(dir));
+    assert.ok(!fs.existsSync(file));
+
+    // Retained if the test has failed
+    t = createContext();
+    const failedDir = testing.tempDir(t, { tmpdir: rootDirTmp, keep: 'on-failure' });
+    t.passed = false;
+    t.finish();
+    assert.ok(fs.existsSync(failedDir));
+    fs.rmdirSync(failedDir);
+
+    assert.throws(() => testing.tempDir(), { code: 'ERR_TEMPPATH_INVALID_ARG' });
+    assert.throws(() => testing.tempDir({}), TypeError);
+    assert.throws(() => testing.tempFile(createContext(), { data: 1 }), TypeError);
+    assert.throws(() => testing.tempFile(createContext(), { encoding: 'foo' }), TypeError);
+    assert.throws(() => testing.tempDir(createContext(), { tmpdir: 1 }), TypeError);
+
+    // Mocha-style hooks, where the context of `afterEach` has the current test
+    const hooks = testing.tempDirHooks({ tmpdir: rootDirTmp, keep: 'on-failure' });
+    assert.equal(hooks.beforeEach.length, 0);
+    assert.equal(hooks.afterEach.length, 0);
+    assert.throws(() => hooks.path, { code: 'ERR_TEMPPATH_INVALID_STATE' });
+
+    hooks.beforeEach();
+    const firstDir = hooks.path;
+    assert.ok(fs.statSync(firstDir).isDirectory());
+    hooks.afterEach.call({ currentTest: { state: 'passed' } });
+    assert.ok(!fs.existsSync(firstDir));
+    assert.throws(() => hooks.path, { code: 'ERR_TEMPPATH_INVALID_STATE' });
+
+    hooks.beforeEach();
+    const secondDir = hooks.path;
+    assert.notEqual(secondDir, firstDir);
+    hooks.afterEach.call({ currentTest: { state: 'failed' } });
+    assert.ok(fs.existsSync(secondDir));
+    fs.rmdirSync(secondDir);
+
+    // Jest-style hooks, without context
+    const fileHooks = testing.tempFileHooks({ tmpdir: rootDirTmp, data: 'foo' });
+    fileHooks.beforeEach();
+    const hookFile = fileHooks.path;
+    assert.equal(fs.readFileSync(hookFile, 'utf8'), 'foo');
+    fileHooks.afterEach();
+    assert.ok(!fs.existsSync(hookFile));
+
+    // Integration with `node:test`, which reports the test failure since Node.js 20
+    if (Number(process.versions.node.split('.')[0]) >= 20) {
+        const tmpdir = JSON.stringify(rootDirTmp);
+        const child = childProcess.spawnSync(process.execPath, [ '-e', `
+            const test = require('node:test');
+            const { tempDir, tempFile } = require(${JSON.stringify(path.join(rootDir, 'testing.js'))});
+            test('passes', (t) => {
+                console.log('passed:' + tempDir(t, { tmpdir: ${tmpdir}, keep: 'on-failure' }));
+            });
+            test('fails', (t) => {
+                console.log('failed:' + tempFile(t, { tmpdir: ${tmpdir}, keep: 'on-failure' }));
+                throw new Error('foo');
+            });
+        ` ], { encoding: 'utf8', env: { ...process.env, TEMPPATH_KEEP: '' } });
+        const created = Object.fromEntries(child.stdout.split('\n')
+            .filter(line => /^(passed|failed):/.test(line))
+            .map(line => line.split(/:(.*)/s).slice(0, 2)));
+        assert.equal(child.status, 1, child.stderr);
+        assert.ok(!fs.existsSync(created.passed));
+        assert.ok(fs.statSync(created.failed).isFile());
+        assert.ok(child.stderr.includes(`  ${created.failed}`));
+        fs.unlinkSync(created.failed);
+    }
+}
+
+console.info('Test test fixtures passed.\n');
+
+/*-------------------
+ * Test diagnostics
+ -------------------*/
+
+/**
+ * Subscribes to all channels, collecting the messages of the paths within `tmp` directory
+ * until the returned function is called, which returns the messages by event.
+ */
+function collectEvents() {
+    const events = { create: [], remove: [], error: [], prune: [] };
+    const subscribers = Object.keys(events).map(function (event) {
+        const subscriber = function (message) {
+            if (message.path && message.path.startsWith(rootDirTmp)) events[event].push(message);
+        };
+        diagnosticsChannel.subscribe(temppath.channels[event], subscriber);
+        return [ event, subscriber ];
+    });
+    return function () {
+        subscribers.forEach(([ event, subscriber ]) =>
+            diagnosticsChannel.unsubscribe(temppath.channels[event], subscriber));
+        return events;
+    };
+}
+
+{
+    assert.deepStrictEqual({ ...temppath.channels }, {
+        create: 'temppath:create',
+        remove: 'temppath:remove',
+        error: 'temppath:error',
+        prune: 'temppath:prune'
+    });
+    assert.ok(Object.isFrozen(temppath.channels));
+
+    const stop = collectEvents();
+    const handle = temppath.createTempHandleSync(rootDirTmp);
+    fs.writeFileSync(path.join(handle.path, 'foo.txt'), 'foo');
+    handle.removeSync();
+    const file = temppath.createTempFileSync(rootDirTmp, { data: 'foobar' });
+    assert.throws(() => temppath.createTempPathSync(path.join(file, 'sub')),
+        { code: 'ERR_TEMPPATH_CREATE_FAILED' });
+    fs.unlinkSync(file);
+    const events = stop();
+
+    assert.equal(events.create.length, 2);
+    assert.equal(events.create[0].path, handle.path);
+    assert.equal(events.create[0].type, 'directory');
+    assert.equal(events.create[0].root, rootDirTmp);
+    assert.equal(events.create[0].size, 0);
+    assert.ok(events.create[0].duration >= 0);
+    assert.ok(Object.isFrozen(events.create[0]));
+    assert.equal(events.create[1].path, file);
+    assert.equal(events.create[1].type, 'file');
+    assert.equal(events.create[1].size, 6);
+
+    assert.equal(events.remove.length, 1);
+    assert.equal(events.remove[0].path, handle.path);
+    assert.equal(events.remove[0].type, 'directory');
+    assert.equal(events.remove[0].size, 3);
+    assert.ok(events.remove[0].duration >= 0);
+
+    assert.equal(events.error.length, 1);
+    assert.equal(events.error[0].code, 'ERR_TEMPPATH_CREATE_FAILED');
+    assert.equal(events.error[0].operation, 'create');
+    assert.ok(events.error[0].error instanceof temppath.TempPathError);
+
+    // Nothing is published after unsubscribing
+    temppath.createTempHandleSync(rootDirTmp).removeSync();
+    assert.equal(events.create.length, 2);
+
+    // Logged by `NODE_DEBUG=temppath`
+    const child = childProcess.spawnSync(process.execPath, [ '-e', `
+        const temppath = require(${JSON.stringify(rootDir)});
+        temppath.createTempHandleSync(${JSON.stringify(rootDirTmp)}).removeSync();
+    ` ], { encoding: 'utf8', env: { ...process.env, NODE_DEBUG: 'temppath' } });
+    assert.equal(child.status, 0, child.stderr);
+    assert.match(child.stderr, /TEMPPATH \d+: created directory .+ \(0 bytes\) in [\d.]+ms/);
+    assert.match(child.stderr, /TEMPPATH \d+: removed directory .+ \(0 bytes\) in [\d.]+ms/);
+}
+
+console.info('Test synchronous diagnostics passed.\n');
+
+/*-----------------------
+ * Test batch creation
+ -----------------------*/
+
+/**
+ * Returns a name generator that fails on the given call.
+ */
+function failingGenerator(failAt) {
+    let calls = 0;
+    return function (len) {
+        return (++calls === failAt) ? '' : temppath.generators.hex(len);
+    };
+}
+
+{
+    const batchDir = path.join(rootDirTmp, 'batch-sync');
+    const createdPaths = temppath.createTempPathsSync(5, { tmpdir: batchDir, asFile: true });
+    assert.equal(createdPaths.length, 5);
+    assert.equal(new Set(createdPaths).size, 5);
+    createdPaths.forEach(function (createdPath) {
+        assert.equal(path.dirname(createdPath), batchDir);
+        assert.ok(fs.statSync(createdPath).isFile());
+    });
+    assert.deepStrictEqual(temppath.createTempPathsSync(0, { tmpdir: batchDir }), []);
+
+    // Roll back the created paths on failure
+    assert.throws(() => temppath.createTempPathsSync(5, {
+        tmpdir: batchDir,
+        generator: failingGenerator(4)
+    }), RangeError);
+    assert.deepStrictEqual(fs.readdirSync(batchDir).sort(),
+        createdPaths.map(createdPath => path.basename(createdPath)).sort());
+    fs.rmSync(batchDir, { recursive: true });
+
+    assert.throws(() => temppath.createTempPathsSync(), { code: 'ERR_TEMPPATH_INVALID_ARG' });
+    assert.throws(() => temppath.createTempPathsSync(-1), RangeError);
+    assert.throws(() => temppath.createTempPathsSync(1.5), RangeError);
+    assert.throws(() => temppath.createTempPathsSync(1, { concurrency: '2' }), TypeError);
+    assert.throws(() => temppath.createTempPathsSync(1, { concurrency: 0 }), RangeError);
+}
+
+console.info('Test synchronous batch creation passed.\n');
+
+/**
+ * Stores all promise-based tests of batch creation.
+ */
+const batchTests = (function () {
+    const batchDir = path.join(rootDirTmp, 'batch-async');
+
+    // Count the paths being created at once, between their names are generated and
+    // their creation is published
+    let generated = 0, created = 0, maxPending = 0;
+    const subscriber = function (message) {
+        if (path.dirname(message.path) === batchDir) created++;
+    };
+    diagnosticsChannel.subscribe(temppath.channels.create, subscriber);
+
+    return temppath.createTempPaths(20, {
+        tmpdir: batchDir,
+        concurrency: 3,
+        generator(len) {
+            generated++;
+            maxPending = Math.max(maxPending, generated - created);
+            return temppath.generators.hex(len);
+        }
+    }).then(function (createdPaths) {
+        diagnosticsChannel.unsubscribe(temppath.channels.create, subscriber);
+        assert.equal(createdPaths.length, 20);
+        assert.equal(new Set(createdPaths).size, 20);
+        assert.ok(maxPending <= 3, `${maxPending} paths were created at once`);
+        assert.deepStrictEqual(fs.readdirSync(batchDir).sort(),
+            createdPaths.map(createdPath => path.basename(createdPath)).sort());
+        fs.rmSync(batchDir, { recursive: true });
+
+        // Roll back the created paths on failure
+        return assert.rejects(temppath.createTempPaths(10, {
+            tmpdir: batchDir,
+            concurrency: 4,
+            generator: failingGenerator(6)
+        }), RangeError);
+    }).then(function () {
+        assert.deepStrictEqual(fs.readdirSync(batchDir), []);
+        fs.rmdirSync(batchDir);
+        return assert.rejects(temppath.createTempPaths('1'), TypeError);
+    }).then(function () {
+        console.info('Test asynchronous batch creation passed.\n');
+    });
+})();
+
+/**
+ * Stores all promise-based tests of diagnostics.
+ */
+const diagnosticsTests = (function () {
+    const root = path.join(rootDirTmp, 'diagnostics');
+    let stop;
+    return temppath.createTempPathAsync(root, { marker: true }).then(function (createdPath) {
+        stop = collectEvents();
+        return temppath.prune({ root }).then(report => [ createdPath, report ]);
+    }).then(function ([ createdPath, report ]) {
+        const events = stop();
+        // Other tests are running concurrently
+        const removed = events.remove.filter(message => message.path.startsWith(root));
+        const pruned = events.prune.filter(message => message.path === root);
+        assert.equal(removed.length, 1);
+        assert.equal(removed[0].path, createdPath);
+        assert.equal(pruned.length, 1);
+        assert.equal(pruned[0].dryRun, false);
+        assert.strictEqual(pruned[0].report, report);
+        assert.ok(pruned[0].duration >= 0);
+        fs.rmSync(root, { recursive: true });
+        console.info('Test asynchronous diagnostics passed.\n');
+    });
+})();
+
+/*------------------------------
+ * Test abort signals
+ ------------------------------*/
+
+/**
+ * Returns a name generator that aborts the given controller on the given call.
+ */
+function abortingGenerator(controller, abortAt) {
+    let calls = 0;
+    return function (len) {
+        if (++calls === abortAt) controller.abort('stopped');
+        return temppath.generators.hex(len);
+    };
+}
+
+/**
+ * Asserts that the given promise rejects with an `AbortError`.
+ */
+function assertAborted(promise) {
+    return assert.rejects(promise, function (err) {
+        assert.equal(err.name, 'AbortError');
+        assert.equal(err.code, 'ABORT_ERR');
+        return true;
+    });
+}
+
+/**
+ * Stores all promise-based tests of abort signals.
+ */
+const abortTests = (function () {
+    const abortDir = path.join(rootDirTmp, 'abort');
+    const sourceDir = path.join(rootDirTmp, 'abort-source');
+    fs.mkdirSync(abortDir, { recursive: true });
+    temppath.createTempTreeSync({ a: 'a', b: { c: 'c' }, d: 'd' }, { tmpdir: sourceDir });
+    const sourcePath = path.join(sourceDir, fs.readdirSync(sourceDir)[0]);
+
+    const aborted = new AbortController();
+    aborted.abort();
+
+    return Promise.all([
+        assertAborted(temppath.createTempPathAsync(abortDir, { signal: aborted.signal })),
+        assertAborted(temppath.createTempFileAsync(abortDir, { signal: aborted.signal, data: 'foo' })),
+        assertAborted(temppath.createTempTreeAsync({ a: 'a' }, { tmpdir: abortDir, signal: aborted.signal })),
+        assertAborted(temppath.createTempPaths(3, { tmpdir: abortDir, signal: aborted.signal })),
+        assertAborted(temppath.cloneToTemp(sourcePath, { tmpdir: abortDir, signal: aborted.signal })),
+        assertAborted(temppath.prune({ root: abortDir, signal: aborted.signal })),
+        assertAborted(new Promise(function (resolve, reject) {
+            temppath.createTempPath(abortDir, { signal: aborted.signal }, function (err, outPath) {
+                if (err) reject(err);
+                else resolve(outPath);
+            });
+        })),
+        assertAborted(new Promise(function (resolve, reject) {
+            temppath.cleanupAll({ signal: aborted.signal }, function (err) {
+                if (err) reject(err);
+                else resolve();
+            });
+        })),
+        assert.rejects(temppath.createTempPathAsync(abortDir, { signal: {} }), TypeError)
+    ]).then(function () {
+        assert.throws(() => temppath.cleanupAll({ signal: true }, () => {}), TypeError);
+        assert.deepStrictEqual(fs.readdirSync(abortDir), []);
+
+        // Abort once the paths are being created, removing anything partially created
+        const file = new AbortController();
+        const tree = new AbortController();
+        const batch = new AbortController();
+        const clone = new AbortController();
+        let cloned = 0;
+        return Promise.all([
+            assertAborted(temppath.createTempFileAsync(abortDir, {
+                signal: file.signal,
+                data: 'foo',
+                generator: abortingGenerator(file, 1)
+            })),
+            assertAborted(temppath.createTempTreeAsync({ a: 'a', b: { c: 'c' } }, {
+                tmpdir: abortDir,
+                signal: tree.signal,
+                generator: abortingGenerator(tree, 1)
+            })).then(function () {
+                if ('reason' in tree.signal) assert.equal(tree.signal.reason, 'stopped');
+            }),
+            assertAborted(temppath.createTempPaths(10, {
+                tmpdir: abortDir,
+                concurrency: 2,
+                signal: batch.signal,
+                generator: abortingGenerator(batch, 4)
+            })),
+            assertAborted(temppath.cloneToTemp(sourcePath, {
+                tmpdir: abortDir,
+                signal: clone.signal,
+                filter() {
+                    if (++cloned === 2) clone.abort();
+                    return true;
+                }
+            }))
+        ]);
+    }).then(function () {
+        assert.deepStrictEqual(fs.readdirSync(abortDir), []);
+
+        // Stop pruning on abort, keeping the paths not yet visited
+        const prune = new AbortController();
+        temppath.createTempPathsSync(3, { tmpdir: abortDir, marker: true, autoCleanup: false });
+        return assertAborted(temppath.prune({
+            root: abortDir,
+            signal: prune.signal,
+            match() {
+                prune.abort();
+                return true;
+            }
+        }));
+    }).then(function () {
+        // Only the first path has been removed, with its marker
+        assert.equal(fs.readdirSync(abortDir).length, 4);
+        fs.rmSync(abortDir, { recursive: true });
+        fs.rmSync(sourceDir, { recursive: true });
+        console.info('Test abort signals passed.\n');
+    });
+})();
+
+/*------------------------------
+ * Test expirations
+ ------------------------------*/
+
+/**
+ * Returns the pending expirations of the paths in the given directory.
+ */
+function expirationsIn(dir) {
+    return temppath.getExpirations().filter(({ path: expiringPath }) => path.dirname(expiringPath) === dir);
+}
+
+{
+    const ttlDir = path.join(rootDirTmp, 'ttl-sync');
+    assert.throws(() => temppath.createTempPathSync(ttlDir, { ttl: '1000' }), TypeError);
+    assert.throws(() => temppath.createTempPathSync(ttlDir, { ttl: 0 }), RangeError);
+    assert.throws(() => temppath.createTempPathSync(ttlDir, { ttl: Infinity }), RangeError);
+
+    const later = temppath.createTempPathSync(ttlDir, { ttl: 60000 });
+    const sooner = temppath.createTempHandleSync(ttlDir, { asFile: true, ttl: 30000 });
+    const plain = temppath.createTempHandleSync(ttlDir);
+
+    // Sorted by the expiration time
+    const expirations = expirationsIn(ttlDir);
+    assert.deepStrictEqual(expirations.map(({ path: expiringPath }) => expiringPath),
+        [ sooner.path, later ]);
+    assert.equal(expirations[0].ttl, 30000);
+    assert.ok(Object.isFrozen(expirations[0]));
+    assert.ok(sooner.expiresAt instanceof Date);
+    assert.equal(sooner.expiresAt.getTime(), expirations[0].expiresAt.getTime());
+    assert.strictEqual(plain.expiresAt, null);
+
+    // Extend the lifetime, with the current or given time-to-live
+    const touched = sooner.touch();
+    assert.ok(touched.getTime() >= expirations[0].expiresAt.getTime());
+    assert.ok(sooner.touch(90000).getTime() > expirationsIn(ttlDir)[0].expiresAt.getTime());
+    assert.deepStrictEqual(expirationsIn(ttlDir).map(({ ttl }) => ttl), [ 60000, 90000 ]);
+    assert.throws(() => sooner.touch(-1), RangeError);
+    assert.throws(() => plain.touch(), function (err) {
+        assert.equal(err.code, 'ERR_TEMPPATH_INVALID_STATE');
+        return true;
+    });
+
+    // Cancel the expiration
+    assert.strictEqual(sooner.persist(), true);
+    assert.strictEqual(sooner.persist(), false);
+    assert.strictEqual(sooner.expiresAt, null);
+    assert.ok(fs.existsSync(sooner.path));
+
+    // Removing the path cancels its expiration
+    assert.ok(plain.touch(60000) instanceof Date);
+    plain.removeSync();
+    assert.deepStrictEqual(expirationsIn(ttlDir).map(({ path: expiringPath }) => expiringPath), [ later ]);
+    temppath.createTempHandleSync(ttlDir, { ttl: 60000 }).removeSync();
+    assert.equal(expirationsIn(ttlDir).length, 1);
+
+    // The pending expiration of `later` is harmless, the timer never keeps the process alive
+    fs.rmSync(ttlDir, { recursive: true });
+}
+
+console.info('Test synchronous expirations passed.\n');
+
+/**
+ * Stores all promise-based tests of expirations.
+ */
+const expirationTests = (function () {
+    const ttlDir = path.join(rootDirTmp, 'ttl-async');
+
+    // Observe the removals instead of waiting for a fixed time
+    const removed = new Set();
+    const waiters = new Map();
+    const subscriber = function (message) {
+        removed.add(message.path);
+        if (waiters.has(message.path)) waiters.get(message.path)();
+    };
+    diagnosticsChannel.subscribe(temppath.channels.remove, subscriber);
+    const waitForRemoval = expiringPath => new Promise(function (resolve) {
+        if (removed.has(expiringPath)) resolve();
+        else waiters.set(expiringPath, resolve);
+    });
+
+    // Extended and cancelled expirations never fire
+    const touched = temppath.createTempHandleSync(ttlDir, { asFile: true, ttl: 50 });
+    const persisted = temppath.createTempHandleSync(ttlDir, { ttl: 50 });
+    touched.touch(60000);
+    persisted.persist();
+
+    // The retained path expires first, within the same or an earlier slot
+    return temppath.createTempPathAsync(ttlDir, { ttl: 10, keep: 'always', autoCleanup: true })
+        .then(function (keptPath) {
+            return Promise.all([
+                keptPath,
+                temppath.createTempPathAsync(ttlDir, { ttl: 50 }),
+                assert.rejects(temppath.createTempPathAsync(ttlDir, { ttl: -1 }), RangeError)
+            ]);
+        }).then(function ([ keptPath, expiringPath ]) {
+            return waitForRemoval(expiringPath).then(function () {
+                diagnosticsChannel.unsubscribe(temppath.channels.remove, subscriber);
+                assert.ok(!fs.existsSync(expiringPath));
+                assert.ok(fs.existsSync(touched.path));
+                assert.ok(fs.existsSync(persisted.path));
+                // Always retained paths are retained instead
+                assert.ok(fs.existsSync(keptPath));
+                assert.ok(!removed.has(keptPath));
+                assert.deepStrictEqual(expirationsIn(ttlDir).map(({ path: pendingPath }) => pendingPath),
+                    [ touched.path ]);
+                return touched.remove();
+            });
+        }).then(function () {
+            assert.equal(expirationsIn(ttlDir).length, 0);
+            fs.rmSync(ttlDir, { recursive: true });
+            console.info('Test asynchronous expirations passed.\n');
+        });
+})();
+
+// Wait until all asynchronous tests done
+Promise.all([
+    createTempPathTests,
+    createTempPathAsyncTests,
+    cleanupAllTests,
+    createTempFileAsyncTests,
+    createTempTreeAsyncTests,
+    scopedHelpersTests,
+    pruneTests,
+    sessionTests,
+    writeFileAtomicTests,
+    createTempWriteStreamTests,
+    getTempSocketPathTests,
+    errorTests,
+    freeSpaceTests,
+    cloneToTempTests,
+    retentionTests,
+    diagnosticsTests,
+    batchTests,
+    abortTests,
+    expirationTests
+]).then(function () {
+    // Remove the markers left by the tests removing their temporary paths by hand, only
+    // the orphaned markers are removed as nothing is old enough to be pruned
+    temppath.pruneSync({ root: systemRootDirTmp, olderThan: Number.MAX_SAFE_INTEGER });
     console.info('Test `createTempPath` passed.\n');
     console.info('All tests passed.\n');
 }).catch(function (err) {
@@ -8,6 +8,7 @@ import assert from 'node:assert';
 import path from 'node:path';
 import { isNullOrUndefined } from 'node:util';
 import temppath from '../index.js';
+import testing from '@mitsuki31/temppath/test';
 // Or:
 // import { default as temppath } from '../index.js';
 
@@ -26,6 +27,48 @@ const rootDir = path.resolve(process.cwd()),
 assert.equal(typeof temppath.getTempPath, 'function');
 assert.equal(typeof temppath.createTempPath, 'function');
 assert.equal(typeof temppath.createTempPathSync, 'function');
+assert.equal(typeof temppath.createTempPathAsync, 'function');
+assert.equal(typeof temppath.createTempPaths, 'function');
+assert.equal(typeof temppath.createTempPathsSync, 'function');
+assert.equal(typeof temppath.createTempHandleSync, 'function');
+assert.equal(typeof temppath.createTempHandleAsync, 'function');
+assert.equal(typeof temppath.withTempDir, 'function');
+assert.equal(typeof temppath.withTempDirSync, 'function');
+assert.equal(typeof temppath.withTempFile, 'function');
+assert.equal(typeof temppath.withTempFileSync, 'function');
+assert.equal(typeof temppath.createTempFileSync, 'function');
+assert.equal(typeof temppath.createTempFileAsync, 'function');
+assert.equal(typeof temppath.createTempTreeSync, 'function');
+assert.equal(typeof temppath.createTempTreeAsync, 'function');
+assert.equal(typeof temppath.symlink, 'function');
+assert.equal(typeof temppath.generators, 'object');
+assert.equal(typeof temppath.track, 'function');
+assert.equal(typeof temppath.cleanupAll, 'function');
+assert.equal(typeof temppath.cleanupAllSync, 'function');
+assert.equal(typeof temppath.getExpirations, 'function');
+assert.equal(typeof temppath.prune, 'function');
+assert.equal(typeof temppath.pruneSync, 'function');
+assert.equal(typeof temppath.getTempRoot, 'function');
+assert.equal(typeof temppath.configureTempRoot, 'function');
+assert.equal(typeof temppath.resolvers, 'object');
+assert.equal(typeof temppath.createSession, 'function');
+assert.equal(typeof temppath.loadSession, 'function');
+assert.equal(typeof temppath.writeFileAtomic, 'function');
+assert.equal(typeof temppath.writeFileAtomicSync, 'function');
+assert.equal(typeof temppath.createTempWriteStream, 'function');
+assert.equal(typeof temppath.getTempSocketPath, 'function');
+assert.equal(typeof temppath.cloneToTemp, 'function');
+assert.equal(typeof temppath.cloneToTempSync, 'function');
+assert.equal(typeof temppath.channels, 'object');
+assert.equal(typeof testing.tempDir, 'function');
+assert.equal(typeof testing.tempFile, 'function');
+assert.equal(typeof testing.tempDirHooks, 'function');
+assert.equal(typeof testing.tempFileHooks, 'function');
+assert.equal(typeof temppath.TempPathError, 'function');
+assert.equal(typeof temppath.TempPathTypeError, 'function');
+assert.equal(typeof temppath.TempPathRangeError, 'function');
+assert.equal(typeof temppath.TempPathCollisionError, 'function');
+assert.equal(typeof temppath.TempPathAggregateError, 'function');
 assert.throws(function () {
     // Test the inextensibility of 'temppath' module
     // In ESModule, we do not need to declare 'use strict' to make code below
@@ -159,6 +202,8 @@ console.info('Test `createTempPathSync` passed.\n');
 
 // Wait until all promises in `createTempPathTests` done
 createTempPathTests.then(function () {
+    // Remove the markers orphaned by the tests removing their temporary paths by hand
+    temppath.pruneSync({ root: systemRootDirTmp, olderThan: Number.MAX_SAFE_INTEGER });
     console.info('Test `createTempPath` passed.\n');
     console.info('All tests passed.\n');
 }).catch(function (err) {
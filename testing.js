@@ -0,0 +1,323 @@
+/**
+ * Test fixtures of `temppath` module, creating a temporary path per test and removing
+ * it once the test has finished, unless retained by the retention policy.
+ *
+ * The fixtures integrate with `node:test` by registering the removal with the `t.after`
+ * hook of the test context, while the hook factories integrate with the `beforeEach` and
+ * `afterEach` hooks of Mocha, Jest and `node:test` itself.
+ *
+ * @example
+ * const test = require('node:test');
+ * const { tempDir } = require('@mitsuki31/temppath/test');
+ *
+ * test('writes the output', (t) => {
+ *   const dir = tempDir(t);
+ *   build({ outDir: dir });
+ * });  // `dir` is removed once the test has finished
+ *
+ * @module temppath/test
+ * @author Ryuu Mitsuki
+ * @since 0.6.0
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const temppath = require('./index.js');
+
+const { TempPathError, TempPathTypeError } = temppath;
+
+/**
+ * Options to configure the temporary file creation of the fixtures, accepting all properties
+ * of {@link ScopedTempPathOptions}. The `asFile` option is ignored.
+ *
+ * @typedef  {ScopedTempPathOptions} TempFileFixtureOptions
+ * @property {string | Buffer | TypedArray | DataView} [data] - The initial contents of
+ *                                                              the temporary file.
+ * @property {string} [encoding='utf8'] - The encoding of `data`, if it is a string.
+ * @global
+ * @since  0.6.0
+ */
+
+/**
+ * The `beforeEach` and `afterEach` hooks creating a temporary path before each test and
+ * removing it after each test, unless retained by the retention policy.
+ *
+ * Both hooks take no callback parameter, so they can be passed directly to the runners
+ * that treat a declared parameter as a completion callback, such as Mocha and Jest.
+ *
+ * @typedef  {Object} TempPathHooks
+ * @property {string} path - The temporary path of the current test. Throws an error with the
+ *                           `ERR_TEMPPATH_INVALID_STATE` code if accessed outside of a test.
+ * @property {function(): void} beforeEach - The hook creating the temporary path.
+ * @property {function(): void} afterEach - The hook removing the temporary path.
+ * @global
+ * @since  0.6.0
+ */
+
+/**
+ * Returns whether the test of the given context has failed.
+ *
+ * Supports the contexts of Mocha hooks, where the current test has a `state` property, and
+ * the contexts of `node:test`, which have a `passed` property since Node.js 20. Any other
+ * context is assumed to have passed.
+ *
+ * @private
+ * @function
+ * @param {*} context - The test context.
+ * @returns {boolean} `true` if the test has failed.
+ * @since 0.6.0
+ */
+function __isFailed(context) {
+  if (typeof context !== 'object' || context === null) return false;
+  if (typeof context.currentTest === 'object' && context.currentTest !== null) {
+    return context.currentTest.state === 'failed';
+  }
+  return context.passed === false;
+}
+
+/**
+ * Validates the test context given to the fixtures.
+ *
+ * @private
+ * @function
+ * @param {*} t - The test context.
+ * @throws {TypeError} If the test context has no `after` method.
+ * @since 0.6.0
+ */
+function __validateContext(t) {
+  if (typeof t !== 'object' || t === null || typeof t.after !== 'function') {
+    throw new TempPathTypeError(
+      'The "t" argument must be a test context with an "after" method, such as the one of node:test',
+      { code: 'ERR_TEMPPATH_INVALID_ARG' });
+  }
+}
+
+/**
+ * Synchronously creates a temporary path for a test and returns its handle.
+ *
+ * @private
+ * @function
+ * @param {?TempFileFixtureOptions} options - The options.
+ * @param {boolean} asFile - Whether to create a temporary file instead of directory.
+ * @returns {TempPathHandle} The handle of the created temporary path.
+ * @throws {TypeError} If the options specified with incorrect type.
+ * @since 0.6.0
+ */
+function __createFixture(options, asFile) {
+  if (options === null || options === undefined) options = {};
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new TempPathTypeError(`Expected type is object. Received ${typeof options}`);
+  }
+
+  const { data, encoding, ...rest } = options;
+  if (rest.tmpdir && typeof rest.tmpdir !== 'string') {
+    throw new TempPathTypeError(`Expected type is string. Received ${typeof rest.tmpdir}`);
+  }
+  if (asFile && data !== null && data !== undefined
+      && typeof data !== 'string' && !ArrayBuffer.isView(data)) {
+    throw new TempPathTypeError(`Expected a string, Buffer or TypedArray for data, got ${typeof data}`);
+  }
+  if (asFile && encoding !== null && encoding !== undefined && !Buffer.isEncoding(encoding)) {
+    throw new TempPathTypeError(`Unknown encoding: ${encoding}`);
+  }
+
+  const handle = temppath.createTempHandleSync(rest.tmpdir, { ...rest, asFile });
+  if (asFile && data !== null && data !== undefined) {
+    try {
+      fs.writeFileSync(handle.path, data, { encoding });
+    } catch (err) {
+      handle.removeSync();
+      throw new TempPathError('temppath: Failed to write temporary file.', {
+        code: 'ERR_TEMPPATH_WRITE_FAILED',
+        path: handle.path,
+        operation: 'write',
+        cause: err
+      });
+    }
+  }
+  return handle;
+}
+
+/**
+ * Creates a temporary path for the given test, and registers its removal with the `t.after` hook.
+ *
+ * @private
+ * @function
+ * @param {Object} t - The test context.
+ * @param {?TempFileFixtureOptions} options - The options.
+ * @param {boolean} asFile - Whether to create a temporary file instead of directory.
+ * @returns {string} The path of the created temporary directory or file.
+ * @since 0.6.0
+ */
+function __fixture(t, options, asFile) {
+  __validateContext(t);
+  const handle = __createFixture(options, asFile);
+  t.after(function () {
+    handle.releaseSync(__isFailed(t));
+  });
+  return handle.path;
+}
+
+/**
+ * Creates the `beforeEach` and `afterEach` hooks of a temporary path.
+ *
+ * @private
+ * @function
+ * @param {?TempFileFixtureOptions} options - The options.
+ * @param {boolean} asFile - Whether to create a temporary file instead of directory.
+ * @returns {TempPathHooks} The hooks.
+ * @since 0.6.0
+ */
+function __hooks(options, asFile) {
+  let handle = null;
+  return Object.freeze({
+    get path() {
+      if (!handle) {
+        throw new TempPathError('temppath: No temporary path, the "beforeEach" hook has not run.',
+          { code: 'ERR_TEMPPATH_INVALID_STATE' });
+      }
+      return handle.path;
+    },
+    beforeEach() {
+      // Removes the path left by a test whose `afterEach` hook did not run
+      if (handle) handle.releaseSync(false);
+      handle = __createFixture(options, asFile);
+    },
+    // The rest parameter is not counted by `Function#length`, so runners do not
+    // treat this hook as one taking a completion callback
+    afterEach(...args) {
+      const current = handle;
+      handle = null;
+      if (current) current.releaseSync(__isFailed(this) || __isFailed(args[0]));
+    }
+  });
+}
+
+/**
+ * Creates a temporary directory for the given `node:test` test, and removes it recursively
+ * once the test has finished, unless retained by the `keep` option.
+ *
+ * With the `'on-failure'` retention policy, the failure of the test is detected since
+ * Node.js 20. On earlier versions, the test is assumed to have passed.
+ *
+ * @public
+ * @function
+ * @param {Object} t - The test context, or any object with an `after` method registering
+ *                     a function to call once the test has finished.
+ * @param {ScopedTempPathOptions} [options] - Options for creating the temporary directory.
+ *                                            The `asFile` option is ignored.
+ *
+ * @returns {string} The path of the created temporary directory.
+ *
+ * @throws {TypeError} If the given arguments specified with incorrect type.
+ * @throws {Error} Throws an `Error` if there is an issue creating the temporary directory.
+ *
+ * @example
+ * test('writes the output', (t) => {
+ *   const dir = tempDir(t, { keep: 'on-failure' });
+ *   build({ outDir: dir });
+ * });
+ *
+ * @since 0.6.0
+ */
+function tempDir(t, options) {
+  return __fixture(t, options, false);
+}
+
+/**
+ * Creates a temporary file for the given `node:test` test, with the given initial contents
+ * if any, and removes it once the test has finished, unless retained by the `keep` option.
+ *
+ * With the `'on-failure'` retention policy, the failure of the test is detected since
+ * Node.js 20. On earlier versions, the test is assumed to have passed.
+ *
+ * @public
+ * @function
+ * @param {Object} t - The test context, or any object with an `after` method registering
+ *                     a function to call once the test has finished.
+ * @param {TempFileFixtureOptions} [options] - Options for creating the temporary file.
+ *                                             The `asFile` option is ignored.
+ *
+ * @returns {string} The path of the created temporary file.
+ *
+ * @throws {TypeError} If the given arguments specified with incorrect type.
+ * @throws {Error} Throws an `Error` if there is an issue creating or writing the temporary file.
+ *
+ * @example
+ * test('reads the config', (t) => {
+ *   const file = tempFile(t, { ext: 'json', data: '{"debug":true}' });
+ *   assert.ok(loadConfig(file).debug);
+ * });
+ *
+ * @since 0.6.0
+ */
+function tempFile(t, options) {
+  return __fixture(t, options, true);
+}
+
+/**
+ * Creates the `beforeEach` and `afterEach` hooks of a temporary directory, created before
+ * each test and removed recursively after each test, unless retained by the `keep` option.
+ *
+ * With the `'on-failure'` retention policy, the failure of the test is detected in Mocha,
+ * and in `node:test` since Node.js 20. On other runners, such as Jest, the test is assumed
+ * to have passed.
+ *
+ * @public
+ * @function
+ * @param {ScopedTempPathOptions} [options] - Options for creating the temporary directories.
+ *                                            The `asFile` option is ignored.
+ *
+ * @returns {TempPathHooks} The hooks, and the path of the current test.
+ *
+ * @throws {TypeError} If the options specified with incorrect type, when the hook
+ *                     `beforeEach` is run.
+ *
+ * @example
+ * const tmp = tempDirHooks();
+ * beforeEach(tmp.beforeEach);
+ * afterEach(tmp.afterEach);
+ *
+ * it('writes the output', () => {
+ *   build({ outDir: tmp.path });
+ * });
+ *
+ * @since 0.6.0
+ */
+function tempDirHooks(options) {
+  return __hooks(options, false);
+}
+
+/**
+ * Creates the `beforeEach` and `afterEach` hooks of a temporary file, created with the given
+ * initial contents, if any, before each test and removed after each test, unless retained by
+ * the `keep` option.
+ *
+ * With the `'on-failure'` retention policy, the failure of the test is detected in Mocha,
+ * and in `node:test` since Node.js 20. On other runners, such as Jest, the test is assumed
+ * to have passed.
+ *
+ * @public
+ * @function
+ * @param {TempFileFixtureOptions} [options] - Options for creating the temporary files.
+ *                                             The `asFile` option is ignored.
+ *
+ * @returns {TempPathHooks} The hooks, and the path of the current test.
+ *
+ * @throws {TypeError} If the options specified with incorrect type, when the hook
+ *                     `beforeEach` is run.
+ *
+ * @since 0.6.0
+ */
+function tempFileHooks(options) {
+  return __hooks(options, true);
+}
+
+
+module.exports = Object.freeze({
+  tempDir,
+  tempFile,
+  tempDirHooks,
+  tempFileHooks
+});
@@ -4,20 +4,107 @@
 // Definitions by: Ryuu Mitsuki <https://github.com/mitsuki31>
 
 declare module '@mitsuki31/temppath' {
+  import type { FileHandle } from 'node:fs/promises';
+  import type { Readable, Writable } from 'node:stream';
+
   /**
    * Callback function to handle the result or error from calling the
    * {@link createTempPath} function.
    *
-   * @param err - The error object if any. Otherwise, `null` if no error.
+   * @param err - The error object if any. Otherwise, `null` if no error. If all attempted
+   *              paths already exist, it is a {@link TempPathCollisionError}.
    * @param resultPath - The path of the created temporary directory or file.
    */
   type CreateTempPathCallback = (err: Error | null, resultPath?: string) => void;
 
+  /**
+   * An interface representating options to generate the temporary directory or file name.
+   *
+   * The `template` supports the following placeholders:
+   * - `XXXXXX` - The last run of at least six `X` characters, replaced with the same number
+   *   of cryptographically random characters, like `mkstemp(3)` does. Hexadecimal characters
+   *   are used unless the `generator` is `'base32'` or `'base62'`.
+   * - `{random}` - Replaced with random characters of `maxLen` length.
+   * - `{name}` - Replaced with the `name` option.
+   * - `{pid}` - Replaced with the current process ID.
+   *
+   * A template must contain at least one random placeholder, and the random part must be
+   * at least six characters long.
+   */
+  interface NameOptions {
+    /**
+     * The maximum characters' length of the random part of the name. Must be a
+     * positive number and greater than zero.
+     */
+    maxLen?: number;
+    /**
+     * A string to prepend to the generated name.
+     */
+    prefix?: string;
+    /**
+     * A string to append to the generated name, before the extension.
+     */
+    suffix?: string;
+    /**
+     * A template to generate the name from, e.g. `"build-XXXXXX.log"` or `"{name}-{random}"`.
+     * If specified without `ext`, no default extension is appended to the temporary file.
+     */
+    template?: string;
+    /**
+     * A name to replace the `{name}` placeholder in `template`.
+     */
+    name?: string;
+    /**
+     * The name of a built-in generator in {@link generators}, or a custom function to generate
+     * the random part of the name. Defaults to `'hex'`.
+     */
+    generator?: BuiltinGeneratorName | NameGenerator;
+    /**
+     * The namespace to create the path in a per-user subdirectory of the temporary root,
+     * see {@link getTempRoot}. Ignored if the temporary directory is specified.
+     */
+    namespace?: string;
+  }
+
+  /**
+   * A function that generates the random part of a temporary directory or file name.
+   * Longer strings than the given length are truncated to honour the `maxLen` option.
+   *
+   * @param len - The desired characters' length of the generated string.
+   * @returns The generated string.
+   */
+  type NameGenerator = (len: number) => string;
+
+  /**
+   * The names of built-in generators that can be specified in the `generator` option.
+   */
+  type BuiltinGeneratorName = 'hex' | 'base32' | 'base62' | 'timestamp' | 'counter';
+
+  /**
+   * Built-in name generators.
+   *
+   * - `hex` - Cryptographically random hexadecimal characters. This is the default.
+   * - `base32` - Cryptographically random lowercase base32 characters.
+   * - `base62` - Cryptographically random alphanumeric characters. Carries the most randomness
+   *   per character, but the names may collide on case-insensitive file systems.
+   * - `timestamp` - The current time in base36 followed by random base32 characters, so the
+   *   names are sortable by creation time. At least six random characters are always kept, so
+   *   the timestamp is truncated when `maxLen` is too short, or dropped below seven characters.
+   * - `counter` - The process ID and a monotonic counter per process in base36. When `maxLen`
+   *   is too short, the separator is dropped and the last characters of both the process ID
+   *   and the counter are kept, half of `maxLen` at most for the process ID.
+   * - `seeded(seed)` - Creates a deterministic generator from the given seed, useful for
+   *   reproducible tests. It cannot be specified by name.
+   */
+  const generators: Readonly<Record<BuiltinGeneratorName, NameGenerator> & {
+    seeded(seed: string | number): NameGenerator;
+  }>;
+
   /**
    * An interface representating options to configure the temporary file or directory
    * creation within this module.
    */
-  interface TempPathOptions {
+  interface TempPathOptions extends NameOptions {
     /**
      * Whether to create a temporary file or directory.
      */
@@ -27,33 +114,262 @@ declare module '@mitsuki31/temppath' {
      */
     ext?: string;
     /**
-     * The maximum characters' length of the generated directory or file name. Must be a
-     * positive number and greater than zero.
+     * Whether to remove the created path on process exit. Defaults to the state set by {@link track}.
      */
-    maxLen?: number;
+    autoCleanup?: boolean;
+    /**
+     * How many times to retry with a new name if the generated path already exists.
+     * Existing paths are never overwritten. Defaults to `3`.
+     */
+    retries?: number;
+    /**
+     * The permission mode of the created file or directory, applied at creation and subject
+     * to the process umask. Defaults to `0o600` for files and `0o700` for directories if
+     * `secure` is `true`, otherwise the default mode of Node.js.
+     */
+    mode?: number;
+    /**
+     * Whether to use the secure preset, which restricts the default `mode` to the current user
+     * and enables `verifyRoot`.
+     */
+    secure?: boolean;
+    /**
+     * Whether to verify that the temporary root directory is not a symlink planted by another
+     * user, and that it is owned by the current user or has the sticky bit set. Ignored on
+     * Windows. Defaults to the `secure` option.
+     */
+    verifyRoot?: boolean;
+    /**
+     * Whether to write a hidden marker file next to the created path, named `.<name>.temppath`,
+     * so it can be recognised and removed later by {@link prune}. Defaults to `true` if the
+     * path is created in the temporary root, that is, no `tmpdir` is given, `false` otherwise.
+     */
+    marker?: boolean;
+    /**
+     * The minimum bytes that must be available on the file system of the temporary root,
+     * checked with `fs.statfs` before creation. If not satisfied, the `fallbackRoots` are
+     * tried in order. Requires `fs.statfs` (Node.js 18.15 or later), otherwise the creation
+     * fails with the `ERR_TEMPPATH_UNSUPPORTED` code. The selected root and the free space
+     * are only reported by the temporary path handles, see {@link TempPathHandle}.
+     */
+    minFreeBytes?: number;
+    /**
+     * The retention policy of the path, honoured by the scoped helpers, such as {@link withTempDir},
+     * and on process exit for the tracked paths. With `'on-failure'`, the path is retained if the
+     * scoped function throws or rejects, or if the process exits with a non-zero code, crashes or
+     * is terminated by a signal. The retained paths are reported to the standard error on process
+     * exit. Defaults to the `TEMPPATH_KEEP` environment variable, or `'never'`.
+     */
+    keep?: 'always' | 'on-failure' | 'never';
+    /**
+     * The alternate temporary roots to use if the temporary root does not have the
+     * `minFreeBytes` available. The roots that are not writable directories are skipped.
+     * The namespace directory, if any, is created in the selected root.
+     */
+    fallbackRoots?: string[];
+    /**
+     * The signal to abort the creation. On abort, the asynchronous functions remove anything
+     * partially created and reject with an `AbortError`. Ignored by the synchronous functions.
+     */
+    signal?: AbortSignal;
+    /**
+     * The time-to-live in milliseconds, after which the created path is removed while the process
+     * runs, unless always retained by the `keep` option. The expiration never keeps the process
+     * alive, and can be extended or cancelled by the `touch` and `persist` methods of handles.
+     */
+    ttl?: number;
+  }
+
+  /**
+   * An interface representating options to configure the temporary file creation with
+   * initial contents. The `asFile` option is ignored.
+   */
+  interface TempFileOptions<Open extends boolean = boolean> extends TempPathOptions {
+    /**
+     * The initial contents of the temporary file. Async iterables and `Readable` streams
+     * are only supported by {@link createTempFileAsync}.
+     */
+    data?: string | NodeJS.ArrayBufferView | AsyncIterable<string | NodeJS.ArrayBufferView> | Readable;
+    /**
+     * The encoding of `data`, if it is a string. Defaults to `'utf8'`.
+     */
+    encoding?: BufferEncoding;
+    /**
+     * Whether to return the temporary file opened for reading and writing, instead of only its path.
+     */
+    open?: Open;
+  }
+
+  /**
+   * An interface representating options to configure the temporary path creation
+   * of scoped helpers, such as {@link withTempDir}.
+   */
+  interface ScopedTempPathOptions extends TempPathOptions {
+    /**
+     * The temporary directory path. If not provided or empty, it defaults to the
+     * system's temporary directory.
+     */
+    tmpdir?: string;
+  }
+
+  /**
+   * An interface representating options to configure the batch creation of temporary paths
+   * by {@link createTempPaths}.
+   */
+  interface BatchTempPathOptions extends ScopedTempPathOptions {
+    /**
+     * The maximum number of paths being created at once. Ignored by {@link createTempPathsSync}.
+     * Defaults to `8`.
+     */
+    concurrency?: number;
+  }
+
+  /**
+   * A symlink descriptor created by {@link symlink}.
+   */
+  interface SymlinkDescriptor {
+    readonly target: string;
+    readonly type?: 'file' | 'dir' | 'junction';
+  }
+
+  /**
+   * An object describing a directory layout. Each key is an entry name, which must not contain
+   * path separators, and each value is either:
+   * - a string, `Buffer` or `TypedArray` - creates a file with the given contents,
+   * - a symlink descriptor created by {@link symlink} - creates a symlink,
+   * - a plain object - creates a sub-directory with the entries described by the object.
+   */
+  interface TempTreeSpec {
+    [name: string]: string | NodeJS.ArrayBufferView | SymlinkDescriptor | TempTreeSpec;
+  }
+
+  /**
+   * A disposable handle referring to a created temporary directory or file.
+   *
+   * The handle can be used with explicit resource management `using` and `await using`
+   * declarations, where the temporary path is removed when the handle goes out of scope.
+   */
+  interface TempPathHandle {
+    /**
+     * The path of the created temporary directory or file.
+     */
+    readonly path: string;
+    /**
+     * Whether the handle refers to a temporary file.
+     */
+    readonly isFile: boolean;
+    /**
+     * The temporary root directory the path was created in, which may be one of the
+     * `fallbackRoots` option. Not present on temporary trees.
+     */
+    readonly root?: string;
+    /**
+     * The bytes available on the file system of `root` before creation, or `null` if the
+     * `minFreeBytes` option is not specified. Not present on temporary trees.
+     */
+    readonly freeBytes?: number | null;
+    /**
+     * Asynchronously removes the temporary path, recursively for directories.
+     */
+    remove(): Promise<void>;
+    /**
+     * Synchronously removes the temporary path, recursively for directories.
+     */
+    removeSync(): void;
+    /**
+     * Asynchronously removes the temporary path unless retained by the retention policy,
+     * given whether the operation using it failed.
+     *
+     * @param failed - Whether the operation using the path failed. Defaults to `false`.
+     */
+    release(failed?: boolean): Promise<void>;
+    /**
+     * Synchronously removes the temporary path unless retained by the retention policy,
+     * given whether the operation using it failed.
+     *
+     * @param failed - Whether the operation using the path failed. Defaults to `false`.
+     */
+    releaseSync(failed?: boolean): void;
+    /**
+     * The time the temporary path expires at, or `null` if it has no pending expiration.
+     * See the `ttl` option of {@link TempPathOptions}.
+     */
+    readonly expiresAt: Date | null;
+    /**
+     * Extends the lifetime of the temporary path, replacing its pending expiration, if any.
+     *
+     * @param ttl - The new time-to-live in milliseconds, counted from now. Defaults to
+     *              the time-to-live of the pending expiration.
+     * @returns The new expiration time.
+     *
+     * @throws {TypeError} If the given `ttl` is not a number.
+     * @throws {RangeError} If the given `ttl` is not a positive finite number.
+     * @throws {TempPathError} If no `ttl` is given and the path has no pending expiration,
+     *                         with the `'ERR_TEMPPATH_INVALID_STATE'` code.
+     */
+    touch(ttl?: number): Date;
+    /**
+     * Cancels the expiration of the temporary path, so it is kept until removed otherwise.
+     *
+     * @returns `true` if the path had a pending expiration.
+     */
+    persist(): boolean;
+    [Symbol.dispose](): void;
+    [Symbol.asyncDispose](): Promise<void>;
+  }
+
+  /**
+   * A disposable handle referring to a temporary tree, created by {@link createTempTreeSync}
+   * or {@link createTempTreeAsync}.
+   */
+  interface TempTree extends TempPathHandle {
+    /**
+     * The path of the temporary tree root directory, same as `path`.
+     */
+    readonly root: string;
+    /**
+     * Resolves the given path segments from the root.
+     *
+     * @throws {RangeError} If the resolved path is outside of the root.
+     */
+    resolve(...segments: string[]): string;
   }
 
   /**
    * Generates a temporary path based on the provided or system temporary directory.
    *
-   * This function utilizes a random UUID for the directory name, ensuring that each time
-   * it is called, the path will be different from previous calls. The returned path can be
-   * used for either a temporary file or directory, according to user preferences.
+   * This function utilizes cryptographically random characters for the directory name, ensuring
+   * that each time it is called, the path will be different from previous calls. The returned
+   * path can be used for either a temporary file or directory, according to user preferences.
+   * Other strategies can be used via the `generator` option, see {@link generators}.
    *
    * To limit the characters' length of generated temporary directory or file name,
    * set the `maxLen` to the desired value and it must be a positive number.
    * Thus, the function will trim the name to the desired maximum length.
    *
+   * The name can be customized using the `prefix`, `suffix` and `template` options,
+   * see {@link NameOptions} for details.
+   *
+   * This function does not touch the file system. Without `tmpdir`, the path is generated in
+   * the first configured temporary root candidate, without checking whether it is writable.
+   * Use {@link getTempRoot} or the creation functions to resolve a writable root.
+   *
    * @param tmpdir - The temporary directory path. If not provided or empty, it defaults to the
    *                 system's temporary directory.
    * @param maxLen - The maximum characters' length of the generated temporary path. Must be a
-   *                 positive number and greater than zero.
+   *                 positive number and greater than zero. If an object is provided, it is
+   *                 treated as the options to generate the name, along with the `asFile` and
+   *                 `ext` options to append the extension of a temporary file.
    * @returns        The temporary path.
    *
-   * @throws {TypeError} Throws a `TypeError` if the provided `tmpdir` is not a string.
-   * @throws {RangeError} If the given `maxLen` is less than or equal to zero.
+   * @throws {TypeError} Throws a `TypeError` if the provided `tmpdir` is not a string, the extension
+   *                     is not a string, or the name contains path separators or invalid characters.
+   * @throws {RangeError} If the given `maxLen` is less than or equal to zero, or the name exceeds
+   *                      the file system name limits.
    */
-  function getTempPath(tmpdir?: string, maxLen?: number): string;
+  function getTempPath(tmpdir?: string,
+    maxLen?: number | NameOptions & Pick<TempPathOptions, 'asFile' | 'ext'>): string;
+  function getTempPath(options?: NameOptions & Pick<TempPathOptions, 'asFile' | 'ext'>): string;
 
   /**
    * Asynchronously creates a temporary path, either as a directory or file,
@@ -143,6 +459,925 @@ declare module '@mitsuki31/temppath' {
    *
    * @throws {TypeError} If the given arguments or the extension name specified with incorrect type.
    * @throws {Error} Throws an `Error` if there is an issue creating the temporary directory or file.
+   *                 If all attempted paths already exist, throws a {@link TempPathCollisionError}
+   *                 with the `attemptedPaths` property listing the attempted paths.
    */
   function createTempPathSync(tmpdir?: string, options?: TempPathOptions): string;
+
+  /**
+   * Synchronously creates a temporary path, either as a directory or file, based on the
+   * system temporary directory and then returns a path that refers to the generated temporary
+   * directory or file.
+   *
+   * @param options - An options object to configure the temporary file or directory creation.
+   *
+   * @returns The path of the created temporary directory or file.
+   *
+   * @throws {TypeError} If the given arguments or the extension name specified with incorrect type.
+   * @throws {Error} Throws an `Error` if there is an issue creating the temporary directory or file.
+   */
+  function createTempPathSync(options?: TempPathOptions): string;
+
+  /**
+   * Asynchronously creates a temporary path, either as a directory or file, based on the provided
+   * or system temporary directory and returns a promise that resolves with the created path.
+   *
+   * This is the promise-based version of {@link createTempPath}. Unlike `createTempPath`,
+   * invalid arguments reject the returned promise instead of throwing.
+   *
+   * @param tmpdir - A temporary directory path. If not provided or empty, it defaults to the
+   *                 system's temporary directory.
+   * @param options - An options object to configure the temporary file or directory creation.
+   *
+   * @returns A promise that resolves with the path of the created temporary directory or file.
+   */
+  function createTempPathAsync(tmpdir?: string, options?: TempPathOptions): Promise<string>;
+
+  /**
+   * Asynchronously creates a temporary path, either as a directory or file, based on the
+   * system temporary directory and returns a promise that resolves with the created path.
+   *
+   * @param options - An options object to configure the temporary file or directory creation.
+   *
+   * @returns A promise that resolves with the path of the created temporary directory or file.
+   */
+  function createTempPathAsync(options?: TempPathOptions): Promise<string>;
+
+  /**
+   * Synchronously creates the given number of temporary paths, either as directories or files.
+   *
+   * Each path is created exclusively, retrying with a new name on collision, so the paths are
+   * unique across the batch. Either all paths are created, or nothing is left behind: if any
+   * path cannot be created, the already created ones are removed and the error is thrown.
+   *
+   * @param count - The number of paths to create.
+   * @param options - Options for creating each temporary path.
+   *
+   * @returns The paths of the created temporary directories or files, in order.
+   *
+   * @throws {TypeError} If the given arguments specified with incorrect type.
+   * @throws {RangeError} If the count is negative or not an integer.
+   * @throws {TempPathError} If there is an issue creating any of the temporary paths.
+   */
+  function createTempPathsSync(count: number, options?: BatchTempPathOptions): string[];
+
+  /**
+   * Asynchronously creates the given number of temporary paths, either as directories or files,
+   * with at most `concurrency` paths being created at once to avoid flooding the file system.
+   *
+   * Either all paths are created, or nothing is left behind: if any path cannot be created,
+   * no more paths are started, the already created ones are removed and the promise rejects
+   * with the first error.
+   *
+   * @param count - The number of paths to create.
+   * @param options - Options for creating each temporary path.
+   *
+   * @returns A promise that resolves with the paths of the created temporary directories
+   *          or files, in order.
+   */
+  function createTempPaths(count: number, options?: BatchTempPathOptions): Promise<string[]>;
+
+  /**
+   * Enables or disables the tracking of every temporary path created by {@link createTempPath}
+   * and {@link createTempPathSync}.
+   *
+   * Tracked paths are removed, recursively for directories, when the process exits normally,
+   * receives a `SIGINT` or `SIGTERM` signal, or crashes due to an uncaught exception.
+   * The {@link TempPathOptions.autoCleanup} takes precedence over this setting.
+   *
+   * @param enabled - Whether to track the created temporary paths. Defaults to `true`.
+   *
+   * @throws {TypeError} If the given `enabled` is not a boolean.
+   */
+  function track(enabled?: boolean): void;
+
+  /**
+   * Asynchronously removes all tracked temporary paths, recursively for directories.
+   * Paths that failed to be removed remain tracked, and so do the paths whose `keep`
+   * option is `'always'`.
+   *
+   * If the `signal` option is aborted, the callback is called with an `AbortError` right away.
+   * The removals already started cannot be cancelled, and the paths removed by them are untracked.
+   *
+   * @param options - Options to configure the cleanup.
+   * @param callback - A callback function to handle the error if any. If more than one path
+   *                   failed to be removed, the error is a {@link TempPathAggregateError}.
+   *
+   * @throws {TypeError} If the given `callback` is not a function, or the options specified
+   *                     with incorrect type.
+   */
+  function cleanupAll(callback: (err: Error | null) => void): void;
+  function cleanupAll(options: { signal?: AbortSignal }, callback: (err: Error | null) => void): void;
+
+  /**
+   * Synchronously removes all tracked temporary paths, recursively for directories.
+   * Paths that failed to be removed remain tracked, and so do the paths whose `keep`
+   * option is `'always'`.
+   *
+   * @throws {TempPathError} If a path failed to be removed. If more than one path failed to be
+   *                         removed, throws a {@link TempPathAggregateError}.
+   */
+  function cleanupAllSync(): void;
+
+  /**
+   * A pending expiration of a temporary path created with the `ttl` option.
+   */
+  interface TempPathExpiration {
+    /**
+     * The absolute temporary path.
+     */
+    readonly path: string;
+    /**
+     * The time-to-live in milliseconds.
+     */
+    readonly ttl: number;
+    /**
+     * The time the temporary path expires at.
+     */
+    readonly expiresAt: Date;
+  }
+
+  /**
+   * Returns the pending expirations of the temporary paths created with the `ttl` option,
+   * sorted by their expiration time.
+   *
+   * The paths are removed within a hundred milliseconds after their expiration time by
+   * an unref'd timer, which never keeps the process alive. The paths that have been removed,
+   * retained or persisted by their handles have no pending expiration.
+   */
+  function getExpirations(): TempPathExpiration[];
+
+  /**
+   * Synchronously creates a temporary path, either as a directory or file, and returns
+   * a disposable handle referring to it.
+   *
+   * @param tmpdir - A temporary directory path. If not provided or empty, it defaults to the
+   *                 system's temporary directory.
+   * @param options - An options object to configure the temporary file or directory creation.
+   *
+   * @returns The disposable handle of the created temporary directory or file.
+   *
+   * @throws {TypeError} If the given arguments or the extension name specified with incorrect type.
+   * @throws {Error} Throws an `Error` if there is an issue creating the temporary directory or file.
+   */
+  function createTempHandleSync(tmpdir?: string, options?: TempPathOptions): TempPathHandle;
+  function createTempHandleSync(options?: TempPathOptions): TempPathHandle;
+
+  /**
+   * Asynchronously creates a temporary path, either as a directory or file, and returns
+   * a promise that resolves with a disposable handle referring to it.
+   *
+   * @param tmpdir - A temporary directory path. If not provided or empty, it defaults to the
+   *                 system's temporary directory.
+   * @param options - An options object to configure the temporary file or directory creation.
+   *
+   * @returns A promise that resolves with the disposable handle of the created temporary
+   *          directory or file.
+   */
+  function createTempHandleAsync(tmpdir?: string, options?: TempPathOptions): Promise<TempPathHandle>;
+  function createTempHandleAsync(options?: TempPathOptions): Promise<TempPathHandle>;
+
+  /**
+   * Asynchronously creates a temporary directory, calls the given function with its path,
+   * and removes the directory recursively afterwards, even when the function throws or
+   * returns a rejected promise, unless retained by the `keep` option.
+   *
+   * @param fn - The function to call with the created temporary directory path.
+   * @param options - An options object to configure the temporary directory creation.
+   *                  The `asFile` option is ignored.
+   *
+   * @returns A promise that resolves with the value returned by `fn`.
+   */
+  function withTempDir<T>(
+    fn: (tmpDirPath: string) => T | PromiseLike<T>,
+    options?: ScopedTempPathOptions
+  ): Promise<T>;
+
+  /**
+   * Synchronously creates a temporary directory, calls the given function with its path,
+   * and removes the directory recursively afterwards, even when the function throws,
+   * unless retained by the `keep` option.
+   *
+   * @param fn - The function to call with the created temporary directory path.
+   * @param options - An options object to configure the temporary directory creation.
+   *                  The `asFile` option is ignored.
+   *
+   * @returns The value returned by `fn`.
+   *
+   * @throws {TypeError} If the given arguments specified with incorrect type.
+   * @throws {Error} Throws an `Error` if there is an issue creating the temporary directory.
+   */
+  function withTempDirSync<T>(fn: (tmpDirPath: string) => T, options?: ScopedTempPathOptions): T;
+
+  /**
+   * Asynchronously creates a temporary file, calls the given function with its path,
+   * and removes the file afterwards, even when the function throws or returns a rejected
+   * promise, unless retained by the `keep` option.
+   *
+   * @param fn - The function to call with the created temporary file path.
+   * @param options - An options object to configure the temporary file creation.
+   *                  The `asFile` option is ignored.
+   *
+   * @returns A promise that resolves with the value returned by `fn`.
+   */
+  function withTempFile<T>(
+    fn: (tmpFilePath: string) => T | PromiseLike<T>,
+    options?: ScopedTempPathOptions
+  ): Promise<T>;
+
+  /**
+   * Synchronously creates a temporary file, calls the given function with its path,
+   * and removes the file afterwards, even when the function throws, unless retained
+   * by the `keep` option.
+   *
+   * @param fn - The function to call with the created temporary file path.
+   * @param options - An options object to configure the temporary file creation.
+   *                  The `asFile` option is ignored.
+   *
+   * @returns The value returned by `fn`.
+   *
+   * @throws {TypeError} If the given arguments specified with incorrect type.
+   * @throws {Error} Throws an `Error` if there is an issue creating the temporary file.
+   */
+  function withTempFileSync<T>(fn: (tmpFilePath: string) => T, options?: ScopedTempPathOptions): T;
+
+  /**
+   * Synchronously creates a temporary file with the given initial contents, and returns its path
+   * or, if the `open` option is `true`, its path and an open file descriptor.
+   *
+   * The file is opened once, exclusively, and the contents are written without reopening it.
+   * If the contents cannot be written, the file is removed.
+   *
+   * @param tmpdir - A temporary directory path. If not provided or empty, it defaults to the
+   *                 system's temporary directory.
+   * @param options - An options object to configure the temporary file creation.
+   *
+   * @returns The path of the created temporary file, or an object containing the path and the
+   *          file descriptor opened for reading and writing, positioned after the written contents,
+   *          if the `open` option is `true`. The caller is responsible for closing the file descriptor.
+   *
+   * @throws {TypeError} If the given arguments or any of the options specified with incorrect type.
+   * @throws {Error} Throws an `Error` if there is an issue creating or writing the temporary file.
+   */
+  function createTempFileSync(tmpdir: string, options: TempFileOptions<true>): { path: string, fd: number };
+  function createTempFileSync(options: TempFileOptions<true>): { path: string, fd: number };
+  function createTempFileSync(tmpdir?: string, options?: TempFileOptions<false>): string;
+  function createTempFileSync(options?: TempFileOptions<false>): string;
+
+  /**
+   * Asynchronously creates a temporary file with the given initial contents, and returns a promise
+   * that resolves with its path or, if the `open` option is `true`, its path and an open `FileHandle`.
+   *
+   * The file is opened once, exclusively, and the contents are written without reopening it.
+   * The contents can also be an async iterable or a `Readable` stream, which is consumed entirely.
+   * If the contents cannot be written, the file is removed.
+   *
+   * @param tmpdir - A temporary directory path. If not provided or empty, it defaults to the
+   *                 system's temporary directory.
+   * @param options - An options object to configure the temporary file creation.
+   *
+   * @returns A promise that resolves with the path of the created temporary file, or an object
+   *          containing the path and the `FileHandle` opened for reading and writing, positioned
+   *          after the written contents, if the `open` option is `true`. The caller is responsible
+   *          for closing the handle.
+   */
+  function createTempFileAsync(tmpdir: string, options: TempFileOptions<true>): Promise<{ path: string, handle: FileHandle }>;
+  function createTempFileAsync(options: TempFileOptions<true>): Promise<{ path: string, handle: FileHandle }>;
+  function createTempFileAsync(tmpdir?: string, options?: TempFileOptions<false>): Promise<string>;
+  function createTempFileAsync(options?: TempFileOptions<false>): Promise<string>;
+
+  /**
+   * Creates a symlink descriptor to be used in a {@link TempTreeSpec}.
+   *
+   * @param target - The path the symlink points to. Relative paths are resolved from the
+   *                 directory containing the symlink.
+   * @param type - The symlink type on Windows. Ignored on other platforms.
+   *
+   * @throws {TypeError} If the given `target` is not a string or the `type` is unknown.
+   */
+  function symlink(target: string, type?: 'file' | 'dir' | 'junction'): SymlinkDescriptor;
+
+  /**
+   * Synchronously creates a new temporary directory and materialises the given tree
+   * specification in it. Either the whole tree is created, or nothing is left behind.
+   *
+   * @param spec - The tree specification.
+   * @param options - An options object to configure the temporary root directory creation.
+   *                  The `asFile` option is ignored.
+   *
+   * @returns The temporary tree handle.
+   *
+   * @throws {TypeError} If the given arguments or the tree specification specified with incorrect type.
+   * @throws {Error} Throws an `Error` if there is an issue creating the temporary tree.
+   */
+  function createTempTreeSync(spec: TempTreeSpec, options?: ScopedTempPathOptions): TempTree;
+
+  /**
+   * Asynchronously creates a new temporary directory and materialises the given tree
+   * specification in it. Either the whole tree is created, or nothing is left behind.
+   *
+   * @param spec - The tree specification.
+   * @param options - An options object to configure the temporary root directory creation.
+   *                  The `asFile` option is ignored.
+   *
+   * @returns A promise that resolves with the temporary tree handle.
+   */
+  function createTempTreeAsync(spec: TempTreeSpec, options?: ScopedTempPathOptions): Promise<TempTree>;
+
+  /**
+   * An interface representating options to clone a file or directory into a temporary
+   * directory by {@link cloneToTemp}. The `asFile` option is ignored.
+   */
+  interface CloneOptions<Async extends boolean = boolean> extends ScopedTempPathOptions {
+    /**
+     * A function called with the source and destination paths of each entry, returning
+     * whether to copy it. Skipping a directory skips its entries as well. Promises are only
+     * supported by {@link cloneToTemp}.
+     */
+    filter?: (source: string, destination: string) => Async extends true
+      ? boolean | Promise<boolean>
+      : boolean;
+    /**
+     * Whether to copy the targets of the symlinks instead of the symlinks themselves.
+     * Defaults to `false`.
+     */
+    dereference?: boolean;
+    /**
+     * How to copy the symlinks, ignored if `dereference` is `true`. Defaults to `'rewrite'`.
+     * - `'rewrite'` - Redirects the absolute targets within the source to the clone and makes
+     *   the relative targets outside of the source absolute, so the cloned symlinks never
+     *   point into the source.
+     * - `'preserve'` - Keeps the same targets.
+     * - `'skip'` - Does not copy the symlinks.
+     */
+    symlinks?: 'rewrite' | 'preserve' | 'skip';
+  }
+
+  /**
+   * Synchronously creates a new temporary directory and copies the given file or directory
+   * into it. The entries of a source directory are copied recursively into the temporary
+   * directory, while a source file is copied into it with the same name. Files are copied
+   * with copy-on-write (reflink) where the file system supports it. The permission modes are
+   * kept, except that directories are always writable by the owner so the clone can be removed.
+   * Either the whole source is cloned, or nothing is left behind.
+   *
+   * @param source - The path of the file or directory to clone. If it is a symlink, it is
+   *                 always followed.
+   * @param options - Options for cloning and creating the temporary directory.
+   *
+   * @returns The temporary tree handle of the clone.
+   *
+   * @throws {TypeError} If the given arguments specified with incorrect type.
+   * @throws {TempPathError} If the source cannot be read, or there is an issue copying it.
+   */
+  function cloneToTempSync(source: string, options?: CloneOptions<false>): TempTree;
+
+  /**
+   * Asynchronously creates a new temporary directory and copies the given file or directory
+   * into it, see {@link cloneToTempSync}.
+   *
+   * @param source - The path of the file or directory to clone. If it is a symlink, it is
+   *                 always followed.
+   * @param options - Options for cloning and creating the temporary directory.
+   *
+   * @returns A promise that resolves with the temporary tree handle of the clone.
+   */
+  function cloneToTemp(source: string, options?: CloneOptions<true>): Promise<TempTree>;
+
+  /**
+   * The message published to the `create` channel, when a temporary path has been created.
+   */
+  interface TempPathCreateEvent {
+    /** The created temporary path. */
+    readonly path: string;
+    /** The type of the path. */
+    readonly type: 'file' | 'directory';
+    /** The temporary root directory the path was created in. */
+    readonly root: string;
+    /** The size in bytes of the initial contents. */
+    readonly size: number;
+    /** The duration of the creation in milliseconds. */
+    readonly duration: number;
+  }
+
+  /**
+   * The message published to the `remove` channel, when a temporary path has been removed.
+   */
+  interface TempPathRemoveEvent {
+    /** The removed temporary path. */
+    readonly path: string;
+    /** The type of the path. */
+    readonly type: 'file' | 'directory';
+    /** The size in bytes of the path before removal, recursively for directories. */
+    readonly size: number;
+    /** The duration of the removal in milliseconds. */
+    readonly duration: number;
+  }
+
+  /**
+   * The message published to the `error` channel, when an operation has failed.
+   */
+  interface TempPathErrorEvent {
+    /** The attempted path, if any. */
+    readonly path: string | null;
+    /** The operation that failed, e.g. `'create'` or `'remove'`. */
+    readonly operation: string | null;
+    /** The stable error code. */
+    readonly code: TempPathErrorCode;
+    /** The error. */
+    readonly error: TempPathError;
+  }
+
+  /**
+   * The message published to the `prune` channel, when the stale temporary paths have been pruned.
+   */
+  interface TempPathPruneEvent {
+    /** The pruned root directory. */
+    readonly path: string;
+    /** The bytes freed by pruning. */
+    readonly size: number;
+    /** Whether nothing was actually removed. */
+    readonly dryRun: boolean;
+    /** The report of pruning. */
+    readonly report: PruneReport;
+    /** The duration of pruning in milliseconds. */
+    readonly duration: number;
+  }
+
+  /**
+   * The names of the diagnostics channels this module publishes messages to:
+   * - `create` - A temporary path has been created, see {@link TempPathCreateEvent}.
+   * - `remove` - A temporary path has been removed, see {@link TempPathRemoveEvent}.
+   * - `error` - An operation has failed, see {@link TempPathErrorEvent}.
+   * - `prune` - The stale temporary paths have been pruned, see {@link TempPathPruneEvent}.
+   *
+   * The messages are also logged to the standard error if the `NODE_DEBUG` environment
+   * variable contains `temppath`.
+   */
+  const channels: Readonly<{
+    create: 'temppath:create';
+    remove: 'temppath:remove';
+    error: 'temppath:error';
+    prune: 'temppath:prune';
+  }>;
+
+  /**
+   * An interface representating options to configure the removal of stale temporary paths
+   * by {@link prune}.
+   */
+  interface PruneOptions {
+    /**
+     * The directory to scan. Defaults to {@link getTempRoot}.
+     */
+    root?: string;
+    /**
+     * The minimum age in milliseconds of the paths to remove. Defaults to `0`.
+     */
+    olderThan?: number;
+    /**
+     * Only remove the paths whose names start with the given string, match the given
+     * regular expression, or for which the given function returns `true`.
+     */
+    match?: string | RegExp | ((name: string) => boolean);
+    /**
+     * Whether to only report the paths that would be removed. Defaults to `false`.
+     */
+    dryRun?: boolean;
+    /**
+     * The signal to stop pruning. On abort, no more paths are removed and the promise
+     * rejects with an `AbortError`. Ignored by {@link pruneSync}.
+     */
+    signal?: AbortSignal;
+  }
+
+  /**
+   * The report of {@link prune} and {@link pruneSync}.
+   */
+  interface PruneReport {
+    /**
+     * The removed paths, or the paths that would be removed in a dry run.
+     */
+    removed: Array<{ path: string; size: number; created: number }>;
+    /**
+     * The recognised paths that were kept, with the reason why.
+     */
+    skipped: Array<{
+      path: string;
+      reason: 'not-matched' | 'not-expired' | 'not-owned' | 'invalid-marker' | 'error';
+      error?: Error;
+    }>;
+    /**
+     * The total size in bytes of the removed paths.
+     */
+    bytesFreed: number;
+    /**
+     * Whether nothing was actually removed.
+     */
+    dryRun: boolean;
+  }
+
+  /**
+   * Synchronously removes the stale temporary paths created with the `marker` option,
+   * enabled by default in the temporary root. The paths are removed only if both the path and its marker are owned by the current
+   * user, so the paths not created by this module are never touched.
+   *
+   * @param options - Options to configure which paths to remove.
+   *
+   * @returns The report of removed and skipped paths.
+   *
+   * @throws {TypeError} If the options or any of its properties specified with incorrect type.
+   * @throws {RangeError} If the `olderThan` option is negative or not finite.
+   * @throws {Error} If the root directory cannot be read.
+   */
+  function pruneSync(options?: PruneOptions): PruneReport;
+
+  /**
+   * Asynchronously removes the stale temporary paths created with the `marker` option.
+   * See {@link pruneSync} for details.
+   *
+   * @param options - Options to configure which paths to remove.
+   *
+   * @returns A promise that resolves with the report of removed and skipped paths.
+   */
+  function prune(options?: PruneOptions): Promise<PruneReport>;
+
+  /**
+   * A function resolving a candidate of the temporary root directory. Returns a nullish value
+   * or an empty string to skip to the next resolver.
+   */
+  type TempRootResolver = () => string | null | undefined;
+
+  /**
+   * Built-in temporary root resolvers, to compose a custom resolution chain for
+   * {@link configureTempRoot}.
+   *
+   * - `env(name)` - Creates a resolver reading the given environment variable.
+   * - `tmpdir` - Resolves to `os.tmpdir()`.
+   * - `cwd` - Resolves to the `tmp` directory in the current working directory.
+   * - `defaults` - The default resolution chain: the `TEMPPATH_DIR`, `TMPDIR`, `TMP` and `TEMP`
+   *   environment variables, then `tmpdir` and `cwd`.
+   */
+  const resolvers: Readonly<{
+    env(name: string): TempRootResolver;
+    tmpdir: TempRootResolver;
+    cwd: TempRootResolver;
+    defaults: ReadonlyArray<TempRootResolver>;
+  }>;
+
+  /**
+   * Retrieves the temporary root directory by trying each candidate of the configured
+   * resolution chain, skipping the empty candidates and the ones that are not writable
+   * directories. If a namespace is given or configured, returns the per-user subdirectory
+   * of the resolved root, named `<namespace>-<uid>`.
+   *
+   * @param options - Options to resolve the temporary root directory.
+   *
+   * @returns The absolute path of the temporary root directory.
+   *
+   * @throws {TypeError} If the given namespace is invalid.
+   * @throws {Error} If none of the candidates is a writable directory.
+   */
+  function getTempRoot(options?: { namespace?: string }): string;
+
+  /**
+   * Configures how the temporary root directory is resolved by {@link getTempRoot}.
+   * Calling this function without argument restores the defaults.
+   *
+   * @param options - The configuration. The `resolvers` is the resolution chain, tried in order,
+   *                  where strings are used as they are. The `namespace` is the default namespace.
+   *
+   * @throws {TypeError} If the given options specified with incorrect type.
+   */
+  function configureTempRoot(options?: {
+    resolvers?: Array<string | TempRootResolver>;
+    namespace?: string | null;
+  }): void;
+
+  /**
+   * A temporary path recorded by a {@link TempSession}.
+   */
+  interface TempSessionEntry {
+    path: string;
+    type: 'file' | 'directory';
+    created: number;
+  }
+
+  /**
+   * A session grouping related temporary paths, created by {@link createSession} or loaded
+   * by {@link loadSession}. The options of `dir`, `file` and their synchronous versions
+   * override the default options of the session.
+   */
+  interface TempSession {
+    /**
+     * The random identifier of the session.
+     */
+    readonly id: string;
+    /**
+     * The absolute path of the manifest file.
+     */
+    readonly manifest: string;
+    /**
+     * Creates a temporary directory and records it in the manifest.
+     */
+    dir(options?: ScopedTempPathOptions): Promise<string>;
+    /**
+     * Synchronously creates a temporary directory and records it in the manifest.
+     */
+    dirSync(options?: ScopedTempPathOptions): string;
+    /**
+     * Creates a temporary file and records it in the manifest.
+     */
+    file(options?: TempFileOptions<false> & { tmpdir?: string }): Promise<string>;
+    file(options: TempFileOptions<true> & { tmpdir?: string }): Promise<{ path: string; handle: FileHandle }>;
+    /**
+     * Synchronously creates a temporary file and records it in the manifest.
+     */
+    fileSync(options?: TempFileOptions<false> & { tmpdir?: string }): string;
+    fileSync(options: TempFileOptions<true> & { tmpdir?: string }): { path: string; fd: number };
+    /**
+     * Returns the recorded temporary paths.
+     */
+    list(): TempSessionEntry[];
+    /**
+     * Calculates the total size in bytes of the recorded temporary paths.
+     */
+    size(): Promise<number>;
+    /**
+     * Synchronously calculates the total size in bytes of the recorded temporary paths.
+     */
+    sizeSync(): number;
+    /**
+     * Removes all recorded temporary paths and the manifest file. The paths failed to be
+     * removed are kept in the manifest, and the promise rejects with the error, or a
+     * {@link TempPathAggregateError} if more than one path failed to be removed.
+     */
+    dispose(): Promise<void>;
+    /**
+     * Synchronously removes all recorded temporary paths and the manifest file.
+     */
+    disposeSync(): void;
+    /**
+     * Returns the manifest contents.
+     */
+    toJSON(): { version: number; id: string; pid: number; created: number; paths: TempSessionEntry[] };
+    [Symbol.dispose](): void;
+    [Symbol.asyncDispose](): Promise<void>;
+  }
+
+  /**
+   * Creates a session grouping related temporary paths, which records every path it creates
+   * in a JSON manifest file, so another process can load it with {@link loadSession} and
+   * dispose everything it recorded.
+   *
+   * @param options - The default options to create the temporary paths of the session. The
+   *                  `manifest` is the path of the manifest file, defaults to
+   *                  `.temppath-session-<id>.json` in `tmpdir` or the temporary root.
+   *
+   * @returns The session.
+   *
+   * @throws {TypeError} If the given options specified with incorrect type.
+   * @throws {Error} If the manifest file cannot be written.
+   */
+  function createSession(options?: ScopedTempPathOptions & { manifest?: string }): TempSession;
+
+  /**
+   * Loads a session from the manifest file written by {@link createSession}. The manifest
+   * file must be a regular file owned by the current user.
+   *
+   * @param manifestPath - The path of the manifest file.
+   * @param options - The default options to create new temporary paths.
+   *
+   * @returns The session.
+   *
+   * @throws {TypeError} If the given arguments specified with incorrect type.
+   * @throws {Error} If the manifest file cannot be read, is not owned by the current user
+   *                 or is invalid.
+   */
+  function loadSession(manifestPath: string, options?: ScopedTempPathOptions): TempSession;
+
+  /**
+   * An interface representating options to configure the atomic writes.
+   */
+  interface WriteFileAtomicOptions {
+    /**
+     * The encoding of `data`, if it is a string. Defaults to `'utf8'`.
+     */
+    encoding?: BufferEncoding;
+    /**
+     * The mode of the file, if it does not exist yet. Defaults to `0o666`, subject to the
+     * process umask. The mode of existing file is preserved.
+     */
+    mode?: number;
+    /**
+     * Whether to flush the data and the rename to the disk before returning. Defaults to `true`.
+     */
+    fsync?: boolean;
+  }
+
+  /**
+   * Synchronously writes the given data to a file atomically. The data is written to a temporary
+   * file next to the target, which is then renamed over the target, preserving its mode and,
+   * when permitted, its ownership. The temporary file is removed on failure.
+   *
+   * @param target - The path of the file to write. If it is a symlink, the file it points to is replaced.
+   * @param data - The data to write.
+   * @param options - Options to configure the write.
+   *
+   * @throws {TypeError} If the given arguments specified with incorrect type.
+   * @throws {Error} If the file failed to be written, with the source error as the cause.
+   */
+  function writeFileAtomicSync(
+    target: string,
+    data: string | NodeJS.ArrayBufferView,
+    options?: WriteFileAtomicOptions
+  ): void;
+
+  /**
+   * Asynchronously writes the given data to a file atomically. Concurrent writes to the same
+   * file within the process, including through symlinks, are serialised in the order they
+   * were called.
+   * See {@link writeFileAtomicSync} for details.
+   *
+   * @param target - The path of the file to write.
+   * @param data - The data to write.
+   * @param options - Options to configure the write.
+   *
+   * @returns A promise that resolves when the file is written.
+   */
+  function writeFileAtomic(
+    target: string,
+    data: string | NodeJS.ArrayBufferView | AsyncIterable<string | NodeJS.ArrayBufferView> | Readable,
+    options?: WriteFileAtomicOptions
+  ): Promise<void>;
+
+  /**
+   * A writable stream that keeps the written data in memory up to a threshold, then spills
+   * it to a temporary file. The temporary file is removed when the stream is destroyed or disposed.
+   */
+  interface TempWriteStream extends Writable {
+    /**
+     * The path of the temporary file, or `null` if not spilled.
+     */
+    readonly path: string | null;
+    /**
+     * The number of bytes written.
+     */
+    readonly size: number;
+    /**
+     * Whether the data has been spilled to the temporary file.
+     */
+    readonly spilled: boolean;
+    /**
+     * Creates a `Readable` stream of everything written.
+     *
+     * @throws {Error} If the stream has not finished yet or has been destroyed.
+     */
+    createReadStream(): Readable;
+    [Symbol.dispose](): void;
+    [Symbol.asyncDispose](): Promise<void>;
+  }
+
+  /**
+   * Creates a writable stream that keeps the written data in memory up to the `threshold`,
+   * then transparently spills it to a temporary file created by {@link createTempPath}.
+   *
+   * @param options - Options to configure the temporary file creation. The `threshold` is the
+   *                  maximum number of bytes kept in memory, defaults to 1 MiB. If zero, the data
+   *                  is always spilled. The `asFile` and `ttl` options are ignored, the file
+   *                  lives as long as the stream.
+   *
+   * @returns The writable stream.
+   *
+   * @throws {TypeError} If the given options specified with incorrect type.
+   * @throws {RangeError} If the `threshold` option is not a non-negative integer.
+   */
+  function createTempWriteStream(options?: ScopedTempPathOptions & { threshold?: number }): TempWriteStream;
+
+  /**
+   * Generates a path for a Unix domain socket that is guaranteed to fit the platform limit
+   * of socket paths, or a named pipe path on Windows. The random part of the name is shortened
+   * as needed, and the shorter `/tmp` directory is used if the temporary root is too long,
+   * unless the `tmpdir` option is specified.
+   *
+   * @param options - Options to generate the socket path. The `maxLen` defaults to 16, and
+   *                  the `ext` defaults to `'.sock'`. The socket file is removed when the
+   *                  given `server` closes. The `template` option is not supported.
+   *
+   * @returns The socket path, or the named pipe path on Windows.
+   *
+   * @throws {TypeError} If the given options specified with incorrect type.
+   * @throws {RangeError} If the socket path cannot fit the platform limit.
+   */
+  function getTempSocketPath(options?: ScopedTempPathOptions & {
+    server?: import('node:net').Server;
+  }): string;
+
+  /**
+   * The stable codes of errors thrown by this module.
+   */
+  type TempPathErrorCode =
+    | 'ERR_TEMPPATH_INVALID_ARG'
+    | 'ERR_TEMPPATH_INVALID_OPTION'
+    | 'ERR_TEMPPATH_INVALID_NAME'
+    | 'ERR_TEMPPATH_NAME_TOO_LONG'
+    | 'ERR_TEMPPATH_COLLISION'
+    | 'ERR_TEMPPATH_PERMISSION_DENIED'
+    | 'ERR_TEMPPATH_NO_SPACE'
+    | 'ERR_TEMPPATH_ROOT_UNWRITABLE'
+    | 'ERR_TEMPPATH_INSECURE_ROOT'
+    | 'ERR_TEMPPATH_CREATE_FAILED'
+    | 'ERR_TEMPPATH_WRITE_FAILED'
+    | 'ERR_TEMPPATH_READ_FAILED'
+    | 'ERR_TEMPPATH_REMOVE_FAILED'
+    | 'ERR_TEMPPATH_INVALID_MANIFEST'
+    | 'ERR_TEMPPATH_INVALID_STATE'
+    | 'ERR_TEMPPATH_UNSUPPORTED'
+    | 'ERR_TEMPPATH_OPERATION_FAILED';
+
+  /**
+   * The details of an error thrown by this module.
+   */
+  interface TempPathErrorDetails {
+    /** The stable error code, defaults to the code of the error class. */
+    code?: TempPathErrorCode;
+    /** The attempted path. */
+    path?: string | null;
+    /** The operation that failed, e.g. `'create'` or `'remove'`. */
+    operation?: string | null;
+    /** The original error. */
+    cause?: unknown;
+  }
+
+  /**
+   * The properties shared by all errors thrown by this module.
+   */
+  interface TempPathErrorProperties {
+    /** The stable error code. */
+    code: TempPathErrorCode;
+    /** The attempted path, if any. */
+    path: string | null;
+    /** The operation that failed, e.g. `'create'` or `'remove'`, if any. */
+    operation: string | null;
+    /** The original error, if any. */
+    cause?: unknown;
+  }
+
+  /**
+   * The base class of errors thrown by this module. The validation errors extend the built-in
+   * `TypeError` and `RangeError` instead, but are recognised as instances of this class too.
+   */
+  class TempPathError extends Error implements TempPathErrorProperties {
+    constructor(message: string, details?: TempPathErrorDetails);
+    code: TempPathErrorCode;
+    path: string | null;
+    operation: string | null;
+    cause?: unknown;
+  }
+
+  /**
+   * An error indicating that an argument or option has an incorrect type or is otherwise invalid.
+   * The `code` defaults to `'ERR_TEMPPATH_INVALID_OPTION'`.
+   */
+  class TempPathTypeError extends TypeError implements TempPathErrorProperties {
+    constructor(message: string, details?: TempPathErrorDetails);
+    code: TempPathErrorCode;
+    path: string | null;
+    operation: string | null;
+    cause?: unknown;
+  }
+
+  /**
+   * An error indicating that an argument or option is out of the accepted range.
+   * The `code` defaults to `'ERR_TEMPPATH_INVALID_OPTION'`.
+   */
+  class TempPathRangeError extends RangeError implements TempPathErrorProperties {
+    constructor(message: string, details?: TempPathErrorDetails);
+    code: TempPathErrorCode;
+    path: string | null;
+    operation: string | null;
+    cause?: unknown;
+  }
+
+  /**
+   * An error indicating that all attempted paths already exist, with the
+   * `'ERR_TEMPPATH_COLLISION'` code.
+   */
+  class TempPathCollisionError extends TempPathError {
+    constructor(message: string, attemptedPaths: string[], details?: TempPathErrorDetails);
+    code: 'ERR_TEMPPATH_COLLISION';
+    /** The attempted paths, the last one is the `path`. */
+    attemptedPaths: string[];
+  }
+
+  /**
+   * An error aggregating several errors of the same operation, e.g. when several paths
+   * failed to be removed.
+   */
+  class TempPathAggregateError extends AggregateError implements TempPathErrorProperties {
+    constructor(errors: Iterable<unknown>, message: string, details?: TempPathErrorDetails);
+    code: TempPathErrorCode;
+    path: string | null;
+    operation: string | null;
+    cause?: unknown;
+  }
 }
@@ -0,0 +1,113 @@
+// Type definitions for temppath/test
+//
+// Project: https://github.com/mitsuki31/temppath
+// Definitions by: Ryuu Mitsuki <https://github.com/mitsuki31>
+
+/// <reference path="./index.d.ts" />
+
+declare module '@mitsuki31/temppath/test' {
+  import type { ScopedTempPathOptions } from '@mitsuki31/temppath';
+
+  /**
+   * An interface representating options to configure the temporary file creation of
+   * the fixtures. The `asFile` option is ignored.
+   */
+  interface TempFileFixtureOptions extends ScopedTempPathOptions {
+    /**
+     * The initial contents of the temporary file.
+     */
+    data?: string | NodeJS.ArrayBufferView;
+    /**
+     * The encoding of `data`, if it is a string. Defaults to `'utf8'`.
+     */
+    encoding?: BufferEncoding;
+  }
+
+  /**
+   * A test context registering a function to call once the test has finished,
+   * such as the one of `node:test`.
+   */
+  interface TestContextLike {
+    after(fn: () => unknown): unknown;
+    /**
+     * Whether the test has passed, as provided by `node:test` since Node.js 20.
+     */
+    readonly passed?: boolean;
+  }
+
+  /**
+   * The `beforeEach` and `afterEach` hooks creating a temporary path before each test and
+   * removing it after each test, unless retained by the retention policy.
+   *
+   * Both hooks take no callback parameter, so they can be passed directly to the runners
+   * that treat a declared parameter as a completion callback, such as Mocha and Jest.
+   */
+  interface TempPathHooks {
+    /**
+     * The temporary path of the current test.
+     *
+     * @throws {TempPathError} If accessed outside of a test, with the
+     *                         `'ERR_TEMPPATH_INVALID_STATE'` code.
+     */
+    readonly path: string;
+    /**
+     * The hook creating the temporary path.
+     */
+    beforeEach(): void;
+    /**
+     * The hook removing the temporary path.
+     */
+    afterEach(): void;
+  }
+
+  /**
+   * Creates a temporary directory for the given `node:test` test, and removes it recursively
+   * once the test has finished, unless retained by the `keep` option.
+   *
+   * With the `'on-failure'` retention policy, the failure of the test is detected since
+   * Node.js 20. On earlier versions, the test is assumed to have passed.
+   *
+   * @param t - The test context.
+   * @param options - Options for creating the temporary directory. The `asFile` option is ignored.
+   * @returns The path of the created temporary directory.
+   */
+  function tempDir(t: TestContextLike, options?: ScopedTempPathOptions): string;
+
+  /**
+   * Creates a temporary file for the given `node:test` test, with the given initial contents
+   * if any, and removes it once the test has finished, unless retained by the `keep` option.
+   *
+   * With the `'on-failure'` retention policy, the failure of the test is detected since
+   * Node.js 20. On earlier versions, the test is assumed to have passed.
+   *
+   * @param t - The test context.
+   * @param options - Options for creating the temporary file. The `asFile` option is ignored.
+   * @returns The path of the created temporary file.
+   */
+  function tempFile(t: TestContextLike, options?: TempFileFixtureOptions): string;
+
+  /**
+   * Creates the `beforeEach` and `afterEach` hooks of a temporary directory, created before
+   * each test and removed recursively after each test, unless retained by the `keep` option.
+   *
+   * With the `'on-failure'` retention policy, the failure of the test is detected in Mocha,
+   * and in `node:test` since Node.js 20. On other runners, such as Jest, the test is assumed
+   * to have passed.
+   *
+   * @param options - Options for creating the temporary directories. The `asFile` option is ignored.
+   */
+  function tempDirHooks(options?: ScopedTempPathOptions): TempPathHooks;
+
+  /**
+   * Creates the `beforeEach` and `afterEach` hooks of a temporary file, created with the given
+   * initial contents, if any, before each test and removed after each test, unless retained by
+   * the `keep` option.
+   *
+   * With the `'on-failure'` retention policy, the failure of the test is detected in Mocha,
+   * and in `node:test` since Node.js 20. On other runners, such as Jest, the test is assumed
+   * to have passed.
+   *
+   * @param options - Options for creating the temporary files. The `asFile` option is ignored.
+   */
+  function tempFileHooks(options?: TempFileFixtureOptions): TempPathHooks;
+}